@@ -1,9 +1,13 @@
 // Worker that performs network fetching and JSON parsing off the main thread.
 // Supports two messages:
-// { type: 'fetchTile', id, tx, ty, z }
+// { type: 'fetchTile', id, tx, ty, z, room? }
 //   -> posts { type: 'tileResult', id, tx, ty, z, strokes }
-// { type: 'batchFetch', id, z, tiles }
+// { type: 'batchFetch', id, z, room?, tiles: [{tx, ty, rev?}] }
 //   -> posts { type: 'batchResult', id, tiles }
+// The page's room rides along with every request and is used when the socket identifies.
+// tileData arrives as binary frames (wire.js) unless the server falls back to JSON.
+
+import { WIRE_VERSION, decodeFrame } from './wire.js';
 
 const q = new Map(); // debounce map key -> { timer, callers: [id,...] }
 
@@ -11,6 +15,7 @@ function tileKey(tx, ty, z) { return `${z}:${tx}:${ty}`; }
 // Persistent websocket used by the worker to request tiles
 let ws = null;
 let wsReady = false;
+let room = ''; // room the socket identified with
 const pending = new Map(); // reqId -> { type:'tile'|'batch', resolve, reject, out:[], timer }
 
 function ensureWS() {
@@ -19,21 +24,25 @@ function ensureWS() {
     const proto = (self.location && self.location.protocol === 'https:') ? 'wss:' : 'ws:';
     const host = (self.location && self.location.host) ? self.location.host : null;
     ws = new WebSocket(`${proto}//${host}/ws`);
+    ws.binaryType = 'arraybuffer';
   } catch (e) {
     ws = null;
     return null;
   }
   ws.addEventListener('open', () => { wsReady = true; });
   // Identify as tiles channel (server -> client streaming for tile data)
-  ws.addEventListener('open', () => { try { ws.send(JSON.stringify({ type: 'identify', payload: { role: 'tiles' } })); } catch {} });
+  ws.addEventListener('open', () => { try { ws.send(JSON.stringify({ type: 'identify', payload: { role: 'tiles', room, binary: WIRE_VERSION } })); } catch {} });
   ws.addEventListener('close', () => { wsReady = false; ws = null; /* reconnect later on demand */ });
   ws.addEventListener('error', () => { /* ignore */ });
   ws.addEventListener('message', (ev) => {
     let msg;
-    try { msg = JSON.parse(typeof ev.data === 'string' ? ev.data : new TextDecoder().decode(ev.data)); } catch { return; }
+    try { msg = typeof ev.data === 'string' ? JSON.parse(ev.data) : decodeFrame(new Uint8Array(ev.data)); } catch { return; }
     const { type, payload } = msg || {};
     if (!payload) return;
-    if (type === 'tileData') {
+    if (type === 'ping') {
+      // Heartbeat: the server drops sockets that stop answering
+      try { ws.send(JSON.stringify({ type: 'pong', payload })); } catch {}
+    } else if (type === 'tileData') {
       const reqId = payload.reqId;
       const p = pending.get(reqId);
       if (!p) return;
@@ -62,6 +71,7 @@ function ensureWS() {
 self.addEventListener('message', (ev) => {
   const msg = ev.data || {};
   const { type } = msg;
+  if (typeof msg.room === 'string') room = msg.room;
   if (type === 'fetchTile') {
     const { id, tx, ty, z = 0 } = msg;
     // debounce similar to main thread (200ms) to avoid duplicate requests
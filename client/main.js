@@ -1,19 +1,30 @@
 const TILE_SIZE = window.__CONFIG__?.TILE_SIZE || 1024;
+// Coarsest tile pyramid level served by the server (level z tiles cover TILE_SIZE * 2^z world px)
+const MAX_Z = window.__CONFIG__?.MAX_Z ?? 6;
 // Debug: enable with ?debug=1 or localStorage.setItem('debug','1')
 const DEBUG = /(?:[?&])debug=1(?:&|$)/.test(location.search) || localStorage.getItem('debug') === '1';
 function dlog(...args) { if (DEBUG) console.log('[IC]', ...args); }
 // Extra offscreen pixels around each tile to avoid seam clipping
 const TILE_PAD = 128; // should be >= max brush size
-// Limit maximum zoom-out to reduce tile load
-const MIN_SCALE = 0.10;
+// Limit maximum zoom-out to where the coarsest pyramid level is drawn at ~1:1
+const MIN_SCALE = 1 / Math.pow(2, MAX_Z);
 const MAX_SCALE = 4;
 const STATE = { dpr: window.devicePixelRatio || 1, showGrid: true };
+// Named room from /r/<name> (or ?room=); '' is the shared public universe.
+// Normalized the same way as the server's normalizeRoom.
+const ROOM = (() => {
+  const m = /^\/r\/([^/]+)\/?$/.exec(location.pathname);
+  const raw = m ? decodeURIComponent(m[1]) : (new URLSearchParams(location.search).get('room') || '');
+  return raw.trim().toLowerCase().replace(/[^a-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 64);
+})();
+if (ROOM) document.title = `${ROOM} · Realtime Canvas`;
 const TILE_CACHE_MAX = 256; // allow more tiles in memory while bounded
 
 const canvas = document.getElementById('canvas');
 const overlay = document.getElementById('overlay');
 const toolbarEl = document.querySelector('.toolbar');
 import { WebGLRenderer } from './webgl.js';
+import { WIRE_VERSION, encodeFrame, decodeFrame } from './wire.js';
 // Fetcher worker runs network fetches off the main thread
 let fetchWorker = null;
 const _workerPending = new Map(); // id -> {resolve, reject, type}
@@ -23,7 +34,7 @@ let _tileBatchTimer = null;
 function ensureWorker() {
   if (fetchWorker) return fetchWorker;
   try {
-    fetchWorker = new Worker(new URL('./fetcher.js', import.meta.url));
+    fetchWorker = new Worker(new URL('./fetcher.js', import.meta.url), { type: 'module' });
     dlog('Fetch worker created');
     fetchWorker.addEventListener('error', (err) => {
       dlog('Fetch worker error, disabling worker fallback', err && err.message);
@@ -54,19 +65,7 @@ function ensureWorker() {
         const z = Number(tile.z || 0);
         const tx = Number(tile.tx);
         const ty = Number(tile.ty);
-        const arr = Array.isArray(tile.strokes) ? tile.strokes : [];
-        // Persist authoritative list in LS (synchronously so immediate reads see it)
-        try { lsSaveTileStrokesSync(z, tx, ty, arr); } catch (e) {}
-        const key = tileKey(tx, ty, z);
-        const t = tiles.get(key);
-        if (t) {
-          // Reset and draw strictly from LS to avoid partial duplication
-          resetTile(t);
-          const cached = lsLoadTileStrokes(z, tx, ty) || [];
-          for (const s of cached) { if (s && s.id && !t.seen.has(s.id)) { drawStrokeOnTile(t, s); t.seen.add(s.id); t.cached.push(s); } }
-          t.dirty = true;
-          requestFrame();
-        }
+        applyTileSync(z, tx, ty, tile);
       } catch (e) { /* ignore incremental tile errors */ }
     }
   });
@@ -79,6 +78,7 @@ const octx = overlay.getContext('2d');
 const toolPanBtn = document.getElementById('tool-pan');
 const toolPenBtn = document.getElementById('tool-pen');
 const toolEraserBtn = document.getElementById('tool-eraser');
+const toolObjectEraserBtn = document.getElementById('tool-object-eraser');
 const colorInput = document.getElementById('color');
 const sizeInput = document.getElementById('size');
 const opacityInput = document.getElementById('opacity');
@@ -86,6 +86,19 @@ const gridToggle = document.getElementById('toggle-grid');
 const zoomInBtn = document.getElementById('zoom-in');
 const zoomOutBtn = document.getElementById('zoom-out');
 const exportSvgBtn = document.getElementById('export-svg');
+const importBtn = document.getElementById('import-file');
+const importInput = document.getElementById('import-input');
+const toastEl = document.getElementById('toast');
+
+// Brief status message over the canvas
+let toastTimer = null;
+function showToast(text, ms = 3000) {
+  if (!toastEl) return;
+  toastEl.textContent = text;
+  toastEl.hidden = false;
+  clearTimeout(toastTimer);
+  toastTimer = setTimeout(() => { toastEl.hidden = true; }, ms);
+}
 
 // View transform (world -> screen)
 const view = {
@@ -95,14 +108,24 @@ const view = {
 };
 
 // State
-let tool = 'pen'; // 'pen' | 'eraser' | 'pan'
+let tool = 'pen'; // 'pen' | 'eraser' | 'objectEraser' | 'pan'
 let isPanning = false;
 let isDrawing = false;
 let spaceHeld = false;
 let pointerId = null;
 let lastPointer = null; // {x,y}
 let activeStroke = null; // {points, color, size, opacity, erase}
+let objectErase = null; // {last: {x,y}, size, hits: Set<strokeId>} while dragging the object eraser
+// Own finalized stroke ids for Ctrl+Z / Ctrl+Shift+Z (server enforces ownership)
+const UNDO_MAX = 100;
+// Protected regions of this room: [{ id, minX, minY, maxX, maxY, owner, allowed }]
+let regions = [];
+const undoStack = [];
+const redoStack = [];
 let myId = null;
+let myToken = null; // session token from welcome; proves we own myId
+// API calls carry it in a header rather than the URL, which ends up in logs
+const sessionHeaders = () => (myToken ? { Authorization: `Bearer ${myToken}` } : {});
 // Initialize color from persisted preference or input default
 const savedColor = localStorage.getItem('color');
 if (savedColor) {
@@ -121,21 +144,31 @@ if (savedOpacity) {
   const n = Math.max(0.1, Math.min(1, Number(savedOpacity)));
   if (Number.isFinite(n)) opacityInput.value = String(n);
 }
-const initialTool = (['eraser','pan'].includes(localStorage.getItem('tool'))) ? localStorage.getItem('tool') : 'pen';
+const initialTool = (['eraser','objectEraser','pan'].includes(localStorage.getItem('tool'))) ? localStorage.getItem('tool') : 'pen';
 let myName = null;
 // Persisted peer/session identity
-const LS_SESSION_ID = 'ic_session_id_v1';
+const LS_SESSION_TOKEN = 'ic_session_token_v1'; // signed by the server, resumes our id
 const LS_SESSION_NAME = 'ic_session_name_v1';
 try {
   const n = localStorage.getItem(LS_SESSION_NAME);
   if (n) myName = n;
 } catch {}
 let ws = null;
+let wsBinary = false; // server accepted binary frames for this socket (see wire.js)
 let wsReady = false;
+let wsHeartbeatMs = 15000; // server ping interval, from welcome
+let wsLastMessageAt = 0;
 
-// Presence: id -> {x,y,color,name}
+// Presence: id -> {x,y,color,name,away} plus {fromX,fromY,at,dur}: the cursor
+// glides from (fromX, fromY) to (x, y) over dur ms starting at `at`
 const peers = new Map();
 
+function peerPosition(p, now) {
+  if (!(p.dur > 0)) return { x: p.x || 0, y: p.y || 0 };
+  const k = Math.min(1, (now - p.at) / p.dur);
+  return { x: p.fromX + (p.x - p.fromX) * k, y: p.fromY + (p.y - p.fromY) * k };
+}
+
 // Tile cache: key -> {canvas, ctx, dirty}
 const tiles = new Map();
 // LocalStorage tile cache (strokes) to reduce memory pressure
@@ -149,7 +182,7 @@ function lsIndexLoad() {
 function lsIndexSave(idx) {
   try { localStorage.setItem(LS_INDEX_KEY, JSON.stringify(idx)); } catch {}
 }
-function lsTileKey(z, tx, ty) { return `${LS_TILE_PREFIX}${z}:${tx}:${ty}`; }
+function lsTileKey(z, tx, ty) { return ROOM ? `${LS_TILE_PREFIX}r=${ROOM}:${z}:${tx}:${ty}` : `${LS_TILE_PREFIX}${z}:${tx}:${ty}`; }
 function lsEstimateBytes(str) { return str ? str.length : 0; }
 function lsPrune(budget) {
   try {
@@ -171,12 +204,13 @@ function lsSaveTileStrokes(z, tx, ty, arr) {
   try {
     const key = lsTileKey(z, tx, ty);
     const json = JSON.stringify(arr || []);
-    const idx = lsIndexLoad();
     // Defer actual localStorage writes so they don't block the main flow
     setTimeout(() => {
       try {
         localStorage.setItem(key, json);
-        idx[key] = { ts: Date.now(), bytes: lsEstimateBytes(json) };
+        const idx = lsIndexLoad();
+        // Locally drawn strokes don't move the sync cursor; keep the stored one
+        idx[key] = { ts: Date.now(), bytes: lsEstimateBytes(json), rev: idx[key]?.rev };
         lsIndexSave(idx);
         lsPrune(LS_BUDGET_BYTES);
       } catch (e) { /* ignore storage errors */ }
@@ -185,21 +219,48 @@ function lsSaveTileStrokes(z, tx, ty, arr) {
 }
 
 // Synchronous variant used when code needs to read immediately after writing.
-function lsSaveTileStrokesSync(z, tx, ty, arr) {
+// rev is the server revision the list reflects (kept as is when omitted).
+function lsSaveTileStrokesSync(z, tx, ty, arr, rev) {
   try {
     const key = lsTileKey(z, tx, ty);
     const json = JSON.stringify(arr || []);
+    let stored = false;
     try {
       localStorage.setItem(key, json);
+      stored = true;
     } catch (e) { /* swallow */ }
     try {
       const idx = lsIndexLoad();
-      idx[key] = { ts: Date.now(), bytes: lsEstimateBytes(json) };
+      // Only remember a cursor for strokes that actually made it to storage
+      const cursor = !stored ? undefined : (rev === undefined ? idx[key]?.rev : rev);
+      idx[key] = { ts: Date.now(), bytes: lsEstimateBytes(json), rev: cursor };
       lsIndexSave(idx);
       lsPrune(LS_BUDGET_BYTES);
     } catch (e) { /* swallow */ }
   } catch (e) { /* ignore */ }
 }
+function lsRemoveTileStrokes(z, tx, ty) {
+  try {
+    const key = lsTileKey(z, tx, ty);
+    localStorage.removeItem(key);
+    const idx = lsIndexLoad();
+    if (idx[key]) { delete idx[key]; lsIndexSave(idx); }
+  } catch {}
+}
+// Sync cursor (server tile revision) of a cached tile, if any
+function lsTileRev(z, tx, ty, idx = lsIndexLoad()) {
+  const rev = idx[lsTileKey(z, tx, ty)]?.rev;
+  return Number.isFinite(rev) ? rev : undefined;
+}
+function lsSetTileRev(z, tx, ty, rev) {
+  try {
+    const key = lsTileKey(z, tx, ty);
+    const idx = lsIndexLoad();
+    if (!idx[key] || idx[key].rev === rev) return;
+    idx[key].rev = rev;
+    lsIndexSave(idx);
+  } catch {}
+}
 function lsLoadTileStrokes(z, tx, ty) {
   try {
     const key = lsTileKey(z, tx, ty);
@@ -221,6 +282,15 @@ const VISIBLE_RECHECK_DEBOUNCE_MS = 300; // avoid immediate duplicate checks whe
 
 function tileKey(tx, ty, z = 0) { return `${z}:${tx}:${ty}`; }
 
+// World-space edge length of a tile at pyramid level z
+function levelTileSize(z) { return TILE_SIZE * Math.pow(2, z); }
+
+// Coarsest level whose texels still map to at least one device pixel
+function currentLevel() {
+  const s = view.scale * STATE.dpr;
+  return Math.max(0, Math.min(MAX_Z, Math.floor(Math.log2(1 / s))));
+}
+
 function tryGetTile(tx, ty, z = 0) {
   const key = tileKey(tx, ty, z);
   let t = tiles.get(key);
@@ -238,29 +308,14 @@ function tryGetTile(tx, ty, z = 0) {
     if (cached && cached.length) {
       dlog('LS restore', { tile: key, strokes: cached.length });
       for (const s of cached) { if (s && s.id && !t.seen.has(s.id)) { drawStrokeOnTile(t, s); t.seen.add(s.id); t.cached.push(s); } }
+      t.rev = lsTileRev(z, tx, ty);
       t.loaded = true;
     }
-    // Then lazy load strokes from server and merge only new ones
+    // Then lazy load what changed on the server since the cached revision
     t._lastFetchAt = performance.now();
-    loadTileStrokes(tx, ty, z).then(strokes => {
-      dlog('HTTP restore result', { tile: key, strokes: (strokes||[]).length });
-      let added = 0;
-      for (const s of strokes) {
-        if (!s || !s.id || t.seen.has(s.id)) continue;
-        t.seen.add(s.id);
-        t.cached.push(s);
-        added++;
-      }
-      if (added > 0) {
-        // Persist authoritative list first (sync so subsequent LS reads see data)
-        try { lsSaveTileStrokesSync(z, tx, ty, t.cached); } catch (e) {}
-        // Rehydrate strictly from LS, then render from LS
-        const fresh = lsLoadTileStrokes(z, tx, ty) || [];
-        resetTile(t);
-        for (const s of fresh) { if (s && s.id) { drawStrokeOnTile(t, s); t.seen.add(s.id); } }
-        t.cached = fresh;
-        t.dirty = true;
-      }
+    loadTileStrokes(tx, ty, z).then(res => {
+      dlog('HTTP restore result', { tile: key, rev: res?.rev, full: res?.full, strokes: (res?.strokes || []).length });
+      applyTileSync(z, tx, ty, res);
       t.loaded = true; requestFrame();
     }).catch(() => {});
   }
@@ -282,6 +337,63 @@ function resetTile(tile) {
   dlog('Tile reset', tile.key);
 }
 
+// Drop cached strokes for a tile and redraw it from the server's current list
+function reloadTile(t) {
+  lsRemoveTileStrokes(t.z, t.tx, t.ty);
+  t.rev = undefined; // forces the full copy to replace what we have
+  t._lastFetchAt = performance.now();
+  loadTileStrokes(t.tx, t.ty, t.z).then(res => {
+    applyTileSync(t.z, t.tx, t.ty, res);
+    t.loaded = true; requestFrame();
+  }).catch(() => {});
+}
+
+// Merge a server tile response ({ rev, full, strokes }) into the tile, if
+// loaded, and its LS entry. Full responses replace what we have; others only
+// carry strokes newer than the cursor we sent.
+function applyTileSync(z, tx, ty, res) {
+  if (!res || !Number.isFinite(res.rev)) return;
+  const strokes = Array.isArray(res.strokes) ? res.strokes : [];
+  const t = tiles.get(tileKey(tx, ty, z));
+  if (t) {
+    // A full copy of the revision we already hold changes nothing
+    const replace = res.full && t.rev !== res.rev;
+    if (replace) resetTile(t);
+    let added = 0;
+    for (const s of strokes) { if (s && s.id && !t.seen.has(s.id)) { drawStrokeOnTile(t, s); t.seen.add(s.id); t.cached.push(s); added++; } }
+    t.rev = res.rev;
+    t.loaded = true;
+    if (replace || added || (res.full && lsTileRev(z, tx, ty) !== res.rev)) {
+      lsSaveTileStrokesSync(z, tx, ty, t.cached, res.rev);
+      t.dirty = true;
+      requestFrame();
+    } else {
+      lsSetTileRev(z, tx, ty, res.rev);
+    }
+    return;
+  }
+  if (res.full) {
+    if (lsTileRev(z, tx, ty) !== res.rev) lsSaveTileStrokesSync(z, tx, ty, strokes, res.rev);
+    return;
+  }
+  const cached = lsLoadTileStrokes(z, tx, ty);
+  if (!cached) return; // pruned since the request; the next read will be full
+  const ids = new Set(cached.map(s => s && s.id));
+  const fresh = strokes.filter(s => s && s.id && !ids.has(s.id));
+  if (fresh.length) lsSaveTileStrokesSync(z, tx, ty, cached.concat(fresh), res.rev);
+  else lsSetTileRev(z, tx, ty, res.rev);
+}
+
+// Attach each tile's cached revision so the server only sends newer strokes.
+// Callers that need complete tiles (export) pass plain {tx,ty} lists instead.
+function withCursors(tilesList, z) {
+  const idx = lsIndexLoad();
+  return tilesList.map(({ tx, ty }) => {
+    const rev = lsTileRev(z, tx, ty, idx);
+    return rev === undefined ? { tx, ty } : { tx, ty, rev };
+  });
+}
+
 function destroyTile(t) {
   try {
     for (const [, layer] of t.layers || []) {
@@ -396,8 +508,8 @@ function zoomToCenter(deltaScale) {
   zoomAt(cssW / 2, cssH / 2, deltaScale);
 }
 
-// Determine visible tiles for current view
-function visibleTilesList() {
+// Determine visible tiles for current view at pyramid level z
+function visibleTilesList(z = currentLevel()) {
   const dpr = STATE.dpr;
   const cssW = canvas.width / dpr;
   const cssH = canvas.height / dpr;
@@ -410,10 +522,11 @@ function visibleTilesList() {
   // Use an epsilon so a boundary that lies exactly on a tile edge
   // doesn't include the next tile that starts there.
   const eps = 1e-6;
-  const tx0 = Math.floor(minX / TILE_SIZE);
-  const ty0 = Math.floor(minY / TILE_SIZE);
-  const tx1 = Math.floor((maxX - eps) / TILE_SIZE);
-  const ty1 = Math.floor((maxY - eps) / TILE_SIZE);
+  const size = levelTileSize(z);
+  const tx0 = Math.floor(minX / size);
+  const ty0 = Math.floor(minY / size);
+  const tx1 = Math.floor((maxX - eps) / size);
+  const ty1 = Math.floor((maxY - eps) / size);
   const out = [];
   for (let ty = ty0; ty <= ty1; ty++) {
     for (let tx = tx0; tx <= tx1; tx++) {
@@ -440,48 +553,24 @@ function draw() {
   // Background checker/grid
   if (STATE.showGrid) drawBackgroundGrid(cssW, cssH);
 
-  // Visible tiles with guard for extreme zooms
-  const vis = visibleTilesList();
-  // Cap tiles rendered at extreme zoom-out (lowered for stability)
-  const MAX_TILES = 1600; // up to ~40x40 tiles
-  if (vis.length > 0 && vis.length <= MAX_TILES) {
-    for (const { tx, ty } of vis) {
-      const t = tryGetTile(tx, ty);
-      if (!t) continue;
-      compositeTile(t);
-      const wx = tx * TILE_SIZE;
-      const wy = ty * TILE_SIZE;
-      // draw only the inner tile area (crop out padding)
-      if (renderer && renderer.ok()) {
-        // Draw border first so it appears underneath content (like destination-over)
-        if (STATE.showGrid) renderer.drawRectOutline(wx, wy, TILE_SIZE, TILE_SIZE, 1 / view.scale, [1, 1, 1, 0.05]);
-        renderer.drawTile(t, wx, wy, TILE_SIZE, TILE_SIZE);
-      }
-    }
-  } else {
-    // Too many tiles: render a subset around center so strokes remain visible
-    const centerWorld = screenToWorld(cssW / 2, cssH / 2);
-    const tcx = Math.floor(centerWorld.x / TILE_SIZE);
-    const tcy = Math.floor(centerWorld.y / TILE_SIZE);
-    const side = Math.max(1, Math.floor(Math.sqrt(MAX_TILES)));
-    const half = Math.floor(side / 2);
-    const minTx = tcx - half, maxTx = tcx + half;
-    const minTy = tcy - half, maxTy = tcy + half;
-    for (let ty = minTy; ty <= maxTy; ty++) {
-      for (let tx = minTx; tx <= maxTx; tx++) {
-        const t = tryGetTile(tx, ty);
-        if (!t) continue;
-        compositeTile(t);
-        const wx = tx * TILE_SIZE;
-        const wy = ty * TILE_SIZE;
-        if (renderer && renderer.ok()) {
-          if (STATE.showGrid) renderer.drawRectOutline(wx, wy, TILE_SIZE, TILE_SIZE, 1 / view.scale, [1, 1, 1, 0.05]);
-          renderer.drawTile(t, wx, wy, TILE_SIZE, TILE_SIZE);
-        }
-      }
+  // Visible tiles at the pyramid level matching the current scale; picking the
+  // level keeps the tile count roughly constant at any zoom.
+  const z = currentLevel();
+  const size = levelTileSize(z);
+  const vis = visibleTilesList(z);
+  reportViewport();
+  for (const { tx, ty } of vis) {
+    const t = tryGetTile(tx, ty, z);
+    if (!t) continue;
+    compositeTile(t);
+    const wx = tx * size;
+    const wy = ty * size;
+    // draw only the inner tile area (crop out padding)
+    if (renderer && renderer.ok()) {
+      // Draw border first so it appears underneath content (like destination-over)
+      if (STATE.showGrid) renderer.drawRectOutline(wx, wy, size, size, 1 / view.scale, [1, 1, 1, 0.05]);
+      renderer.drawTile(t, wx, wy, size, size, TILE_SIZE, TILE_SIZE);
     }
-    // Flag to show subset hint in overlay to match original visuals
-    STATE._subsetHint = true;
   }
 
   // After drawing, trigger a websocket re-check for any tiles that just became visible
@@ -490,7 +579,7 @@ function draw() {
     const currentKeys = new Set();
     const entered = [];
     for (const { tx, ty } of vis) {
-      const key = tileKey(tx, ty, 0);
+      const key = tileKey(tx, ty, z);
       currentKeys.add(key);
       if (!_prevVisibleKeys.has(key)) {
         const t = tiles.get(key);
@@ -504,13 +593,13 @@ function draw() {
     _prevVisibleKeys = currentKeys;
     if (entered.length) {
       // Use the worker websocket path; incremental updates arrive as batchTile messages
-      try { fetchTilesBatch(entered, 0).catch(() => {}); } catch {}
+      try { fetchTilesBatch(withCursors(entered, z), z).catch(() => {}); } catch {}
     }
   } catch {}
 
   // Evict far-away/old tiles to bound memory
   const centerWorld2 = screenToWorld(cssW / 2, cssH / 2);
-  evictTiles(Math.floor(centerWorld2.x / TILE_SIZE), Math.floor(centerWorld2.y / TILE_SIZE));
+  evictTiles(Math.floor(centerWorld2.x / size), Math.floor(centerWorld2.y / size));
 
   // Overlay: cursors and in-progress stroke
   drawOverlay();
@@ -518,7 +607,7 @@ function draw() {
 
 function drawBackgroundGrid(w, h) {
   if (!(renderer && renderer.ok())) return;
-  const spacing = TILE_SIZE;
+  const spacing = levelTileSize(currentLevel());
   const min = screenToWorld(0, 0);
   const max = screenToWorld(w, h);
   const thickness = 1 / view.scale; // 1px in screen space
@@ -556,10 +645,39 @@ function drawOverlay() {
     octx.restore();
   }
 
-  // Remote cursors
+  // Object eraser footprint
+  if (objectErase) {
+    const c = worldToScreen(objectErase.last.x, objectErase.last.y);
+    octx.save();
+    octx.strokeStyle = 'rgba(255,255,255,0.8)';
+    octx.lineWidth = 1;
+    octx.beginPath();
+    octx.arc(c.x, c.y, Math.max(2, (objectErase.size * view.scale) / 2), 0, Math.PI * 2);
+    octx.stroke();
+    octx.restore();
+  }
+
+  // Protected region outlines: red where we're locked out, accent where we may draw
+  for (const r of regions) {
+    const a = worldToScreen(r.minX, r.minY);
+    const b = worldToScreen(r.maxX, r.maxY);
+    octx.save();
+    octx.setLineDash([6, 4]);
+    octx.lineWidth = 1.5;
+    octx.strokeStyle = r.allowed ? 'rgba(106,165,255,0.8)' : 'rgba(255,90,90,0.8)';
+    octx.strokeRect(a.x, a.y, b.x - a.x, b.y - a.y);
+    octx.restore();
+  }
+
+  // Remote cursors (dimmed while away)
+  const now = performance.now();
+  let gliding = false;
   for (const [id, p] of peers) {
-    const s = worldToScreen(p.x || 0, p.y || 0);
+    const pos = peerPosition(p, now);
+    if (now - p.at < p.dur) gliding = true;
+    const s = worldToScreen(pos.x, pos.y);
     octx.save();
+    if (p.away) octx.globalAlpha = 0.35;
     octx.fillStyle = p.color || '#fff';
     octx.strokeStyle = 'rgba(0,0,0,0.5)';
     octx.lineWidth = 2;
@@ -572,16 +690,7 @@ function drawOverlay() {
     octx.fillText(p.name || id, s.x + 10, s.y - 10);
     octx.restore();
   }
-  // Subset hint text when too many tiles are shown
-  if (STATE._subsetHint) {
-    octx.save();
-    octx.setTransform(dpr, 0, 0, dpr, 0, 0);
-    octx.fillStyle = 'rgba(255,255,255,0.8)';
-    octx.font = '14px system-ui, -apple-system, Segoe UI';
-    octx.fillText('Showing subset — zoom in for full detail', 16, 48);
-    octx.restore();
-    STATE._subsetHint = false;
-  }
+  if (gliding) requestFrame();
 }
 
 let raf = null;
@@ -592,19 +701,21 @@ function drawStrokeOnTile(tile, stroke) {
   const layer = getTileLayer(tile, stroke.userId || '');
   const tctx = layer.ctx;
   tctx.save();
-  // Move world coords into tile-local coords
-  tctx.setTransform(1, 0, 0, 1, -tile.tx * TILE_SIZE + tile.pad, -tile.ty * TILE_SIZE + tile.pad);
+  // Move world coords into tile-local coords (one texel spans 2^z world px)
+  const k = 1 / Math.pow(2, tile.z || 0);
+  tctx.setTransform(k, 0, 0, k, -tile.tx * TILE_SIZE + tile.pad, -tile.ty * TILE_SIZE + tile.pad);
   tctx.globalAlpha = stroke.opacity ?? 1;
   tctx.lineCap = 'round';
   tctx.lineJoin = 'round';
-  tctx.lineWidth = Number(stroke.size) || 4;
+  // Keep thin strokes at least one texel wide so they survive coarse levels
+  tctx.lineWidth = Math.max(Number(stroke.size) || 4, 1 / k);
   const erase = Boolean(stroke.erase);
   tctx.globalCompositeOperation = erase ? 'destination-out' : 'source-over';
   tctx.strokeStyle = stroke.color || '#000';
   const pts = stroke.points || [];
   if (pts.length === 1) {
     const p = pts[0];
-    const r = (Number(stroke.size) || 4) / 2;
+    const r = Math.max(Number(stroke.size) || 4, 1 / k) / 2;
     tctx.beginPath();
     tctx.arc(p.x, p.y, r, 0, Math.PI * 2);
     // Fill to create a round dab for single-point strokes
@@ -659,24 +770,44 @@ function applyLiveEraserSegment(stroke, p0, p1) {
     erase: true,
     points: [p0, p1]
   };
-  const tilesTouched = tilesForStroke(seg);
+  const z = currentLevel();
+  const tilesTouched = tilesForStroke(seg, z);
   for (const { tx, ty } of tilesTouched) {
-    const t = tryGetTile(tx, ty);
+    const t = tryGetTile(tx, ty, z);
     if (!t) continue;
     drawStrokeOnTile(t, seg);
   }
 }
 
-function tilesForStroke(stroke) {
+// Draw a stroke into the tiles it touches: at the displayed level (creating
+// tiles as needed) and into already-loaded tiles of the other levels.
+function applyStrokeToTiles(stroke) {
+  const current = currentLevel();
+  for (let z = 0; z <= MAX_Z; z++) {
+    for (const { tx, ty } of tilesForStroke(stroke, z)) {
+      const t = z === current ? tryGetTile(tx, ty, z) : tiles.get(tileKey(tx, ty, z));
+      if (!t) continue;
+      if (!t.seen.has(stroke.id)) {
+        drawStrokeOnTile(t, stroke);
+        t.seen.add(stroke.id);
+        t.cached.push(stroke);
+        lsSaveTileStrokes(z, tx, ty, t.cached);
+      }
+    }
+  }
+}
+
+function tilesForStroke(stroke, z = 0) {
   const pts = stroke.points || [];
   if (pts.length === 0) return [];
   let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
   for (const p of pts) { if (p.x < minX) minX = p.x; if (p.y < minY) minY = p.y; if (p.x > maxX) maxX = p.x; if (p.y > maxY) maxY = p.y; }
   const pad = (stroke.size || 4) * 2;
-  const tx0 = Math.floor((minX - pad) / TILE_SIZE);
-  const ty0 = Math.floor((minY - pad) / TILE_SIZE);
-  const tx1 = Math.floor((maxX + pad) / TILE_SIZE);
-  const ty1 = Math.floor((maxY + pad) / TILE_SIZE);
+  const size = levelTileSize(z);
+  const tx0 = Math.floor((minX - pad) / size);
+  const ty0 = Math.floor((minY - pad) / size);
+  const tx1 = Math.floor((maxX + pad) / size);
+  const ty1 = Math.floor((maxY + pad) / size);
   const list = [];
   for (let ty = ty0; ty <= ty1; ty++) for (let tx = tx0; tx <= tx1; tx++) list.push({ tx, ty });
   return list;
@@ -689,12 +820,14 @@ async function loadTileStrokes(tx, ty, z = 0) {
   if (!worker) {
     // fallback: direct HTTP request for this single tile
     try {
-      const resp = await fetch(`/api/tile-strokes?z=${encodeURIComponent(z)}&tx=${encodeURIComponent(tx)}&ty=${encodeURIComponent(ty)}`);
-      if (!resp.ok) return [];
+      const rev = lsTileRev(z, tx, ty);
+      const cursor = rev === undefined ? '' : `&rev=${rev}`;
+      const resp = await fetch(`/api/tile-strokes?z=${encodeURIComponent(z)}&tx=${encodeURIComponent(tx)}&ty=${encodeURIComponent(ty)}&room=${encodeURIComponent(ROOM)}${cursor}`);
+      if (!resp.ok) return null;
       const json = await resp.json().catch(() => null);
-      if (!json || !Array.isArray(json.strokes)) return [];
-      return json.strokes;
-    } catch (e) { return []; }
+      if (!json || !Array.isArray(json.strokes)) return null;
+      return json;
+    } catch (e) { return null; }
   }
   const key = `${z}:${tx}:${ty}`;
   let entry = _tileBatchQueue.get(key);
@@ -708,39 +841,46 @@ async function loadTileStrokes(tx, ty, z = 0) {
   if (!_tileBatchTimer) {
     _tileBatchTimer = setTimeout(() => {
       _tileBatchTimer = null;
-      const items = Array.from(_tileBatchQueue.values());
+      const queued = Array.from(_tileBatchQueue.values());
       _tileBatchQueue.clear();
-      const tilesList = items.map(it => ({ tx: it.tx, ty: it.ty }));
-      const reqId = cryptoId();
-      // store a pending that will distribute results to per-tile resolvers
-      _workerPending.set(reqId, {
-        resolve: (tilesResp) => {
-          try {
-            const map = new Map();
-            for (const t of tilesResp || []) {
-              const k = `${t.z || 0}:${t.tx}:${t.ty}`;
-              map.set(k, t);
-            }
-            for (const it of items) {
-              const k = `${it.z || 0}:${it.tx}:${it.ty}`;
-              const tileObj = map.get(k);
-              const strokes = tileObj && Array.isArray(tileObj.strokes) ? tileObj.strokes : [];
-              for (const r of it.resolvers) {
-                try { r.resolve(strokes); } catch (e) {}
+      // One batch per pyramid level since a tilesRequest carries a single z
+      const byLevel = new Map();
+      for (const it of queued) {
+        if (!byLevel.has(it.z)) byLevel.set(it.z, []);
+        byLevel.get(it.z).push(it);
+      }
+      for (const [z, items] of byLevel) {
+        const tilesList = withCursors(items, z);
+        const reqId = cryptoId();
+        // store a pending that will distribute results to per-tile resolvers
+        _workerPending.set(reqId, {
+          resolve: (tilesResp) => {
+            try {
+              const map = new Map();
+              for (const t of tilesResp || []) {
+                const k = `${t.z || 0}:${t.tx}:${t.ty}`;
+                map.set(k, t);
               }
-            }
-          } catch (e) {
-            for (const it of items) for (const r of it.resolvers) try { r.resolve([]); } catch (e) {}
-          } finally { _workerPending.delete(reqId); }
-        },
-        reject: () => { for (const it of items) for (const r of it.resolvers) try { r.resolve([]); } catch (e) {} },
-        type: 'batch'
-      });
-      try {
-        worker.postMessage({ type: 'batchFetch', id: reqId, z: 0, tiles: tilesList });
-      } catch (e) {
-        for (const it of items) for (const r of it.resolvers) try { r.resolve([]); } catch (e) {}
-        _workerPending.delete(reqId);
+              for (const it of items) {
+                const k = `${it.z || 0}:${it.tx}:${it.ty}`;
+                const tileObj = map.get(k) || null;
+                for (const r of it.resolvers) {
+                  try { r.resolve(tileObj); } catch (e) {}
+                }
+              }
+            } catch (e) {
+              for (const it of items) for (const r of it.resolvers) try { r.resolve(null); } catch (e) {}
+            } finally { _workerPending.delete(reqId); }
+          },
+          reject: () => { for (const it of items) for (const r of it.resolvers) try { r.resolve(null); } catch (e) {} },
+          type: 'batch'
+        });
+        try {
+          worker.postMessage({ type: 'batchFetch', id: reqId, z, room: ROOM, tiles: tilesList });
+        } catch (e) {
+          for (const it of items) for (const r of it.resolvers) try { r.resolve(null); } catch (e) {}
+          _workerPending.delete(reqId);
+        }
       }
     }, 40);
   }
@@ -759,36 +899,27 @@ function visibleTileBounds() {
   const maxX = Math.max(tl.x, br.x);
   const maxY = Math.max(tl.y, br.y);
   const eps = 1e-6;
-  const tx0 = Math.floor(minX / TILE_SIZE);
-  const ty0 = Math.floor(minY / TILE_SIZE);
-  const tx1 = Math.floor((maxX - eps) / TILE_SIZE);
-  const ty1 = Math.floor((maxY - eps) / TILE_SIZE);
-  return { tx0, ty0, tx1, ty1 };
+  const z = currentLevel();
+  const size = levelTileSize(z);
+  const tx0 = Math.floor(minX / size);
+  const ty0 = Math.floor(minY / size);
+  const tx1 = Math.floor((maxX - eps) / size);
+  const ty1 = Math.floor((maxY - eps) / size);
+  return { z, tx0, ty0, tx1, ty1 };
 }
 
 async function batchFetchVisibleOnce() {
   // Use same logic as draw()
-  const tilesList = visibleTilesList();
+  const z = currentLevel();
+  const tilesList = visibleTilesList(z);
   if (tilesList.length === 0) return;
   try {
-    const z = 0;
-    dlog('Batch restore start', { count: tilesList.length, bounds: { tx0, ty0, tx1, ty1 } });
+    dlog('Batch restore start', { count: tilesList.length, bounds: visibleTileBounds() });
     // Use fetchTilesBatch which handles worker + HTTP fallback
-    const tilesResp = await fetchTilesBatch(tilesList, z);
+    const tilesResp = await fetchTilesBatch(withCursors(tilesList, z), z);
     for (const t of tilesResp || []) {
-      const arr = Array.isArray(t.strokes) ? t.strokes : [];
-      // Persist authoritative list in LS for this tile (sync so immediate reads see it)
-      lsSaveTileStrokesSync(z, t.tx, t.ty, arr);
-      // If we already have the tile object, reset and draw strictly from LS
-      const key = tileKey(t.tx, t.ty, z);
-      const tile = tiles.get(key);
-      if (tile) {
-        resetTile(tile);
-        const cached = lsLoadTileStrokes(z, t.tx, t.ty) || [];
-        for (const s of cached) { if (s && s.id) { drawStrokeOnTile(tile, s); tile.seen.add(s.id); tile.cached.push(s); } }
-        tile.dirty = true;
-      }
-      dlog('Batch tile applied', { tile: key, strokes: arr.length });
+      applyTileSync(z, t.tx, t.ty, t);
+      dlog('Batch tile applied', { tile: tileKey(t.tx, t.ty, z), rev: t.rev, full: t.full, strokes: (t.strokes || []).length });
     }
     dlog('Batch restore done');
     requestFrame();
@@ -805,18 +936,18 @@ async function fetchTilesBatch(tilesList, z = 0) {
   const reqId = cryptoId();
   return await new Promise((resolve) => {
     _workerPending.set(reqId, { resolve, reject: () => {}, type: 'batch' });
-    try { worker.postMessage({ type: 'batchFetch', id: reqId, z, tiles: tilesList }); } catch (e) { _workerPending.delete(reqId); resolve([]); }
+    try { worker.postMessage({ type: 'batchFetch', id: reqId, z, room: ROOM, tiles: tilesList }); } catch (e) { _workerPending.delete(reqId); resolve([]); }
   });
 }
 
 // HTTP fallback that posts to server batch endpoint if worker is unavailable
 async function fetchTilesBatchHttp(tilesList, z = 0) {
   try {
-    const resp = await fetch('/api/tile-strokes-batch', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ z, tiles: tilesList }) });
+    const resp = await fetch('/api/tile-strokes-batch', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ z, room: ROOM, tiles: tilesList }) });
     if (!resp.ok) return [];
     const json = await resp.json().catch(() => null);
     if (!json || !Array.isArray(json.tiles)) return [];
-    return json.tiles.map(t => ({ z: Number(t.z || 0), tx: Number(t.tx), ty: Number(t.ty), strokes: Array.isArray(t.strokes) ? t.strokes : [] }));
+    return json.tiles.map(t => ({ z: Number(t.z || 0), tx: Number(t.tx), ty: Number(t.ty), rev: t.rev, full: t.full, strokes: Array.isArray(t.strokes) ? t.strokes : [] }));
   } catch (e) { return []; }
 }
 
@@ -835,9 +966,9 @@ async function fetchTilesBatchWithFallback(tilesList, z = 0) {
 
 // Populate/validate localStorage for all visible tiles using chunked batch requests
 async function populateVisibleFromServer() {
-  const z = 0;
+  const z = currentLevel();
   // Use the same robust visibility used for drawing
-  const tilesList = visibleTilesList();
+  const tilesList = visibleTilesList(z);
   if (tilesList.length === 0) return;
   dlog('Populate LS: batches', { count: tilesList.length });
 
@@ -846,20 +977,10 @@ async function populateVisibleFromServer() {
   for (let i = 0; i < tilesList.length; i += CHUNK) {
     const chunk = tilesList.slice(i, i + CHUNK);
     try {
-      const resp = await fetchTilesBatchWithFallback(chunk, z);
+      const resp = await fetchTilesBatchWithFallback(withCursors(chunk, z), z);
       for (const t of resp || []) {
-        const arr = Array.isArray(t.strokes) ? t.strokes : [];
-        // Persist authoritative list synchronously so rehydrate reads succeed immediately
-        try { lsSaveTileStrokesSync(z, t.tx, t.ty, arr); } catch (e) {}
-        const key = tileKey(t.tx, t.ty, z);
-        const tile = tiles.get(key);
-        if (tile) {
-          resetTile(tile);
-          const cached = lsLoadTileStrokes(z, t.tx, t.ty) || [];
-          for (const s of cached) { if (s && s.id) { drawStrokeOnTile(tile, s); tile.seen.add(s.id); tile.cached.push(s); } }
-          tile.dirty = true;
-        }
-        dlog('Populate LS: applied batch tile', { tile: key, strokes: arr.length });
+        applyTileSync(z, t.tx, t.ty, t);
+        dlog('Populate LS: applied batch tile', { tile: tileKey(t.tx, t.ty, z), rev: t.rev, full: t.full, strokes: (t.strokes || []).length });
       }
       // Yield to rendering between chunks
       await new Promise(r => setTimeout(r, 0));
@@ -873,7 +994,7 @@ async function populateVisibleFromServer() {
 function sendStroke(stroke) {
   const msg = { type: 'stroke', payload: stroke };
   if (wsReady) {
-    try { ws.send(JSON.stringify(msg)); return; } catch {}
+    try { ws.send(wsBinary ? encodeFrame('stroke', stroke) : JSON.stringify(msg)); return; } catch {}
   }
   // fallback to HTTP
   // Debounce persist calls slightly so quick successive finalize events don't spam
@@ -885,72 +1006,158 @@ function sendStroke(stroke) {
     const last = sendStroke._queue[sendStroke._queue.length - 1];
     sendStroke._queue.length = 0;
     dlog('HTTP persist stroke', { id: last?.id, points: last?.points?.length || 0 });
-    fetch('/api/stroke', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(last) }).catch(() => {});
+    fetch('/api/stroke', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ ...last, room: ROOM, token: myToken }) })
+      .then(async resp => {
+        if (resp.status === 429) {
+          retractStroke(last.id);
+          showToast('Drawing too fast: the last stroke was not saved');
+        } else if (resp.status === 400 || resp.status === 413) {
+          const err = await resp.json().catch(() => null);
+          retractStroke(last.id);
+          showToast(`Stroke not saved: ${err?.message || 'invalid'}`);
+        }
+      })
+      .catch(() => {});
   }, 200);
 }
 
+// Tell the server which tiles we can see so it only relays nearby strokes and
+// cursors; sent whenever the visible range changes.
+let lastViewportKey = '';
+function reportViewport() {
+  if (!wsReady || !myId) return;
+  const b = visibleTileBounds();
+  const key = `${b.z}:${b.tx0}:${b.ty0}:${b.tx1}:${b.ty1}`;
+  if (key === lastViewportKey) return;
+  lastViewportKey = key;
+  try { ws.send(JSON.stringify({ type: 'viewport', payload: b })); } catch {}
+}
+
 function connectWS() {
   const proto = location.protocol === 'https:' ? 'wss:' : 'ws:';
   ws = new WebSocket(`${proto}//${location.host}/ws`);
-  ws.addEventListener('open', () => { wsReady = true; dlog('WS open'); });
-  // Identify this connection as a peer (broadcast channel) with persisted session id if available
+  ws.binaryType = 'arraybuffer';
+  wsBinary = false;
+  ws.addEventListener('open', () => { wsReady = true; wsLastMessageAt = performance.now(); dlog('WS open'); });
+  // Identify this connection as a peer (broadcast channel) with the persisted session token if available
   ws.addEventListener('open', () => {
     try {
-      let sid = null;
-      try { sid = localStorage.getItem(LS_SESSION_ID) || null; } catch {}
-      const payload = { role: 'peer' };
-      if (sid) payload.id = sid;
+      let token = myToken;
+      try { token = token || localStorage.getItem(LS_SESSION_TOKEN) || null; } catch {}
+      const payload = { role: 'peer', room: ROOM, binary: WIRE_VERSION };
+      if (token) payload.token = token;
       if (myName) payload.name = myName;
       // Provide a starting color so peers may see a consistent cursor before first presence broadcast
       payload.color = myColor;
       ws.send(JSON.stringify({ type: 'identify', payload }));
     } catch {}
   });
-  ws.addEventListener('close', () => { wsReady = false; dlog('WS close'); setTimeout(connectWS, 1000); });
+  ws.addEventListener('close', (ev) => {
+    if (ev.target !== ws) return; // replaced by the heartbeat watchdog
+    wsReady = false; dlog('WS close'); setTimeout(connectWS, 1000);
+  });
   ws.addEventListener('message', (ev) => {
-    let msg; try { msg = JSON.parse(ev.data); } catch { return; }
+    wsLastMessageAt = performance.now();
+    let msg; try { msg = typeof ev.data === 'string' ? JSON.parse(ev.data) : decodeFrame(new Uint8Array(ev.data)); } catch { return; }
     const { type, payload } = msg || {};
-    if (type === 'welcome') {
-      myId = payload.id; myName = payload.name;
+    if (type === 'ping') {
+      try { ws.send(JSON.stringify({ type: 'pong', payload })); } catch {}
+    } else if (type === 'welcome') {
+      myId = payload.id; myName = payload.name; myToken = payload.token || null;
+      wsBinary = payload.binary === true;
+      if (payload.heartbeatMs > 0) wsHeartbeatMs = payload.heartbeatMs;
       // Persist session identity for future reloads
-      try { localStorage.setItem(LS_SESSION_ID, String(myId || '')); } catch {}
+      try { localStorage.setItem(LS_SESSION_TOKEN, String(myToken || '')); } catch {}
       try { if (myName) localStorage.setItem(LS_SESSION_NAME, String(myName)); } catch {}
-      for (const p of payload.others || []) { peers.set(p.id, p); }
+      // Peers that left while we were disconnected are not in the snapshot
+      peers.clear();
+      for (const p of payload.others || []) { peers.set(p.id, { ...p, at: performance.now() }); }
       // Sync our current picker color to presence immediately
       const center = screenToWorld((canvas.width / STATE.dpr) / 2, (canvas.height / STATE.dpr) / 2);
       sendPresence(center);
+      lastViewportKey = '';
+      reportViewport();
+      loadRegions();
       dlog('WS welcome', { peers: (payload.others||[]).length, id: myId });
       requestFrame();
-    } else if (type === 'presence') {
-      const { id, x, y, color, name } = payload;
-      peers.set(id, { ...(peers.get(id) || {}), x, y, color, name });
+    } else if (type === 'presenceFrame') {
+      // payload: { peers: [{id,x,y,color,name,away}] } - cursors that changed since the last tick
+      const now = performance.now();
+      for (const p of payload.peers || []) {
+        const prev = peers.get(p.id);
+        const from = prev ? peerPosition(prev, now) : p;
+        // Glide over the time since this peer's last update: peers send at most
+        // every 500ms, so jumping straight to each position would look choppy
+        const dur = prev?.at ? Math.min(1000, now - prev.at) : 0;
+        peers.set(p.id, { ...prev, ...p, away: p.away === true, fromX: from.x, fromY: from.y, at: now, dur });
+      }
       requestFrame();
     } else if (type === 'leave') {
       peers.delete(payload.id);
       requestFrame();
+    } else if (type === 'undo' || type === 'redo') {
+      // A stroke was hidden/restored server-side: purge cached copies and redraw
+      dlog('WS ' + type, { id: payload?.id, tiles: payload?.tiles?.length || 0 });
+      for (const { z, tx, ty } of payload.tiles || []) {
+        const t = tiles.get(tileKey(tx, ty, z));
+        if (t) reloadTile(t); else lsRemoveTileStrokes(z, tx, ty);
+      }
+      requestFrame();
+    } else if (type === 'rateLimited') {
+      // payload: { kind, retryMs, id? } (or undo/redo/ids for refused undos and deletes)
+      dlog('WS rateLimited', payload);
+      if (payload?.id) retractStroke(payload.id);
+      showToast(payload?.id ? 'Drawing too fast: the last stroke was not saved' : 'Too many requests, slow down a little');
+    } else if (type === 'regionsChanged') {
+      loadRegions();
+    } else if (type === 'deleteRejected') {
+      // payload: { ids, code, tiles } - object-erased strokes the server kept
+      dlog('WS deleteRejected', payload);
+      for (const { z, tx, ty } of payload.tiles || []) {
+        const t = tiles.get(tileKey(tx, ty, z));
+        if (t) reloadTile(t); else lsRemoveTileStrokes(z, tx, ty);
+      }
+      if (payload?.code === 'protected_region') showToast('Some strokes are in a protected region and were kept');
+    } else if (type === 'strokeRejected') {
+      // payload: { id, code, field, message } from server-side validation
+      dlog('WS strokeRejected', payload);
+      if (payload?.id) retractStroke(payload.id);
+      showToast(`Stroke not saved: ${payload?.message || payload?.code || 'invalid'}`);
+    } else if (type === 'strokesDeleted') {
+      dlog('WS strokesDeleted', { ids: payload?.ids?.length || 0 });
+      removeStrokesLocally(payload.ids || [], payload.tiles || []);
+      requestFrame();
     } else if (type === 'stroke') {
       // Draw onto tiles
       dlog('WS stroke', { id: payload?.id, points: payload?.points?.length || 0 });
-      const tilesTouched = tilesForStroke(payload);
-      for (const { tx, ty } of tilesTouched) {
-        const t = tryGetTile(tx, ty);
-        if (!t) continue;
-        if (!t.seen.has(payload.id)) {
-          drawStrokeOnTile(t, payload);
-          t.seen.add(payload.id);
-          t.cached.push(payload);
-          lsSaveTileStrokes(0, tx, ty, t.cached);
-        }
-      }
+      applyStrokeToTiles(payload);
       requestFrame();
     }
   });
 }
 
+// Heartbeat watchdog: the server pings every wsHeartbeatMs, so two intervals of
+// silence mean the connection is gone even if the browser hasn't noticed yet
+setInterval(() => {
+  if (!wsReady || performance.now() - wsLastMessageAt < wsHeartbeatMs * 2) return;
+  dlog('WS heartbeat timeout');
+  const dead = ws;
+  wsReady = false;
+  connectWS();
+  try { dead.close(); } catch {}
+}, 5000);
+
+// Background tabs show as away to everyone else until they are used again
+document.addEventListener('visibilitychange', () => {
+  lastPresenceAt = 0;
+  sendPresence(lastPresencePos, document.hidden);
+});
+
 // UI handlers
 toolPanBtn.addEventListener('click', () => setTool('pan'));
 toolPenBtn.addEventListener('click', () => setTool('pen'));
 toolEraserBtn.addEventListener('click', () => setTool('eraser'));
+if (toolObjectEraserBtn) toolObjectEraserBtn.addEventListener('click', () => setTool('objectEraser'));
 colorInput.addEventListener('input', () => {
   myColor = colorInput.value;
   localStorage.setItem('color', myColor);
@@ -969,11 +1176,26 @@ opacityInput.addEventListener('input', () => {
   requestFrame();
 });
 
+function undo() {
+  if (!wsReady || undoStack.length === 0) return;
+  const id = undoStack.pop();
+  try { ws.send(JSON.stringify({ type: 'undo', payload: { id } })); } catch { undoStack.push(id); return; }
+  redoStack.push(id);
+}
+
+function redo() {
+  if (!wsReady || redoStack.length === 0) return;
+  const id = redoStack.pop();
+  try { ws.send(JSON.stringify({ type: 'redo', payload: { id } })); } catch { redoStack.push(id); return; }
+  undoStack.push(id);
+}
+
 function setTool(t) {
   tool = t;
   toolPanBtn.classList.toggle('active', t === 'pan');
   toolPenBtn.classList.toggle('active', t === 'pen');
   toolEraserBtn.classList.toggle('active', t === 'eraser');
+  if (toolObjectEraserBtn) toolObjectEraserBtn.classList.toggle('active', t === 'objectEraser');
   try { localStorage.setItem('tool', tool); } catch {}
 }
 
@@ -982,11 +1204,14 @@ canvas.addEventListener('pointerdown', (e) => {
   if (pointerId !== null) return;
   canvas.setPointerCapture(e.pointerId);
   pointerId = e.pointerId;
-  const isPanMode = spaceHeld || e.button === 1 || tool === 'pan' || (tool !== 'pen' && tool !== 'eraser');
+  const isPanMode = spaceHeld || e.button === 1 || tool === 'pan' || (tool !== 'pen' && tool !== 'eraser' && tool !== 'objectEraser');
   const world = screenToWorld(e.clientX, e.clientY);
   if (isPanMode) {
     isPanning = true;
     lastPointer = { x: e.clientX, y: e.clientY };
+  } else if (tool === 'objectEraser') {
+    objectErase = { last: world, size: Number(sizeInput.value) || 12, hits: new Set() };
+    eraseObjectsAlong(world, world);
   } else {
     isDrawing = true;
     activeStroke = {
@@ -1007,6 +1232,7 @@ canvas.addEventListener('pointermove', (e) => {
     // still send presence
     const pt = screenToWorld(e.clientX, e.clientY);
     sendPresence(pt);
+    updateCursor(pt);
     return;
   }
   const pt = screenToWorld(e.clientX, e.clientY);
@@ -1017,6 +1243,10 @@ canvas.addEventListener('pointermove', (e) => {
     lastPointer = { x: e.clientX, y: e.clientY };
     updateUrlFromView();
   }
+  if (objectErase) {
+    eraseObjectsAlong(objectErase.last, pt);
+    objectErase.last = pt;
+  }
   if (isDrawing && activeStroke) {
     const last = activeStroke.points[activeStroke.points.length - 1];
     const dx = pt.x - last.x; const dy = pt.y - last.y;
@@ -1044,10 +1274,17 @@ canvas.addEventListener('pointerup', (e) => {
     finalizeStroke(activeStroke);
     isDrawing = false; activeStroke = null;
   }
+  if (objectErase) {
+    sendDeleteStrokes(Array.from(objectErase.hits));
+    objectErase = null;
+    requestFrame();
+  }
 });
 
 canvas.addEventListener('pointercancel', () => {
-  pointerId = null; isPanning = false; isDrawing = false; activeStroke = null; lastPointer = null; requestFrame();
+  // Strokes already hit were removed locally; persist that rather than leaving them half-deleted
+  if (objectErase) sendDeleteStrokes(Array.from(objectErase.hits));
+  pointerId = null; isPanning = false; isDrawing = false; activeStroke = null; objectErase = null; lastPointer = null; requestFrame();
 });
 
 // Wheel zoom
@@ -1059,9 +1296,15 @@ canvas.addEventListener('wheel', (e) => {
 
 // Space to pan
 window.addEventListener('keydown', (e) => {
+  if ((e.ctrlKey || e.metaKey) && (e.key === 'z' || e.key === 'Z' || e.key === 'y' || e.key === 'Y')) {
+    e.preventDefault();
+    if (e.shiftKey || e.key === 'y' || e.key === 'Y') redo(); else undo();
+    return;
+  }
   if (e.code === 'Space') { spaceHeld = true; }
   if (e.key === 'b' || e.key === 'B') setTool('pen');
   if (e.key === 'e' || e.key === 'E') setTool('eraser');
+  if (e.key === 'x' || e.key === 'X') setTool('objectEraser');
 });
 window.addEventListener('keyup', (e) => { if (e.code === 'Space') spaceHeld = false; });
 
@@ -1086,6 +1329,34 @@ if (exportSvgBtn) exportSvgBtn.addEventListener('click', () => {
   try { exportVisibleAreaToSvg(); } catch (e) { dlog('SVG export failed', e && e.message); }
 });
 
+// Import (SVG or JSON dump), placed with its top-left at the center of the view.
+// The server broadcasts the new strokes, so they arrive like anyone else's.
+if (importBtn && importInput) {
+  importBtn.addEventListener('click', () => importInput.click());
+  importInput.addEventListener('change', () => {
+    const file = importInput.files && importInput.files[0];
+    importInput.value = '';
+    if (file) importFile(file);
+  });
+}
+
+async function importFile(file) {
+  const dpr = STATE.dpr;
+  const at = screenToWorld(canvas.width / dpr / 2, canvas.height / dpr / 2);
+  const format = /\.svg$/i.test(file.name) || file.type === 'image/svg+xml' ? 'svg' : 'json';
+  const qs = `room=${encodeURIComponent(ROOM)}&format=${format}&x=${Math.round(at.x)}&y=${Math.round(at.y)}`;
+  try {
+    const resp = await fetch(`/api/import?${qs}`, { method: 'POST', headers: sessionHeaders(), body: await file.text() });
+    const res = await resp.json().catch(() => ({}));
+    if (!resp.ok) { showToast(`Import failed: ${res.error || resp.status}`); return; }
+    const skipped = res.skipped?.length ? ` (${res.skipped.length} skipped)` : '';
+    showToast(`Imported ${res.ids.length} strokes${skipped}`);
+  } catch (e) {
+    showToast('Import failed');
+    dlog('import failed', e && e.message);
+  }
+}
+
 function strokeBBox(stroke) {
   const pts = Array.isArray(stroke?.points) ? stroke.points : [];
   if (!pts.length) return null;
@@ -1103,6 +1374,124 @@ function strokeBBox(stroke) {
   return { minX: minX - pad, minY: minY - pad, maxX: maxX + pad, maxY: maxY + pad };
 }
 
+// Squared distance from point p to segment ab
+function distSqToSegment(p, a, b) {
+  const dx = b.x - a.x, dy = b.y - a.y;
+  const len2 = dx * dx + dy * dy;
+  let t = len2 > 0 ? ((p.x - a.x) * dx + (p.y - a.y) * dy) / len2 : 0;
+  t = Math.max(0, Math.min(1, t));
+  const ex = p.x - (a.x + t * dx), ey = p.y - (a.y + t * dy);
+  return ex * ex + ey * ey;
+}
+
+function segmentsIntersect(a, b, c, d) {
+  const cross = (o, p, q) => (p.x - o.x) * (q.y - o.y) - (p.y - o.y) * (q.x - o.x);
+  const d1 = cross(c, d, a), d2 = cross(c, d, b), d3 = cross(a, b, c), d4 = cross(a, b, d);
+  return ((d1 > 0) !== (d2 > 0)) && ((d3 > 0) !== (d4 > 0)) && d1 !== 0 && d2 !== 0 && d3 !== 0 && d4 !== 0;
+}
+
+// Does the eraser sweep (segment p0-p1 with radius r) touch the stroke's polyline?
+function strokeHitBySweep(stroke, p0, p1, r) {
+  const bb = strokeBBox(stroke);
+  if (!bb) return false;
+  if (Math.max(p0.x, p1.x) + r < bb.minX || Math.min(p0.x, p1.x) - r > bb.maxX ||
+      Math.max(p0.y, p1.y) + r < bb.minY || Math.min(p0.y, p1.y) - r > bb.maxY) return false;
+  const reach = r + (Number(stroke.size) || 4) / 2;
+  const reach2 = reach * reach;
+  const pts = stroke.points;
+  if (pts.length === 1) return distSqToSegment(pts[0], p0, p1) <= reach2;
+  for (let i = 1; i < pts.length; i++) {
+    const a = pts[i - 1], b = pts[i];
+    if (segmentsIntersect(a, b, p0, p1)) return true;
+    if (distSqToSegment(p0, a, b) <= reach2 || distSqToSegment(p1, a, b) <= reach2 ||
+        distSqToSegment(a, p0, p1) <= reach2 || distSqToSegment(b, p0, p1) <= reach2) return true;
+  }
+  return false;
+}
+
+// Object eraser: hit-test loaded strokes at the displayed level along the
+// pointer path and remove hits locally right away; ids are sent on release.
+function eraseObjectsAlong(p0, p1) {
+  if (!objectErase) return;
+  const r = objectErase.size / 2;
+  const z = currentLevel();
+  const found = [];
+  for (const t of tiles.values()) {
+    if (t.z !== z) continue;
+    for (const s of t.cached) {
+      if (!s || !s.id || s.erase || objectErase.hits.has(s.id)) continue;
+      if (strokeInLockedRegion(s)) continue; // the server would refuse it
+      if (strokeHitBySweep(s, p0, p1, r)) { objectErase.hits.add(s.id); found.push(s.id); }
+    }
+  }
+  if (found.length) removeStrokesLocally(found, []);
+}
+
+// Drop strokes from in-memory tiles (redrawing them) and from LS caches of the
+// given tiles that are not loaded.
+function removeStrokesLocally(ids, tileList) {
+  const gone = new Set(ids);
+  if (gone.size === 0) return;
+  for (const t of tiles.values()) {
+    if (!t.cached.some(s => s && gone.has(s.id))) continue;
+    const keep = t.cached.filter(s => s && !gone.has(s.id));
+    resetTile(t);
+    for (const s of keep) { drawStrokeOnTile(t, s); t.seen.add(s.id); t.cached.push(s); }
+    lsSaveTileStrokes(t.z, t.tx, t.ty, t.cached);
+  }
+  for (const { z, tx, ty } of tileList) {
+    if (tiles.has(tileKey(tx, ty, z))) continue;
+    const cached = lsLoadTileStrokes(z, tx, ty);
+    if (cached) lsSaveTileStrokesSync(z, tx, ty, cached.filter(s => s && !gone.has(s.id)));
+  }
+  requestFrame();
+}
+
+async function loadRegions() {
+  try {
+    const resp = await fetch(`/api/regions?room=${encodeURIComponent(ROOM)}`, { headers: sessionHeaders() });
+    if (!resp.ok) return;
+    const json = await resp.json().catch(() => null);
+    regions = Array.isArray(json?.regions) ? json.regions : [];
+    dlog('Regions loaded', regions.length);
+    requestFrame();
+  } catch {}
+}
+
+// Region we may not draw in under a world point, if any
+function lockedRegionAt(pt) {
+  return regions.find(r => !r.allowed && pt.x >= r.minX && pt.x <= r.maxX && pt.y >= r.minY && pt.y <= r.maxY) || null;
+}
+
+function strokeInLockedRegion(stroke) {
+  const bb = strokeBBox(stroke);
+  return !!bb && regions.some(r => !r.allowed && bb.maxX >= r.minX && bb.minX <= r.maxX && bb.maxY >= r.minY && bb.minY <= r.maxY);
+}
+
+function updateCursor(pt) {
+  const drawing = !spaceHeld && (tool === 'pen' || tool === 'eraser' || tool === 'objectEraser');
+  canvas.style.cursor = drawing && lockedRegionAt(pt) ? 'not-allowed' : '';
+}
+
+// Take back one of our strokes the server refused; it was drawn locally but never saved
+function retractStroke(id) {
+  const stroke = Array.from(tiles.values()).flatMap(t => t.cached).find(s => s && s.id === id);
+  if (!stroke) return;
+  const tileList = [];
+  for (let z = 0; z <= MAX_Z; z++) for (const t of tilesForStroke(stroke, z)) tileList.push({ z, ...t });
+  removeStrokesLocally([id], tileList);
+  const i = undoStack.lastIndexOf(id);
+  if (i !== -1) undoStack.splice(i, 1);
+}
+
+function sendDeleteStrokes(ids) {
+  if (!ids.length || !wsReady) return;
+  // Server caps ids per message
+  for (let i = 0; i < ids.length; i += 200) {
+    try { ws.send(JSON.stringify({ type: 'deleteStrokes', payload: { ids: ids.slice(i, i + 200) } })); } catch {}
+  }
+}
+
 function pathDataFromPoints(pts) {
   if (!Array.isArray(pts) || pts.length === 0) return '';
   const f = (n) => {
@@ -1166,11 +1555,13 @@ async function exportVisibleAreaToSvg() {
   const visMaxX = Math.max(tl.x, br.x);
   const visMaxY = Math.max(tl.y, br.y);
 
-  // Gather server-authoritative strokes for all visible tiles
-  const tilesList = visibleTilesList();
+  // Gather server-authoritative strokes for all visible tiles (at the displayed
+  // level, so the export matches what is on screen)
+  const z = currentLevel();
+  const tilesList = visibleTilesList(z);
   if (!tilesList.length) return;
   let tilesResp = [];
-  try { tilesResp = await fetchTilesBatchWithFallback(tilesList, 0); } catch (_) { tilesResp = []; }
+  try { tilesResp = await fetchTilesBatchWithFallback(tilesList, z); } catch (_) { tilesResp = []; }
   const byId = new Map();
   for (const t of tilesResp || []) {
     const arr = Array.isArray(t?.strokes) ? t.strokes : [];
@@ -1284,28 +1675,24 @@ async function exportVisibleAreaToSvg() {
 
 function finalizeStroke(stroke) {
   // Draw onto tile canvases then broadcast/persist
-  const tilesTouched = tilesForStroke(stroke);
-  for (const { tx, ty } of tilesTouched) {
-    const t = tryGetTile(tx, ty);
-    if (!t) continue;
-    if (!t.seen.has(stroke.id)) {
-      drawStrokeOnTile(t, stroke);
-      t.seen.add(stroke.id);
-      t.cached.push(stroke);
-      lsSaveTileStrokes(0, tx, ty, t.cached);
-    }
-  }
+  applyStrokeToTiles(stroke);
   sendStroke(stroke);
+  undoStack.push(stroke.id);
+  if (undoStack.length > UNDO_MAX) undoStack.shift();
+  redoStack.length = 0;
   requestFrame();
 }
 
 let lastPresenceAt = 0;
-function sendPresence(pos) {
+let lastPresencePos = null;
+function sendPresence(pos, away = false) {
   if (!pos) return;
+  lastPresencePos = pos;
   const now = performance.now();
   if (now - lastPresenceAt < 500) return; // throttle to ~2Hz (every 500ms)
   lastPresenceAt = now;
   const msg = { type: 'presence', payload: { x: pos.x, y: pos.y, color: myColor, name: myName } };
+  if (away) msg.payload.away = true;
   if (wsReady) {
     try { ws.send(JSON.stringify(msg)); } catch {}
   }
@@ -1343,11 +1730,19 @@ resize();
 setTool(initialTool);
 loadViewFromUrl();
 connectWS();
-// Register service worker to enable websocket-backed tile streaming proxy
+// Register service worker to enable websocket-backed tile streaming proxy.
+// Browsers without module service workers reject sw.js (or its import), so
+// they get the classic proxy, which asks for JSON frames.
 async function registerSW() {
   if ('serviceWorker' in navigator) {
     try {
-      const reg = await navigator.serviceWorker.register('/sw.js');
+      let reg;
+      try {
+        reg = await navigator.serviceWorker.register('/sw.js', { type: 'module' });
+      } catch (e) {
+        dlog('Module SW register failed, using classic', e && e.message);
+        reg = await navigator.serviceWorker.register('/sw-tiles.js');
+      }
       dlog('ServiceWorker registered', reg && reg.scope);
       // Wait until active
       if (reg.waiting) return;
@@ -121,8 +121,9 @@ export class WebGLRenderer {
     }
   }
 
-  // Draw a textured quad for a tile
-  drawTile(tile, x, y, w, h) {
+  // Draw a textured quad for a tile. (w, h) is the quad size in world units and
+  // (texW, texH) the tile's inner size in texels; they differ on coarser levels.
+  drawTile(tile, x, y, w, h, texW = w, texH = h) {
     if (this.failed) return;
     const gl = this.gl;
     const tex = this._ensureTexture(tile);
@@ -130,8 +131,8 @@ export class WebGLRenderer {
 
     const u0 = tile.pad / tile.canvas.width;
     const v0 = tile.pad / tile.canvas.height;
-    const u1 = (tile.pad + w) / tile.canvas.width;
-    const v1 = (tile.pad + h) / tile.canvas.height;
+    const u1 = (tile.pad + texW) / tile.canvas.width;
+    const v1 = (tile.pad + texH) / tile.canvas.height;
 
     const verts = new Float32Array([
       x,     y,     x + w, y,     x,     y + h,
@@ -0,0 +1,187 @@
+// Binary WebSocket framing shared by the server, the page, the fetch worker and
+// the service worker. Sockets opt in with `binary: WIRE_VERSION` in identify;
+// strokes and tileData then travel as frames, everything else stays JSON text.
+//
+// Frame: [type byte][body]. Integers are LEB128 varints (zigzag when signed),
+// strings are varint length + UTF-8. Points are quantized to 1/POINT_SCALE px
+// and delta-encoded against the previous point, so a typical segment costs
+// 2-3 bytes instead of a ~40 byte JSON object.
+
+export const WIRE_VERSION = 1;
+const FRAME_STROKE = 1;
+const FRAME_TILE_DATA = 2;
+const POINT_SCALE = 16;
+
+// stroke flags
+const F_ERASE = 1;
+const F_RGB = 2; // color is 3 raw bytes instead of a string
+const F_PRESSURE = 4; // one byte of pressure per point
+
+// tileData flags
+const T_FULL = 1;
+const T_REV = 2;
+const T_REQ_ID = 4;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder('utf-8');
+
+class Writer {
+  constructor() { this.buf = new Uint8Array(256); this.len = 0; }
+  ensure(n) {
+    if (this.len + n <= this.buf.length) return;
+    let size = this.buf.length * 2;
+    while (size < this.len + n) size *= 2;
+    const next = new Uint8Array(size);
+    next.set(this.buf.subarray(0, this.len));
+    this.buf = next;
+  }
+  byte(b) { this.ensure(1); this.buf[this.len++] = b; }
+  // Arithmetic rather than bitwise so values above 2^32 (timestamps) survive
+  uint(n) {
+    this.ensure(10);
+    while (n >= 0x80) { this.buf[this.len++] = (n % 0x80) | 0x80; n = Math.floor(n / 0x80); }
+    this.buf[this.len++] = n;
+  }
+  int(n) { this.uint(n >= 0 ? n * 2 : -n * 2 - 1); }
+  str(s) {
+    const bytes = encoder.encode(String(s ?? ''));
+    this.uint(bytes.length);
+    this.ensure(bytes.length);
+    this.buf.set(bytes, this.len);
+    this.len += bytes.length;
+  }
+  bytes() { return this.buf.slice(0, this.len); }
+}
+
+class Reader {
+  constructor(bytes) { this.buf = bytes; this.pos = 0; }
+  byte() {
+    if (this.pos >= this.buf.length) throw new Error('truncated frame');
+    return this.buf[this.pos++];
+  }
+  uint() {
+    let n = 0, mul = 1, b;
+    do {
+      b = this.byte();
+      n += (b & 0x7f) * mul;
+      mul *= 0x80;
+    } while (b & 0x80);
+    return n;
+  }
+  int() { const u = this.uint(); return u % 2 ? -(u + 1) / 2 : u / 2; }
+  str() {
+    const n = this.uint();
+    if (this.pos + n > this.buf.length) throw new Error('truncated frame');
+    const s = decoder.decode(this.buf.subarray(this.pos, this.pos + n));
+    this.pos += n;
+    return s;
+  }
+}
+
+function writeStroke(w, s) {
+  const color = String(s.color ?? '');
+  const rgb = /^#[0-9a-f]{6}$/i.test(color);
+  const pts = Array.isArray(s.points) ? s.points : [];
+  const pressure = pts.some(p => Number(p?.p) > 0);
+  w.byte((s.erase ? F_ERASE : 0) | (rgb ? F_RGB : 0) | (pressure ? F_PRESSURE : 0));
+  w.str(s.id);
+  w.str(s.userId);
+  if (rgb) {
+    const v = parseInt(color.slice(1), 16);
+    w.byte(v >> 16); w.byte((v >> 8) & 0xff); w.byte(v & 0xff);
+  } else {
+    w.str(color);
+  }
+  w.uint(Math.round((Number(s.size) || 0) * 100));
+  w.byte(Math.round(Math.min(1, Math.max(0, Number(s.opacity) || 0)) * 255));
+  w.uint(Math.max(0, Math.round(Number(s.z) || 0)));
+  w.uint(Math.max(0, Math.round(Number(s.t) || 0)));
+  w.uint(pts.length);
+  let px = 0, py = 0;
+  for (const p of pts) {
+    const x = Math.round((Number(p?.x) || 0) * POINT_SCALE);
+    const y = Math.round((Number(p?.y) || 0) * POINT_SCALE);
+    w.int(x - px); w.int(y - py);
+    px = x; py = y;
+    if (pressure) w.byte(Math.round(Math.min(1, Math.max(0, Number(p?.p) || 0)) * 255));
+  }
+}
+
+function readStroke(r) {
+  const flags = r.byte();
+  const id = r.str();
+  const userId = r.str();
+  let color;
+  if (flags & F_RGB) {
+    color = '#' + [r.byte(), r.byte(), r.byte()].map(b => b.toString(16).padStart(2, '0')).join('');
+  } else {
+    color = r.str();
+  }
+  const size = r.uint() / 100;
+  const opacity = r.byte() / 255;
+  const z = r.uint();
+  const t = r.uint();
+  const n = r.uint();
+  if (n > r.buf.length - r.pos) throw new Error('truncated frame'); // every point takes at least a byte
+  const points = new Array(n);
+  let x = 0, y = 0;
+  for (let i = 0; i < n; i++) {
+    x += r.int(); y += r.int();
+    const p = (flags & F_PRESSURE) ? r.byte() / 255 : 0;
+    points[i] = { x: x / POINT_SCALE, y: y / POINT_SCALE, p };
+  }
+  return { id, userId, color, size, opacity, points, z, t, erase: Boolean(flags & F_ERASE) };
+}
+
+// Encode a message as a binary frame, or return null if the type has no
+// binary form (callers then fall back to JSON)
+export function encodeFrame(type, payload) {
+  const w = new Writer();
+  if (type === 'stroke') {
+    w.byte(FRAME_STROKE);
+    writeStroke(w, payload || {});
+  } else if (type === 'tileData') {
+    const d = payload || {};
+    const hasRev = Number.isSafeInteger(d.rev) && d.rev >= 0;
+    const hasReqId = d.reqId != null;
+    w.byte(FRAME_TILE_DATA);
+    w.byte((d.full ? T_FULL : 0) | (hasRev ? T_REV : 0) | (hasReqId ? T_REQ_ID : 0));
+    if (hasReqId) w.str(d.reqId);
+    w.uint(Math.max(0, Math.round(Number(d.z) || 0)));
+    w.int(Math.round(Number(d.tx) || 0));
+    w.int(Math.round(Number(d.ty) || 0));
+    if (hasRev) w.uint(d.rev);
+    const strokes = Array.isArray(d.strokes) ? d.strokes : [];
+    w.uint(strokes.length);
+    for (const s of strokes) writeStroke(w, s || {});
+  } else {
+    return null;
+  }
+  return w.bytes();
+}
+
+// Decode a frame into the same { type, payload } shape as a JSON message.
+// Throws on malformed input.
+export function decodeFrame(bytes) {
+  const r = new Reader(bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes));
+  const kind = r.byte();
+  if (kind === FRAME_STROKE) {
+    return { type: 'stroke', payload: readStroke(r) };
+  }
+  if (kind === FRAME_TILE_DATA) {
+    const flags = r.byte();
+    const payload = {};
+    payload.reqId = (flags & T_REQ_ID) ? r.str() : null;
+    payload.z = r.uint();
+    payload.tx = r.int();
+    payload.ty = r.int();
+    if (flags & T_REV) payload.rev = r.uint();
+    payload.full = Boolean(flags & T_FULL);
+    const n = r.uint();
+    if (n > r.buf.length - r.pos) throw new Error('truncated frame');
+    payload.strokes = [];
+    for (let i = 0; i < n; i++) payload.strokes.push(readStroke(r));
+    return { type: 'tileData', payload };
+  }
+  throw new Error(`unknown frame type ${kind}`);
+}
@@ -0,0 +1,209 @@
+// Broadcast bus: carries room events between server processes
+// - A bus is { origin, publish(event), subscribe(handler), close() }, where
+//   subscribe returns a function that unsubscribes. Events are
+//   { room, type, payload, cells, excludeId } as given to broadcast() /
+//   broadcastToCells(); the server delivers to its own sockets itself and
+//   publishes so other processes can do the same.
+// - Handlers receive { kind: 'event', origin, ...event } from other processes,
+//   { kind: 'hello', origin } when a process joins (so peers can republish
+//   their presence) and { kind: 'gone', origin } when one drops out.
+// - createLocalBus: single process, publishing goes nowhere (the default)
+// - createUnixSocketBus: processes on one host share a Unix domain socket. The
+//   first to bind it relays newline-delimited JSON between the rest; if it
+//   exits, the others reconnect and one of them takes over. A socket file left
+//   by a process that died is only removed under `<path>.lock`, so two
+//   processes can't both clear it and each become a hub.
+
+import net from 'net';
+import fs from 'fs';
+import { randomUUID } from 'crypto';
+
+export function createLocalBus() {
+  return {
+    origin: randomUUID(),
+    publish() {},
+    subscribe() { return () => {}; },
+    close() {},
+  };
+}
+
+function readLines(sock, onMessage) {
+  let buf = '';
+  sock.setEncoding('utf8');
+  sock.on('data', (chunk) => {
+    buf += chunk;
+    let i;
+    while ((i = buf.indexOf('\n')) !== -1) {
+      const line = buf.slice(0, i);
+      buf = buf.slice(i + 1);
+      if (!line) continue;
+      let msg;
+      try { msg = JSON.parse(line); } catch { continue; }
+      if (msg && typeof msg === 'object') onMessage(msg);
+    }
+  });
+}
+
+// A lock file holds the pid of the process clearing a stale socket; one whose
+// process is gone is stale itself. An empty one is still being written unless
+// it has been empty for a while.
+function lockHolderAlive(lockPath) {
+  let text, mtimeMs;
+  try {
+    text = fs.readFileSync(lockPath, 'utf8');
+    mtimeMs = fs.statSync(lockPath).mtimeMs;
+  } catch {
+    return true; // gone already: retry and see
+  }
+  const pid = parseInt(text, 10);
+  if (!pid) return Date.now() - mtimeMs < 5000;
+  try { process.kill(pid, 0); return true; } catch (e) { return e.code === 'EPERM'; }
+}
+
+export function createUnixSocketBus({ path: sockPath, retryMs = 500 } = {}) {
+  if (!sockPath) throw new Error('bus socket path required');
+  const origin = randomUUID();
+  const handlers = [];
+  let hub = null; // net.Server while this process relays
+  const members = new Set(); // hub: sockets of the other processes
+  let upstream = null; // member: connection to the hub
+  let hubOrigin = null;
+  let closed = false;
+  let retryTimer = null;
+
+  const emit = (msg) => {
+    for (const h of handlers) {
+      try { h(msg); } catch (e) { console.warn('Bus handler failed', (e && e.message) || e); }
+    }
+  };
+
+  // Hub: pass a message from one process (or this one, from = null) to all others
+  function relay(msg, from) {
+    const line = JSON.stringify(msg) + '\n';
+    for (const sock of members) {
+      if (sock !== from) sock.write(line);
+    }
+    if (from) emit(msg);
+  }
+
+  function retry() {
+    if (closed || retryTimer) return;
+    // Jitter so processes that lost the same hub don't all race to replace it
+    retryTimer = setTimeout(() => { retryTimer = null; start(); }, retryMs * (0.5 + Math.random()));
+  }
+
+  // done() runs once the bind has succeeded or failed
+  function becomeHub(done = () => {}) {
+    const server = net.createServer((sock) => {
+      members.add(sock);
+      sock.write(JSON.stringify({ kind: 'hub', origin }) + '\n');
+      readLines(sock, (msg) => {
+        if (msg.kind === 'hello') sock.origin = msg.origin;
+        if (msg.kind === 'hello' || msg.kind === 'event') relay(msg, sock);
+      });
+      sock.on('error', () => {});
+      sock.on('close', () => {
+        members.delete(sock);
+        if (sock.origin && !closed) relay({ kind: 'gone', origin: sock.origin }, sock);
+      });
+    });
+    server.on('error', (e) => {
+      server.close();
+      if (hub === server) hub = null;
+      done();
+      // Someone else bound it first: join them instead
+      if (e.code === 'EADDRINUSE') retry();
+      else console.warn('Bus listen failed', e.message);
+    });
+    server.listen(sockPath, () => { hub = server; done(); });
+  }
+
+  // Nobody answers on the socket file. Whoever holds the lock file probes once
+  // more before unlinking it, since another process may have taken over since
+  // our connect was refused; everyone else retries and joins the new hub.
+  function takeOver() {
+    const lockPath = sockPath + '.lock';
+    let fd;
+    try {
+      fd = fs.openSync(lockPath, 'wx');
+    } catch (e) {
+      if (e.code === 'EEXIST' && !lockHolderAlive(lockPath)) {
+        try { fs.unlinkSync(lockPath); } catch {}
+      }
+      return retry();
+    }
+    try { fs.writeSync(fd, String(process.pid)); } finally { fs.closeSync(fd); }
+    const release = () => { try { fs.unlinkSync(lockPath); } catch {} };
+    const probe = net.connect(sockPath);
+    probe.on('connect', () => { probe.destroy(); release(); retry(); });
+    probe.on('error', (e) => {
+      if (closed) return release();
+      if (e.code === 'ECONNREFUSED') {
+        try { fs.unlinkSync(sockPath); } catch {}
+        becomeHub(release);
+      } else if (e.code === 'ENOENT') {
+        becomeHub(release);
+      } else {
+        release();
+        retry();
+      }
+    });
+  }
+
+  function start() {
+    if (closed) return;
+    const sock = net.connect(sockPath);
+    sock.on('connect', () => {
+      upstream = sock;
+      sock.write(JSON.stringify({ kind: 'hello', origin }) + '\n');
+    });
+    readLines(sock, (msg) => {
+      if (msg.kind === 'hub') hubOrigin = msg.origin;
+      else emit(msg);
+    });
+    sock.on('error', (e) => {
+      if (upstream === sock) return; // 'close' follows
+      if (e.code === 'ECONNREFUSED') {
+        // Stale socket file from a process that died
+        takeOver();
+      } else if (e.code === 'ENOENT') {
+        becomeHub();
+      } else {
+        retry();
+      }
+    });
+    sock.on('close', () => {
+      if (upstream !== sock) return;
+      upstream = null;
+      if (hubOrigin) emit({ kind: 'gone', origin: hubOrigin });
+      hubOrigin = null;
+      retry();
+    });
+  }
+
+  start();
+
+  return {
+    origin,
+    publish(event) {
+      const msg = { kind: 'event', origin, ...event };
+      if (hub) relay(msg, null);
+      else if (upstream) upstream.write(JSON.stringify(msg) + '\n');
+    },
+    subscribe(handler) {
+      handlers.push(handler);
+      return () => { const i = handlers.indexOf(handler); if (i !== -1) handlers.splice(i, 1); };
+    },
+    close() {
+      closed = true;
+      clearTimeout(retryTimer);
+      if (upstream) { upstream.destroy(); upstream = null; }
+      for (const sock of members) sock.destroy();
+      if (hub) {
+        hub.close();
+        hub = null;
+        try { fs.unlinkSync(sockPath); } catch {}
+      }
+    },
+  };
+}
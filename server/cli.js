@@ -0,0 +1,84 @@
+// Tile database maintenance: bun server/cli.js backup|restore|verify
+// - Works on the same storage as the server (DATA_DIR and STORAGE pick it)
+// - backup [file] [--gzip]: one stroke per line (NDJSON), each stroke once even
+//   though it is stored in many tiles. Writes stdout without a file; a .gz file
+//   name implies --gzip.
+// - restore [file] [--gzip]: re-adds strokes through appendStrokeToTiles so
+//   tiles and pyramid levels are recomputed; strokes already present are
+//   skipped. Stop the server first: both processes would write the database.
+// - verify: decodes every row and lists the ones with broken gzip, JSON or
+//   stroke data (reads skip those silently). Exits 1 if any are found.
+
+import fs from 'fs';
+import zlib from 'zlib';
+import readline from 'readline';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { backupStrokes, restoreStroke, verifyStrokeRows, countStrokeRows } from './index.js';
+
+const USAGE = 'usage: bun server/cli.js backup [file] [--gzip] | restore [file] [--gzip] | verify';
+
+function parseArgs(argv) {
+  const flags = new Set(argv.filter(a => a.startsWith('--')));
+  const [command, file] = argv.filter(a => !a.startsWith('--'));
+  const target = file && file !== '-' ? file : null;
+  return { command, file: target, gzip: flags.has('--gzip') || Boolean(target && target.endsWith('.gz')) };
+}
+
+async function backup({ file, gzip }) {
+  let count = 0;
+  const lines = Readable.from((function* () {
+    for (const entry of backupStrokes()) {
+      count++;
+      yield JSON.stringify(entry) + '\n';
+    }
+  })());
+  const out = file ? fs.createWriteStream(file) : process.stdout;
+  await pipeline(...(gzip ? [lines, zlib.createGzip(), out] : [lines, out]));
+  console.error(`backup: ${count} strokes`);
+}
+
+async function restore({ file, gzip }) {
+  let input = file ? fs.createReadStream(file) : process.stdin;
+  if (gzip) input = input.pipe(zlib.createGunzip());
+  const counts = { restored: 0, exists: 0, invalid: 0 };
+  let line = 0;
+  for await (const text of readline.createInterface({ input, crlfDelay: Infinity })) {
+    line++;
+    if (!text.trim()) continue;
+    let entry;
+    try { entry = JSON.parse(text); } catch {
+      console.error(`line ${line}: invalid json`);
+      counts.invalid++;
+      continue;
+    }
+    const result = restoreStroke(entry);
+    if (result === 'invalid') console.error(`line ${line}: not a stroke`);
+    counts[result]++;
+  }
+  console.error(`restore: ${counts.restored} restored, ${counts.exists} already present, ${counts.invalid} invalid`);
+  return counts.invalid ? 1 : 0;
+}
+
+function verify() {
+  let bad = 0;
+  for (const p of verifyStrokeRows()) {
+    bad++;
+    console.log(`row ${p.rowid} (room '${p.room}', z=${p.z} ${p.tx},${p.ty}, id ${p.id}): ${p.error}`);
+  }
+  console.log(`verify: ${countStrokeRows()} rows, ${bad} corrupt`);
+  return bad ? 1 : 0;
+}
+
+const args = parseArgs(process.argv.slice(2));
+let code = 0;
+try {
+  if (args.command === 'backup') await backup(args);
+  else if (args.command === 'restore') code = await restore(args);
+  else if (args.command === 'verify') code = verify();
+  else { console.error(USAGE); code = 2; }
+} catch (e) {
+  console.error(`${args.command} failed:`, (e && e.message) || e);
+  code = 1;
+}
+process.exit(code);
@@ -0,0 +1,35 @@
+// HTTP response compression
+// - negotiateEncoding: picks one of `offered` ('br', 'gzip') from an
+//   Accept-Encoding header (highest q wins, earlier offers break ties; q=0
+//   refuses), or null for identity
+// - compressBody: encodes a response body with the picked encoding
+
+import zlib from 'zlib';
+
+export const COMPRESS_MIN_BYTES = 1024; // smaller bodies aren't worth the CPU
+const BROTLI_QUALITY = 4; // the default (11) is far too slow per request
+const GZIP_LEVEL = 6;
+
+export function negotiateEncoding(header, offered = ['br', 'gzip']) {
+  const qs = new Map(); // coding -> q; '*' covers the ones not named
+  for (const part of String(header || '').toLowerCase().split(',')) {
+    const [name, ...params] = part.trim().split(';');
+    const qParam = params.map(p => p.trim()).find(p => p.startsWith('q='));
+    if (name) qs.set(name, qParam ? Number(qParam.slice(2)) : 1);
+  }
+  let best = null;
+  let bestQ = 0;
+  for (const enc of offered) {
+    const q = qs.get(enc) ?? qs.get('*') ?? 0;
+    if (q > bestQ) { best = enc; bestQ = q; }
+  }
+  return best;
+}
+
+export function compressBody(body, encoding) {
+  if (encoding === 'br') {
+    return zlib.brotliCompressSync(body, { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: BROTLI_QUALITY } });
+  }
+  if (encoding === 'gzip') return Bun.gzipSync(body, { level: GZIP_LEVEL });
+  return body;
+}
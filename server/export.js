@@ -0,0 +1,150 @@
+// Region export (GET /api/export)
+// - SVG output uses the client's quadratic midpoint paths and the layering of
+//   the tile rasterizer (raster.js): one group per author in order of their
+//   first stroke, and erasers applied as masks so each one only punches out
+//   its author's strokes drawn before it
+// - Documents are produced as chunks so large regions stream out instead of
+//   being concatenated into one string first
+
+function fmt(n) {
+  const v = Math.round(Number(n) * 100) / 100; // 2dp to keep size small
+  return Number.isFinite(v) ? String(v) : '0';
+}
+
+function escapeAttr(v) {
+  return String(v).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+}
+
+export function pathDataFromPoints(pts) {
+  if (!Array.isArray(pts) || pts.length === 0) return '';
+  if (pts.length === 1) return `M ${fmt(pts[0].x)} ${fmt(pts[0].y)}`;
+  if (pts.length === 2) return `M ${fmt(pts[0].x)} ${fmt(pts[0].y)} L ${fmt(pts[1].x)} ${fmt(pts[1].y)}`;
+  let d = `M ${fmt(pts[0].x)} ${fmt(pts[0].y)}`;
+  for (let i = 1; i < pts.length - 1; i++) {
+    const p = pts[i];
+    const n = pts[i + 1];
+    d += ` Q ${fmt(p.x)} ${fmt(p.y)} ${fmt((Number(p.x) + Number(n.x)) / 2)} ${fmt((Number(p.y) + Number(n.y)) / 2)}`;
+  }
+  const pPrev = pts[pts.length - 2];
+  const pLast = pts[pts.length - 1];
+  d += ` Q ${fmt(pPrev.x)} ${fmt(pPrev.y)} ${fmt(pLast.x)} ${fmt(pLast.y)}`;
+  return d;
+}
+
+// Oldest first; strokes without a timestamp sort last, ties break on id
+export function cmpByTime(a, b) {
+  const ta = Number(a?.t);
+  const tb = Number(b?.t);
+  const fa = Number.isFinite(ta) ? ta : Number.MAX_SAFE_INTEGER;
+  const fb = Number.isFinite(tb) ? tb : Number.MAX_SAFE_INTEGER;
+  if (fa !== fb) return fa - fb;
+  const ida = String(a?.id || '');
+  const idb = String(b?.id || '');
+  return ida < idb ? -1 : ida > idb ? 1 : 0;
+}
+
+// World-space bounds of a stroke including half its brush width, or null
+export function strokeBBox(stroke) {
+  const pts = Array.isArray(stroke?.points) ? stroke.points : [];
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (const p of pts) {
+    const x = Number(p?.x), y = Number(p?.y);
+    if (!Number.isFinite(x) || !Number.isFinite(y)) continue;
+    if (x < minX) minX = x;
+    if (y < minY) minY = y;
+    if (x > maxX) maxX = x;
+    if (y > maxY) maxY = y;
+  }
+  if (!Number.isFinite(minX)) return null;
+  const pad = (Number(stroke.size) || 4) * 0.5;
+  return { minX: minX - pad, minY: minY - pad, maxX: maxX + pad, maxY: maxY + pad };
+}
+
+function strokeShape(s, paint) {
+  const pts = Array.isArray(s.points) ? s.points : [];
+  const sw = Number(s.size) || 4;
+  const op = Number.isFinite(s.opacity) ? s.opacity : 1;
+  if (pts.length === 1) {
+    return `<circle cx="${fmt(pts[0].x)}" cy="${fmt(pts[0].y)}" r="${sw / 2}" fill="${paint}" fill-opacity="${op}"/>`;
+  }
+  const d = pathDataFromPoints(pts);
+  if (!d) return '';
+  return `<path d="${d}" fill="none" stroke="${paint}" stroke-width="${sw}" stroke-linecap="round" stroke-linejoin="round" stroke-opacity="${op}"/>`;
+}
+
+// Strokes grouped by author in order of each author's first stroke, oldest
+// first within a group: [{ erasers, paints }]
+function authorLayers(strokes) {
+  const byUser = new Map();
+  for (const s of strokes.slice().sort(cmpByTime)) {
+    const uid = String(s.userId || '');
+    if (!byUser.has(uid)) byUser.set(uid, { erasers: [], paints: [] });
+    byUser.get(uid)[s.erase ? 'erasers' : 'paints'].push(s);
+  }
+  return [...byUser.values()];
+}
+
+// SVG document for `strokes` clipped to the world-space `bbox`, as chunks
+export function* svgChunks(strokes, { minX, minY, maxX, maxY }) {
+  const W = maxX - minX;
+  const H = maxY - minY;
+  const layers = authorLayers(strokes);
+
+  yield `<?xml version="1.0" encoding="UTF-8"?>\n`;
+  yield `<svg xmlns="http://www.w3.org/2000/svg" width="${W}" height="${H}" viewBox="${minX} ${minY} ${W} ${H}" fill="none"><defs>`;
+  // Mask l-i: white base minus every eraser of layer l with index >= i
+  for (const [l, { erasers }] of layers.entries()) {
+    for (let i = 0; i < erasers.length; i++) {
+      let mask = `<mask id="m${l}-${i}" maskUnits="userSpaceOnUse" x="${minX}" y="${minY}" width="${W}" height="${H}">`;
+      mask += `<rect x="${minX}" y="${minY}" width="${W}" height="${H}" fill="white"/>`;
+      for (let j = i; j < erasers.length; j++) mask += strokeShape(erasers[j], 'black');
+      yield mask + '</mask>';
+    }
+  }
+  yield '</defs>';
+
+  for (const [l, { erasers, paints }] of layers.entries()) {
+    if (!paints.length) continue;
+    const eraserTimes = erasers.map(e => Number(e.t));
+    // First eraser drawn strictly after t
+    const firstEraserAfter = (t) => {
+      const tt = Number.isFinite(t) ? t : Number.MAX_SAFE_INTEGER;
+      let lo = 0, hi = eraserTimes.length;
+      while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (eraserTimes[mid] > tt) hi = mid; else lo = mid + 1;
+      }
+      return lo;
+    };
+    yield '<g>';
+    for (const s of paints) {
+      const shape = strokeShape(s, escapeAttr(s.color || '#000'));
+      if (!shape) continue;
+      const idx = firstEraserAfter(Number(s.t));
+      yield idx < erasers.length ? `<g mask="url(#m${l}-${idx})">${shape}</g>` : `<g>${shape}</g>`;
+    }
+    yield '</g>';
+  }
+  yield '</svg>';
+}
+
+// JSON document { bbox, strokes } as chunks, one stroke per chunk
+export function* jsonChunks(strokes, bbox) {
+  yield `{"bbox":${JSON.stringify(bbox)},"strokes":[`;
+  const sorted = strokes.slice().sort(cmpByTime);
+  for (let i = 0; i < sorted.length; i++) yield (i ? ',' : '') + JSON.stringify(sorted[i]);
+  yield ']}';
+}
+
+// Wrap a chunk iterator as a response body
+export function chunkStream(chunks) {
+  const encoder = new TextEncoder();
+  const it = chunks[Symbol.iterator]();
+  return new ReadableStream({
+    pull(controller) {
+      const { value, done } = it.next();
+      if (done) controller.close();
+      else controller.enqueue(encoder.encode(value));
+    }
+  });
+}
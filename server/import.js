@@ -0,0 +1,261 @@
+// Stroke import (POST /api/import)
+// - Accepts our own JSON stroke dumps (an array of strokes, { strokes } as
+//   written by /api/export, or { tiles: [{ strokes }] } from the batch API)
+//   and SVG <path>, <polyline>, <polygon>, <line> and <circle> elements
+// - Curves and arcs are flattened into point lists; every subpath becomes a
+//   stroke. Transforms, <g> styles and CSS classes are not applied, and
+//   colors other than hex/rgb()/hsl() (named colors, gradients) become black.
+// - Parsers return strokes in source coordinates with only the drawing fields
+//   (color, size, opacity, erase, points); placeStrokes moves them into the world
+
+import { isColor } from './validate.js';
+
+const FLATTEN_STEP = 4; // target segment length in source units
+const MAX_SEGMENTS = 64; // per curve or arc
+const DEFAULT_COLOR = '#000000';
+
+function clamp(n, min, max) { return Math.max(min, Math.min(max, n)); }
+
+function num(v, fallback) {
+  const n = parseFloat(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function parseAttrs(src) {
+  const attrs = {};
+  for (const m of src.matchAll(/([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) attrs[m[1].toLowerCase()] = m[2] ?? m[3];
+  // Inline style wins over presentation attributes
+  for (const decl of String(attrs.style || '').split(';')) {
+    const i = decl.indexOf(':');
+    if (i > 0) attrs[decl.slice(0, i).trim().toLowerCase()] = decl.slice(i + 1).trim();
+  }
+  return attrs;
+}
+
+function paintOf(v) {
+  if (v == null || v === 'none' || v === 'transparent') return null;
+  return isColor(v) ? v : DEFAULT_COLOR;
+}
+
+// Points along a cubic (or quadratic, with c2 == null) Bezier, excluding the start
+function bezierPoints(p0, c1, c2, p3) {
+  const len = Math.hypot(c1.x - p0.x, c1.y - p0.y)
+    + (c2 ? Math.hypot(c2.x - c1.x, c2.y - c1.y) + Math.hypot(p3.x - c2.x, p3.y - c2.y) : Math.hypot(p3.x - c1.x, p3.y - c1.y));
+  const n = clamp(Math.ceil(len / FLATTEN_STEP), 1, MAX_SEGMENTS);
+  const out = [];
+  for (let i = 1; i <= n; i++) {
+    const t = i / n, u = 1 - t;
+    if (c2) {
+      out.push({
+        x: u * u * u * p0.x + 3 * u * u * t * c1.x + 3 * u * t * t * c2.x + t * t * t * p3.x,
+        y: u * u * u * p0.y + 3 * u * u * t * c1.y + 3 * u * t * t * c2.y + t * t * t * p3.y
+      });
+    } else {
+      out.push({ x: u * u * p0.x + 2 * u * t * c1.x + t * t * p3.x, y: u * u * p0.y + 2 * u * t * c1.y + t * t * p3.y });
+    }
+  }
+  return out;
+}
+
+// Points along an SVG elliptical arc, excluding the start (SVG 1.1 appendix F.6.5)
+function arcPoints(p0, rx, ry, angle, large, sweep, p1) {
+  rx = Math.abs(rx); ry = Math.abs(ry);
+  if (!rx || !ry || (p0.x === p1.x && p0.y === p1.y)) return [p1];
+  const phi = angle * Math.PI / 180;
+  const cos = Math.cos(phi), sin = Math.sin(phi);
+  const dx = (p0.x - p1.x) / 2, dy = (p0.y - p1.y) / 2;
+  const x1 = cos * dx + sin * dy, y1 = -sin * dx + cos * dy;
+  const lambda = (x1 * x1) / (rx * rx) + (y1 * y1) / (ry * ry);
+  if (lambda > 1) { rx *= Math.sqrt(lambda); ry *= Math.sqrt(lambda); }
+  const num2 = rx * rx * ry * ry - rx * rx * y1 * y1 - ry * ry * x1 * x1;
+  const den = rx * rx * y1 * y1 + ry * ry * x1 * x1;
+  const coef = (large !== sweep ? 1 : -1) * Math.sqrt(Math.max(0, num2 / den));
+  const cxp = coef * rx * y1 / ry, cyp = -coef * ry * x1 / rx;
+  const cx = cos * cxp - sin * cyp + (p0.x + p1.x) / 2;
+  const cy = sin * cxp + cos * cyp + (p0.y + p1.y) / 2;
+  const ang = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+  const th1 = ang(1, 0, (x1 - cxp) / rx, (y1 - cyp) / ry);
+  let dth = ang((x1 - cxp) / rx, (y1 - cyp) / ry, (-x1 - cxp) / rx, (-y1 - cyp) / ry);
+  if (!sweep && dth > 0) dth -= 2 * Math.PI;
+  if (sweep && dth < 0) dth += 2 * Math.PI;
+  const n = clamp(Math.ceil(Math.abs(dth) * Math.max(rx, ry) / FLATTEN_STEP), 1, MAX_SEGMENTS);
+  const out = [];
+  for (let i = 1; i <= n; i++) {
+    const th = th1 + dth * i / n;
+    out.push({
+      x: cx + rx * Math.cos(th) * cos - ry * Math.sin(th) * sin,
+      y: cy + rx * Math.cos(th) * sin + ry * Math.sin(th) * cos
+    });
+  }
+  out[n - 1] = { x: p1.x, y: p1.y };
+  return out;
+}
+
+const PATH_ARGS = { M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0 };
+
+// Flatten path data into subpaths (arrays of points)
+export function flattenPathData(d) {
+  const tokens = String(d || '').match(/[MmLlHhVvCcSsQqTtAaZz]|[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g) || [];
+  const subpaths = [];
+  let cur = null;
+  let pos = { x: 0, y: 0 }, start = pos;
+  let lastCtrl = null, lastCmd = '';
+  let i = 0;
+  let cmd = null;
+  while (i < tokens.length) {
+    if (/^[a-z]$/i.test(tokens[i])) cmd = tokens[i++];
+    else if (!cmd) break; // numbers before the first command
+    const upper = cmd.toUpperCase();
+    const rel = cmd !== upper;
+    const n = PATH_ARGS[upper];
+    if (upper === 'Z') {
+      if (cur && (pos.x !== start.x || pos.y !== start.y)) cur.push({ ...start });
+      pos = start; cur = null; lastCtrl = null; lastCmd = 'Z';
+      continue;
+    }
+    if (i + n > tokens.length) break;
+    const a = tokens.slice(i, i + n).map(Number);
+    if (a.some(v => !Number.isFinite(v))) break;
+    i += n;
+    const abs = (x, y) => rel ? { x: pos.x + x, y: pos.y + y } : { x, y };
+    let next, ctrl = null;
+    if (upper !== 'M' && !cur) { cur = [{ ...pos }]; subpaths.push(cur); }
+    if (upper === 'M') {
+      next = abs(a[0], a[1]);
+      cur = [next]; subpaths.push(cur);
+      start = next;
+      cmd = rel ? 'l' : 'L'; // further pairs are implicit lineto
+    } else if (upper === 'L' || upper === 'T' && !/[QT]/.test(lastCmd)) {
+      next = abs(a[0], a[1]);
+      if (upper === 'T') ctrl = pos;
+      cur.push(next);
+    } else if (upper === 'H') {
+      next = { x: rel ? pos.x + a[0] : a[0], y: pos.y };
+      cur.push(next);
+    } else if (upper === 'V') {
+      next = { x: pos.x, y: rel ? pos.y + a[0] : a[0] };
+      cur.push(next);
+    } else if (upper === 'C' || upper === 'S') {
+      const c1 = upper === 'C' ? abs(a[0], a[1])
+        : (/[CS]/.test(lastCmd) && lastCtrl ? { x: 2 * pos.x - lastCtrl.x, y: 2 * pos.y - lastCtrl.y } : pos);
+      const k = upper === 'C' ? 2 : 0;
+      ctrl = abs(a[k], a[k + 1]);
+      next = abs(a[k + 2], a[k + 3]);
+      cur.push(...bezierPoints(pos, c1, ctrl, next));
+    } else if (upper === 'Q' || upper === 'T') {
+      ctrl = upper === 'Q' ? abs(a[0], a[1]) : { x: 2 * pos.x - lastCtrl.x, y: 2 * pos.y - lastCtrl.y };
+      next = upper === 'Q' ? abs(a[2], a[3]) : abs(a[0], a[1]);
+      cur.push(...bezierPoints(pos, ctrl, null, next));
+    } else if (upper === 'A') {
+      next = abs(a[5], a[6]);
+      cur.push(...arcPoints(pos, a[0], a[1], a[2], Boolean(a[3]), Boolean(a[4]), next));
+    }
+    pos = next; lastCtrl = ctrl; lastCmd = upper;
+  }
+  return subpaths.filter(p => p.length > 0);
+}
+
+function pointList(v) {
+  const nums = String(v || '').match(/[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g) || [];
+  const out = [];
+  for (let i = 0; i + 1 < nums.length; i += 2) out.push({ x: Number(nums[i]), y: Number(nums[i + 1]) });
+  return out;
+}
+
+function circlePoints(cx, cy, r) {
+  const n = clamp(Math.ceil(2 * Math.PI * r / FLATTEN_STEP), 8, MAX_SEGMENTS);
+  const out = [];
+  for (let i = 0; i <= n; i++) {
+    const th = 2 * Math.PI * i / n;
+    out.push({ x: cx + r * Math.cos(th), y: cy + r * Math.sin(th) });
+  }
+  return out;
+}
+
+// Strokes from the drawable elements of an SVG document. Shapes without a
+// stroke are outlined in their fill color; filled circles without a stroke
+// become dots.
+export function parseSvgStrokes(text) {
+  const src = String(text || '').replace(/<!--[\s\S]*?-->/g, '');
+  if (!/<svg[\s>]/i.test(src)) throw new Error('not an svg document');
+  const strokes = [];
+  for (const m of src.matchAll(/<(path|polyline|polygon|line|circle)\b([^>]*)>/gi)) {
+    const tag = m[1].toLowerCase();
+    const attrs = parseAttrs(m[2]);
+    const strokePaint = paintOf(attrs.stroke);
+    // SVG's default fill is black
+    const fillPaint = paintOf(attrs.fill ?? DEFAULT_COLOR);
+    const color = strokePaint || fillPaint;
+    if (!color) continue;
+    const opacity = clamp(num(attrs.opacity, 1) * num(strokePaint ? attrs['stroke-opacity'] : attrs['fill-opacity'], 1), 0, 1);
+    const size = num(attrs['stroke-width'], 1);
+    let lines = [];
+    if (tag === 'path') {
+      lines = flattenPathData(attrs.d);
+    } else if (tag === 'polyline' || tag === 'polygon') {
+      const pts = pointList(attrs.points);
+      if (tag === 'polygon' && pts.length > 2) pts.push({ ...pts[0] });
+      lines = [pts];
+    } else if (tag === 'line') {
+      lines = [[{ x: num(attrs.x1, 0), y: num(attrs.y1, 0) }, { x: num(attrs.x2, 0), y: num(attrs.y2, 0) }]];
+    } else if (tag === 'circle') {
+      const cx = num(attrs.cx, 0), cy = num(attrs.cy, 0), r = num(attrs.r, 0);
+      if (!(r > 0)) continue;
+      if (!strokePaint) {
+        strokes.push({ color, size: 2 * r, opacity, erase: false, points: [{ x: cx, y: cy }] });
+        continue;
+      }
+      lines = [circlePoints(cx, cy, r)];
+    }
+    for (const points of lines) {
+      if (points.length) strokes.push({ color, size, opacity, erase: false, points });
+    }
+  }
+  return strokes;
+}
+
+// Strokes from a JSON dump, keeping one copy per original id
+export function parseJsonStrokes(text) {
+  const data = JSON.parse(text);
+  let list = [];
+  if (Array.isArray(data)) list = data;
+  else if (Array.isArray(data?.strokes)) list = data.strokes;
+  else if (Array.isArray(data?.tiles)) list = data.tiles.flatMap(t => Array.isArray(t?.strokes) ? t.strokes : []);
+  else throw new Error('expected an array of strokes, { strokes } or { tiles }');
+  const seen = new Set();
+  const strokes = [];
+  for (const s of list) {
+    if (!s || typeof s !== 'object' || !Array.isArray(s.points)) continue;
+    if (s.id != null) {
+      if (seen.has(s.id)) continue;
+      seen.add(s.id);
+    }
+    strokes.push({
+      color: paintOf(s.color) || DEFAULT_COLOR,
+      size: num(s.size, 12),
+      opacity: clamp(num(s.opacity, 1), 0, 1),
+      erase: Boolean(s.erase),
+      points: s.points.map(p => ({ x: Number(p?.x), y: Number(p?.y), p: clamp(num(p?.p, 0), 0, 1) }))
+    });
+  }
+  return strokes;
+}
+
+// Move strokes so the top-left of their combined bounds lands on (x, y),
+// scaling coordinates and brush sizes by `scale`. Sizes are kept within the
+// stroke validator's range.
+export function placeStrokes(strokes, { x = 0, y = 0, scale = 1 } = {}) {
+  let minX = Infinity, minY = Infinity;
+  for (const s of strokes) {
+    for (const p of s.points) {
+      if (p.x < minX) minX = p.x;
+      if (p.y < minY) minY = p.y;
+    }
+  }
+  if (!Number.isFinite(minX)) return [];
+  return strokes.map(s => ({
+    ...s,
+    size: clamp(Math.round(s.size * scale * 100) / 100, 1, 128),
+    points: s.points.map(p => ({ ...p, x: x + (p.x - minX) * scale, y: y + (p.y - minY) * scale }))
+  }));
+}
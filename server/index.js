@@ -5,7 +5,18 @@
 
 import path from 'path';
 import fs from 'fs';
-import { Database } from 'bun:sqlite';
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+import { rasterizeStrokes, encodePng, flattenSmoothPath } from './raster.js';
+import { validateStroke, STROKE_LIMITS } from './validate.js';
+import { cmpByTime, strokeBBox, svgChunks, jsonChunks, chunkStream } from './export.js';
+import { parseSvgStrokes, parseJsonStrokes, placeStrokes } from './import.js';
+import { resolveRetention, createRetention } from './retention.js';
+import { createRegistry } from './metrics.js';
+import { createLocalBus, createUnixSocketBus } from './bus.js';
+import { createSqliteStorage, createMemoryStorage, createFileStorage } from './storage.js';
+import { COMPRESS_MIN_BYTES, negotiateEncoding, compressBody } from './compress.js';
+import { createOriginPolicy, corsHeaders, preflightHeaders, STATIC_HEADERS, contentSecurityPolicy } from './security.js';
+import { WIRE_VERSION, encodeFrame, decodeFrame } from '../client/wire.js';
 
 const PORT = Number(process.env.PORT || 3000);
 const ROOT = path.resolve(import.meta.dir, '..');
@@ -14,55 +25,163 @@ const CLIENT_DIST_DIR = path.join(CLIENT_DIR, 'dist');
 const CLIENT_PUBLIC_DIR = path.join(CLIENT_DIR, 'public');
 const DATA_DIR = process.env.DATA_DIR || path.join(ROOT, 'data');
 const TILE_SIZE = 1024; // px
-const Z = 0; // single resolution for MVP
+const Z = 0; // base (full resolution) level
+const MAX_Z = 6; // coarsest level: one tile covers TILE_SIZE * 2^MAX_Z world px
 
-// Initialize SQLite store (Bun native)
-const DB_PATH = path.join(DATA_DIR, 'tiles.sqlite3');
 // Ensure data directory exists without blocking the event loop
 try {
   await fs.promises.mkdir(DATA_DIR, { recursive: true });
 } catch (e) {
   // best-effort - if this fails later errors will surface when accessing files
 }
-const db = new Database(DB_PATH);
-db.exec(`
-  -- Use in-memory journaling to avoid filesystem restrictions (no -wal/-shm files)
-  PRAGMA journal_mode = MEMORY;
-  PRAGMA synchronous = OFF;
-  PRAGMA temp_store = memory;
-  CREATE TABLE IF NOT EXISTS tile_strokes (
-    z   INTEGER NOT NULL,
-    tx  INTEGER NOT NULL,
-    ty  INTEGER NOT NULL,
-    t   INTEGER NOT NULL,
-    id  TEXT    NOT NULL,
-    json BLOB   NOT NULL -- gzip-compressed JSON
-  );
-  CREATE INDEX IF NOT EXISTS idx_tile ON tile_strokes (z, tx, ty, t);
-`);
-
-const insertStrokeStmt = db.prepare('INSERT INTO tile_strokes (z, tx, ty, t, id, json) VALUES (?, ?, ?, ?, ?, ?)');
-const selectTileAllStmt = db.prepare('SELECT json FROM tile_strokes WHERE z=? AND tx=? AND ty=? ORDER BY t ASC');
-const selectTileSinceStmt = db.prepare('SELECT json FROM tile_strokes WHERE z=? AND tx=? AND ty=? AND t>? ORDER BY t ASC');
-
-// Database size management - 1GB limit
-const MAX_DB_SIZE_BYTES = 1 * 1024 * 1024 * 1024; // 1GB
-const deleteOldestStrokesStmt = db.prepare('DELETE FROM tile_strokes WHERE rowid IN (SELECT rowid FROM tile_strokes ORDER BY t ASC LIMIT ?)');
-const getDbSizeStmt = db.prepare('SELECT page_count * page_size as size FROM pragma_page_count(), pragma_page_size()');
-const getStrokeCountStmt = db.prepare('SELECT COUNT(*) as count FROM tile_strokes');
-
-function jsonResponse(obj, status = 200) {
-  return new Response(JSON.stringify(obj), {
-    status,
-    headers: { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' }
-  });
-}
-
-async function fileResponse(filePath) {
+
+const MAX_DELETE_BATCH = 200; // stroke ids per deleteStrokes message
+const MAX_REGION_ALLOW = 1000;
+// strokeRejected / HTTP error fields when the storage backend could not keep a stroke
+const PERSIST_FAILED = { code: 'persist_failed', field: null, message: 'stroke could not be saved' };
+
+// Metrics (GET /metrics). Rates (strokes/s etc.) come from the counters.
+// Gauges add up every running server in the process.
+const metrics = createRegistry();
+const servers = new Set(); // { rooms, storage, tileSockets() } per running startServer()
+const serverStorages = () => new Set([...servers].map(s => s.storage));
+metrics.gauge('canvas_ws_connections', 'Open WebSocket connections by role', ['role'], (g) => {
+  let peers = 0, tiles = 0;
+  for (const s of servers) {
+    for (const clients of s.rooms.values()) peers += clients.size;
+    tiles += s.tileSockets();
+  }
+  g.set({ role: 'peer' }, peers);
+  g.set({ role: 'tiles' }, tiles);
+});
+const mStrokesReceived = metrics.counter('canvas_strokes_received_total', 'Strokes received, by transport', ['transport']);
+const mStrokesRejected = metrics.counter('canvas_strokes_rejected_total', 'Strokes refused by validation, protected regions or failed writes, by code', ['code']);
+const mStrokesPersisted = metrics.counter('canvas_strokes_persisted_total', 'Strokes written to the tile store');
+const mStrokesBroadcast = metrics.counter('canvas_strokes_broadcast_total', 'Strokes fanned out to peers');
+const mStrokePoints = metrics.histogram('canvas_stroke_points', 'Points per accepted stroke', [1, 2, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000]);
+const mTileRead = metrics.histogram('canvas_tile_read_seconds', 'Time to read and decode one tile, by read mode', undefined, ['mode']);
+const mRowsDecoded = metrics.counter('canvas_tile_rows_decoded_total', 'Stroke rows decoded by tile reads');
+const mGzipSeconds = metrics.counter('canvas_gzip_seconds_total', 'Time spent gzipping and gunzipping stroke rows', ['op']);
+const WS_TYPES = new Set(['identify', 'presence', 'viewport', 'stroke', 'undo', 'redo', 'deleteStrokes', 'tilesRequest', 'pong']);
+const mWsIn = metrics.counter('canvas_ws_messages_received_total', 'WebSocket messages received, by type', ['type']);
+const mWsReaped = metrics.counter('canvas_ws_reaped_total', 'WebSockets dropped for missing heartbeats, by role', ['role']);
+const mWsOut = metrics.counter('canvas_ws_messages_sent_total', 'WebSocket messages sent by broadcasts and tile streams, by type', ['type']);
+const mHttpEncoded = metrics.counter('canvas_http_responses_encoded_total', 'Compressible API responses, by Content-Encoding sent', ['encoding']);
+const mOriginRejected = metrics.counter('canvas_origin_rejected_total', 'Requests refused for their Origin, by kind', ['kind']);
+const mRateLimited = metrics.counter('canvas_rate_limited_total', 'Requests refused by rate limits, by bucket', ['kind']);
+metrics.gauge('canvas_db_bytes', 'Storage file size and bytes in use', ['kind'], (g) => {
+  let file = 0, used = 0;
+  for (const storage of serverStorages()) {
+    const { fileBytes, usedBytes } = storage.stats();
+    file += fileBytes;
+    used += usedBytes;
+  }
+  g.set({ kind: 'file' }, file);
+  g.set({ kind: 'used' }, used);
+});
+metrics.gauge('canvas_db_stroke_rows', 'Stored stroke rows (all levels)', [], (g) => {
+  let rows = 0;
+  for (const storage of serverStorages()) rows += storage.stats().rows;
+  g.set({}, rows);
+});
+
+function gzipRow(text, level) {
+  const start = performance.now();
+  const out = Bun.gzipSync(text, { level });
+  mGzipSeconds.inc({ op: 'gzip' }, (performance.now() - start) / 1000);
+  return out;
+}
+
+// Session tokens: `<id>.<hmac>` issued in welcome. A peer can only resume an id
+// by presenting its token, so ids seen in presence traffic are useless to others.
+// The key comes from SESSION_SECRET, else a random one kept next to the database
+// so tokens survive restarts.
+function loadSessionSecret() {
+  if (process.env.SESSION_SECRET) return process.env.SESSION_SECRET;
+  const file = path.join(DATA_DIR, 'session.key');
+  try { return fs.readFileSync(file, 'utf-8').trim(); } catch {}
+  const secret = randomBytes(32).toString('base64url');
+  try { fs.writeFileSync(file, secret, { mode: 0o600 }); } catch (e) { console.warn('Could not persist session key', (e && e.message) || e); }
+  return secret;
+}
+const SESSION_SECRET = loadSessionSecret();
+
+function sessionMac(id) {
+  return createHmac('sha256', SESSION_SECRET).update(id).digest('base64url');
+}
+
+export function issueSessionToken(id) {
+  return `${id}.${sessionMac(id)}`;
+}
+
+// Returns the session id a token was issued for, or null if it is forged
+export function verifySessionToken(token) {
+  if (typeof token !== 'string' || token.length > 256) return null;
+  const dot = token.lastIndexOf('.');
+  if (dot <= 0) return null;
+  const id = token.slice(0, dot);
+  const given = Buffer.from(token.slice(dot + 1));
+  const expected = Buffer.from(sessionMac(id));
+  if (given.length !== expected.length || !timingSafeEqual(given, expected)) return null;
+  return id;
+}
+
+// With `req`, bodies of COMPRESS_MIN_BYTES or more are sent with the best
+// encoding its Accept-Encoding allows (server/compress.js). `extra` headers
+// (e.g. an ETag and Cache-Control) override the defaults.
+function jsonResponse(obj, status = 200, req = null, extra = null) {
+  return encodedResponse(JSON.stringify(obj), 'application/json; charset=utf-8', status, req, extra);
+}
+
+function encodedResponse(body, contentType, status = 200, req = null, extra = null) {
+  const headers = { 'Content-Type': contentType, 'Cache-Control': 'no-store' };
+  if (req) headers.Vary = 'Accept-Encoding';
+  Object.assign(headers, extra);
+  if (req) {
+    const encoding = body.length >= COMPRESS_MIN_BYTES ? negotiateEncoding(req.headers.get('accept-encoding')) : null;
+    if (encoding) {
+      body = compressBody(body, encoding);
+      headers['Content-Encoding'] = encoding;
+    }
+    mHttpEncoded.inc({ encoding: encoding || 'identity' });
+  }
+  return new Response(body, { status, headers });
+}
+
+// HTTP caching. Tile reads carry a weak ETag of the tile's revision, which
+// every append and reset moves (see readTileDelta), and are revalidated on
+// each use, so browsers and proxies keep the body until the tile changes.
+// Hashed build assets (client/dist/assets) never change; other static files
+// are revalidated by modification time.
+const TILE_CACHE = { 'Cache-Control': 'no-cache', Vary: 'Accept-Encoding' };
+const IMMUTABLE_CACHE = 'public, max-age=31536000, immutable';
+
+function tileETag(rev) {
+  return `W/"tile-${rev}"`;
+}
+
+// If-None-Match with weak comparison; '*' matches any current representation
+function etagMatches(req, etag) {
+  const header = req.headers.get('if-none-match');
+  if (!header) return false;
+  const opaque = (tag) => tag.trim().replace(/^W\//, '');
+  return header.split(',').some(tag => tag.trim() === '*' || opaque(tag) === opaque(etag));
+}
+
+function notModified(headers) {
+  return new Response(null, { status: 304, headers });
+}
+
+async function fileResponse(filePath, req = null, immutable = false, extra = null) {
   try {
     const st = await fs.promises.stat(filePath);
     if (!st.isFile()) return new Response('Not Found', { status: 404 });
-    return new Response(Bun.file(filePath));
+    if (immutable) return new Response(Bun.file(filePath), { headers: { 'Cache-Control': IMMUTABLE_CACHE, ...extra } });
+    const headers = { 'Cache-Control': 'no-cache', 'Last-Modified': st.mtime.toUTCString(), ...extra };
+    // HTTP dates have whole seconds
+    const since = Date.parse(req?.headers.get('if-modified-since') || '');
+    if (since >= Math.floor(st.mtimeMs / 1000) * 1000) return notModified(headers);
+    return new Response(Bun.file(filePath), { headers });
   } catch (e) {
     return new Response('Not Found', { status: 404 });
   }
@@ -72,35 +191,12 @@ async function fileResponse(filePath) {
 
 function clamp(n, min, max) { return Math.max(min, Math.min(max, n)); }
 
-// Check database size and remove oldest strokes if over limit
-function enforceDbSizeLimit() {
-  try {
-    const sizeResult = getDbSizeStmt.get();
-    const currentSize = sizeResult ? sizeResult.size : 0;
-    
-    if (currentSize >= MAX_DB_SIZE_BYTES) {
-      console.log(`Database size (${Math.round(currentSize / (1024 * 1024))}MB) approaching limit. Cleaning up oldest strokes...`);
-      
-      // Remove oldest 10% of strokes to free up space
-      const countResult = getStrokeCountStmt.get();
-      const totalStrokes = countResult ? countResult.count : 0;
-      
-      if (totalStrokes > 0) {
-        const strokesToDelete = Math.max(1, Math.floor(totalStrokes * 0.1));
-        deleteOldestStrokesStmt.run(strokesToDelete);
-        
-        // Run VACUUM to reclaim space immediately
-        db.exec('VACUUM');
-        
-        const newSizeResult = getDbSizeStmt.get();
-        const newSize = newSizeResult ? newSizeResult.size : 0;
-        
-        console.log(`Cleanup complete. Removed ${strokesToDelete} oldest strokes. Database size reduced from ${Math.round(currentSize / (1024 * 1024))}MB to ${Math.round(newSize / (1024 * 1024))}MB`);
-      }
-    }
-  } catch (error) {
-    console.warn('Failed to enforce database size limit:', error.message);
-  }
+// Room key for an isolated canvas: lowercase [a-z0-9_-], max 64 chars. The
+// empty string is the default shared universe.
+const DEFAULT_ROOM = '';
+export function normalizeRoom(v) {
+  if (typeof v !== 'string') return DEFAULT_ROOM;
+  return v.trim().toLowerCase().replace(/[^a-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 64);
 }
 
 export function tilesForBounds(minX, minY, maxX, maxY, tileSize) {
@@ -117,6 +213,60 @@ export function tilesForBounds(minX, minY, maxX, maxY, tileSize) {
   return tiles;
 }
 
+// World-space edge length of a tile at zoom level z
+export function tileSizeForLevel(z) {
+  return TILE_SIZE * Math.pow(2, z);
+}
+
+function levelFromParam(v) {
+  const n = Math.floor(Number(v ?? Z));
+  if (!Number.isFinite(n)) return Z;
+  return clamp(n, Z, MAX_Z);
+}
+
+// Douglas-Peucker simplification; keeps endpoints and any point farther than
+// `tolerance` world px from the chord it would otherwise be folded into.
+export function simplifyPoints(pts, tolerance) {
+  if (!Array.isArray(pts) || pts.length <= 2 || !(tolerance > 0)) return pts;
+  const keep = new Uint8Array(pts.length);
+  keep[0] = 1; keep[pts.length - 1] = 1;
+  const stack = [[0, pts.length - 1]];
+  const tol2 = tolerance * tolerance;
+  while (stack.length) {
+    const [a, b] = stack.pop();
+    const ax = pts[a].x, ay = pts[a].y;
+    const dx = pts[b].x - ax, dy = pts[b].y - ay;
+    const len2 = dx * dx + dy * dy;
+    let maxD = -1, maxI = -1;
+    for (let i = a + 1; i < b; i++) {
+      let px = pts[i].x - ax, py = pts[i].y - ay;
+      if (len2 > 0) {
+        const u = clamp((px * dx + py * dy) / len2, 0, 1);
+        px -= u * dx; py -= u * dy;
+      }
+      const d = px * px + py * py;
+      if (d > maxD) { maxD = d; maxI = i; }
+    }
+    if (maxI !== -1 && maxD > tol2) {
+      keep[maxI] = 1;
+      stack.push([a, maxI], [maxI, b]);
+    }
+  }
+  const out = [];
+  for (let i = 0; i < pts.length; i++) if (keep[i]) out.push(pts[i]);
+  // A stroke that collapsed onto itself is just a dab at coarse levels
+  if (out.length === 2 && out[0].x === out[1].x && out[0].y === out[1].y) out.length = 1;
+  return out;
+}
+
+// Copy of a base-level stroke as stored at level z: one level pixel spans 2^z
+// world px, so detail finer than half a level pixel is dropped.
+export function strokeForLevel(stroke, z) {
+  if (z === Z) return { ...stroke, z: Z };
+  const tolerance = Math.pow(2, z) / 2;
+  return { ...stroke, z, points: simplifyPoints(stroke.points || [], tolerance) };
+}
+
 function bboxOfPoints(pts) {
   let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
   for (const p of pts) {
@@ -131,63 +281,968 @@ function bboxOfPoints(pts) {
   return { minX, minY, maxX, maxY };
 }
 
-export function appendStrokeToTiles(stroke) {
-  const bb = bboxOfPoints(stroke.points || []);
-  if (!bb) return [];
-  
-  // Enforce database size limit before adding new strokes
-  enforceDbSizeLimit();
-  
-  const padding = clamp(Number(stroke.size) || 12, 1, 128) * 2; // include brush radius
-  const tiles = tilesForBounds(bb.minX - padding, bb.minY - padding, bb.maxX + padding, bb.maxY + padding, TILE_SIZE);
-  const zVal = stroke.z ?? Z;
-  const DB_GZIP_LEVEL = Number(process.env.DB_GZIP_LEVEL || 9);
-  const jsonBuf = Bun.gzipSync(JSON.stringify(stroke), { level: DB_GZIP_LEVEL });
-  const tVal = Number(stroke.t) || Date.now();
-  const idVal = String(stroke.id || '');
-  const txInsert = db.transaction((list) => {
-    for (const { tx, ty } of list) {
-      insertStrokeStmt.run(zVal, tx, ty, tVal, idVal, jsonBuf);
-    }
-  });
-  try { txInsert(tiles); } catch (e) { console.warn('DB insert failed', (e && e.message) || e); }
-  return tiles;
+export function regionAllows(region, userId) {
+  return !!userId && (region.owner === userId || region.allow.includes(userId));
 }
 
-export async function readTileStrokes(z, tx, ty, sinceTs) {
-  try {
-    const rows = (sinceTs != null)
-      ? selectTileSinceStmt.all(z, tx, ty, Number(sinceTs))
-      : selectTileAllStmt.all(z, tx, ty);
-    const out = [];
-    for (const r of rows) {
+// Does segment a-b cross rectangle `box`? (Liang-Barsky clipping)
+function segmentCrossesBox(a, b, box) {
+  const dx = b.x - a.x, dy = b.y - a.y;
+  let t0 = 0, t1 = 1;
+  for (const [p, q] of [[-dx, a.x - box.minX], [dx, box.maxX - a.x], [-dy, a.y - box.minY], [dy, box.maxY - a.y]]) {
+    if (p === 0) { if (q < 0) return false; continue; }
+    const t = q / p;
+    if (p < 0) { if (t > t1) return false; if (t > t0) t0 = t; }
+    else { if (t < t0) return false; if (t < t1) t1 = t; }
+  }
+  return true;
+}
+
+function pointSegmentDistance(x, y, a, b) {
+  const dx = b.x - a.x, dy = b.y - a.y;
+  const len2 = dx * dx + dy * dy;
+  const t = len2 > 0 ? clamp(((x - a.x) * dx + (y - a.y) * dy) / len2, 0, 1) : 0;
+  return Math.hypot(x - a.x - t * dx, y - a.y - t * dy);
+}
+
+// Does a brush of radius r along the stroke's path (smoothed like the client
+// draws it) paint inside `box`? A segment that misses the box is nearest to it
+// at one of its end points or one of the box's corners.
+function pathTouchesBox(points, r, box) {
+  const pts = points.map(p => ({ x: Number(p.x), y: Number(p.y) })).filter(p => Number.isFinite(p.x) && Number.isFinite(p.y));
+  if (!pts.length) return false;
+  const path = pts.length === 1 ? pts : flattenSmoothPath(pts);
+  const outside = (p) => Math.hypot(Math.max(box.minX - p.x, 0, p.x - box.maxX), Math.max(box.minY - p.y, 0, p.y - box.maxY));
+  const corners = [[box.minX, box.minY], [box.maxX, box.minY], [box.minX, box.maxY], [box.maxX, box.maxY]];
+  for (let i = 0; i < Math.max(1, path.length - 1); i++) {
+    const a = path[i], b = path[i + 1] ?? a;
+    if (Math.max(a.x, b.x) < box.minX - r || Math.min(a.x, b.x) > box.maxX + r || Math.max(a.y, b.y) < box.minY - r || Math.min(a.y, b.y) > box.maxY + r) continue;
+    if (outside(a) <= r || outside(b) <= r || segmentCrossesBox(a, b, box)) return true;
+    if (corners.some(([x, y]) => pointSegmentDistance(x, y, a, b) <= r)) return true;
+  }
+  return false;
+}
+
+
+// Decode a stored json column (gzip blob, or plain JSON text from older rows)
+function decodeStrokeRow(data) {
+  if (typeof data === 'string') return JSON.parse(data);
+  if (data && (data instanceof Uint8Array || ArrayBuffer.isView(data))) {
+    const start = performance.now();
+    const raw = Bun.gunzipSync(data);
+    mGzipSeconds.inc({ op: 'gunzip' }, (performance.now() - start) / 1000);
+    return JSON.parse(new TextDecoder('utf-8').decode(raw));
+  }
+  return null;
+}
+
+// Stroke, tile and region operations on one storage backend (server/storage.js).
+// A server started with its own storage or dataDir gets its own; the exported
+// functions further down use the module's default backend.
+const PNG_CACHE_MAX = 128;
+
+function createCanvasData(storage) {
+  function listRegions(room = DEFAULT_ROOM) {
+    return storage.listRegions(room);
+  }
+
+  // Create or replace a region. Returns the stored region, or null if the
+  // rectangle is malformed.
+  function upsertRegion(room, input) {
+    const [minX, minY, maxX, maxY] = [input?.minX, input?.minY, input?.maxX, input?.maxY].map(Number);
+    if (![minX, minY, maxX, maxY].every(Number.isFinite) || minX >= maxX || minY >= maxY) return null;
+    const id = typeof input.id === 'string' && input.id ? input.id.slice(0, 128) : crypto.randomUUID();
+    const owner = typeof input.owner === 'string' ? input.owner : '';
+    const allow = (Array.isArray(input.allow) ? input.allow : []).filter(x => typeof x === 'string').slice(0, MAX_REGION_ALLOW);
+    storage.putRegion({ id, room, minX, minY, maxX, maxY, owner, allow, t: Date.now() });
+    return { id, room, minX, minY, maxX, maxY, owner, allow };
+  }
+
+  function deleteRegion(id) {
+    return storage.deleteRegion(String(id || ''));
+  }
+
+  // The first protected region a stroke (including its brush radius) would touch
+  // without its author being allowed there, or null. The bbox only picks
+  // candidate regions; the path itself has to come near one.
+  function strokeBlockedBy(stroke, room = DEFAULT_ROOM) {
+    const points = stroke.points || [];
+    const bb = bboxOfPoints(points);
+    if (!bb) return null;
+    const r = (Number(stroke.size) || 12) / 2;
+    for (const region of storage.regionsInBox(room, { minX: bb.minX - r, minY: bb.minY - r, maxX: bb.maxX + r, maxY: bb.maxY + r })) {
+      if (!regionAllows(region, stroke.userId) && pathTouchesBox(points, r, region)) return region;
+    }
+    return null;
+  }
+
+  // Persist a stroke into every zoom level of the pyramid. Level Z keeps the
+  // stroke as sent; coarser levels get simplified copies. Returns the base-level
+  // tiles the stroke touches (none if it enters a region its author may not draw
+  // in, unless `ignoreRegions` is set as it is for restores). Throws when the
+  // backend fails to store it, so callers don't broadcast a stroke that is lost.
+  function appendStrokeToTiles(stroke, room = DEFAULT_ROOM, { ignoreRegions = false } = {}) {
+    const bb = bboxOfPoints(stroke.points || []);
+    if (!bb) return [];
+    if (!ignoreRegions && strokeBlockedBy(stroke, room)) return []; // callers report the region; this is the backstop
+
+    const padding = clamp(Number(stroke.size) || 12, 1, 128) * 2; // include brush radius
+    const DB_GZIP_LEVEL = Number(process.env.DB_GZIP_LEVEL || 9);
+    const tVal = Number(stroke.t) || Date.now();
+    const idVal = String(stroke.id || '');
+    const rows = [];
+    let baseTiles = [];
+    for (let z = Z; z <= MAX_Z; z++) {
+      const tiles = tilesForBounds(bb.minX - padding, bb.minY - padding, bb.maxX + padding, bb.maxY + padding, tileSizeForLevel(z));
+      if (z === Z) baseTiles = tiles;
+      const jsonBuf = gzipRow(JSON.stringify(strokeForLevel(stroke, z)), DB_GZIP_LEVEL);
+      for (const { tx, ty } of tiles) rows.push({ z, tx, ty, data: jsonBuf });
+    }
+    try {
+      storage.appendStroke(room, { id: idVal, t: tVal, rows });
+    } catch (e) {
+      console.warn('DB insert failed', (e && e.message) || e);
+      throw e;
+    }
+    mStrokesPersisted.inc();
+    return baseTiles;
+  }
+
+  // Record that rows of these tiles were hidden, restored or removed, so older
+  // cursors fall back to a full read
+  function markTilesReset(room, tiles) {
+    storage.markReset(room, tiles);
+  }
+
+  function tileRevision(room, z, tx, ty) {
+    return storage.tileRevision(room, z, tx, ty);
+  }
+
+  // Incremental tile read. With a cursor from an earlier read only newer strokes
+  // are returned; without one, or when the tile was reset since, the whole tile
+  // is returned with full: true. The returned rev is the cursor for next time.
+  function readTileRows(z, tx, ty, cursor, room) {
+    const { rev, reset } = tileRevision(room, z, tx, ty);
+    const c = cursor == null || cursor === '' ? NaN : Number(cursor);
+    const full = !Number.isSafeInteger(c) || c < reset || c > rev;
+    return { rev, full, rows: storage.readTile(room, z, tx, ty, full ? 0 : c) };
+  }
+
+  function readTileDelta(z, tx, ty, cursor, room = DEFAULT_ROOM) {
+    const start = performance.now();
+    const { rev, full, rows } = readTileRows(z, tx, ty, cursor, room);
+    const strokes = [];
+    for (const data of rows) {
       try {
-        const data = r.json;
-        if (typeof data === 'string') {
-          out.push(JSON.parse(data));
-        } else if (data && (data instanceof Uint8Array || ArrayBuffer.isView(data))) {
-          const raw = Bun.gunzipSync(data);
-          const str = new TextDecoder('utf-8').decode(raw);
-          out.push(JSON.parse(str));
-        }
+        const stroke = decodeStrokeRow(data);
+        if (stroke) strokes.push(stroke);
       } catch {}
     }
-    return out;
-  } catch (_) {
-    return [];
+    mRowsDecoded.inc(undefined, rows.length);
+    mTileRead.observe({ mode: full ? 'full' : 'delta' }, (performance.now() - start) / 1000);
+    return { rev, full, strokes };
+  }
+
+  async function readTileStrokes(z, tx, ty, sinceTs, room = DEFAULT_ROOM) {
+    try {
+      const start = performance.now();
+      const rows = (sinceTs != null)
+        ? storage.readTileSince(room, z, tx, ty, Number(sinceTs))
+        : storage.readTile(room, z, tx, ty);
+      const out = [];
+      for (const data of rows) {
+        try {
+          const stroke = decodeStrokeRow(data);
+          if (stroke) out.push(stroke);
+        } catch {}
+      }
+      mRowsDecoded.inc(undefined, rows.length);
+      mTileRead.observe({ mode: sinceTs != null ? 'since' : 'full' }, (performance.now() - start) / 1000);
+      return out;
+    } catch (_) {
+      return [];
+    }
+  }
+
+  // Undo: tombstone a stroke so reads skip it. Only the stroke's author may undo
+  // it. Returns the tiles (every level) that held the stroke, or null if refused.
+  function undoStroke(id, userId, room = DEFAULT_ROOM) {
+    try {
+      const data = storage.getStroke(room, String(id || ''));
+      if (!data || !userId) return null;
+      const stroke = decodeStrokeRow(data);
+      if (!stroke || String(stroke.userId || '') !== String(userId)) return null;
+      if (!storage.hideStroke(room, String(id), String(userId))) return null; // already undone
+      const tiles = storage.strokeTiles(room, String(id));
+      markTilesReset(room, tiles);
+      return tiles;
+    } catch (e) {
+      console.warn('Undo failed', (e && e.message) || e);
+      return null;
+    }
+  }
+
+  // Object eraser: remove every row of a stroke (all tiles, all levels) so the
+  // database actually shrinks. Returns the tiles that held it, or null if unknown.
+  function deleteStroke(id, room = DEFAULT_ROOM) {
+    try {
+      return storage.deleteStroke(room, String(id || ''));
+    } catch (e) {
+      console.warn('Delete failed', (e && e.message) || e);
+      return null;
+    }
+  }
+
+  // Redo: lift the author's own tombstone. Returns affected tiles or null.
+  function redoStroke(id, userId, room = DEFAULT_ROOM) {
+    try {
+      if (!userId) return null;
+      const tiles = storage.strokeTiles(room, String(id || ''));
+      if (!tiles.length) return null;
+      if (!storage.unhideStroke(room, String(id), String(userId))) return null;
+      markTilesReset(room, tiles);
+      return tiles;
+    } catch (e) {
+      console.warn('Redo failed', (e && e.message) || e);
+      return null;
+    }
+  }
+
+  // Every stored stroke once, oldest row first, as { ...stroke, room } plus
+  // `undone: true` for tombstoned ones. Rows that fail to decode are skipped
+  // (verifyStrokeRows reports them).
+  function* backupStrokes() {
+    const seen = new Set();
+    for (const row of storage.baseRows()) {
+      const key = `${row.room}\n${row.id}`;
+      if (seen.has(key)) continue;
+      const entry = backupEntry(row);
+      if (!entry) continue;
+      seen.add(key);
+      yield entry;
+    }
+  }
+
+  function backupEntry({ room, id, data }) {
+    let stroke;
+    try { stroke = decodeStrokeRow(data); } catch { return null; }
+    if (!stroke) return null;
+    const entry = { ...stroke, id, room };
+    if (storage.hiddenBy(room, id) != null) entry.undone = true;
+    return entry;
+  }
+
+  // Retention eviction: delete whole strokes, first appending them to the
+  // archive file (one gzip member per batch) when one is configured
+  function evictStrokes(list, { archive }) {
+    if (!list.length) return 0;
+    if (archive) {
+      let lines = '';
+      for (const { room, id } of list) {
+        const data = storage.getStroke(room, id);
+        const entry = data && backupEntry({ room, id, data });
+        if (entry) lines += JSON.stringify(entry) + '\n';
+      }
+      // Keep the rows if they could not be archived
+      try { fs.appendFileSync(archive, Bun.gzipSync(lines)); } catch (e) { console.warn('Archive write failed:', e.message); return 0; }
+    }
+    let n = 0;
+    storage.batch(() => {
+      for (const { room, id } of list) if (deleteStroke(id, room)) n++;
+    });
+    return n;
+  }
+
+  const retention = createRetention(evictStrokes);
+
+  // Run the retention policies once now (startServer also runs them on a timer)
+  function runRetention(overrides) {
+    return retention.run(storage, resolveRetention(overrides));
+  }
+
+  // Put one backup entry back. Tiles are recomputed by appendStrokeToTiles and
+  // strokes already present in the room are left alone. Returns 'restored',
+  // 'exists' or 'invalid'.
+  function restoreStroke(entry) {
+    if (!entry || typeof entry !== 'object' || typeof entry.id !== 'string' || !entry.id || !Array.isArray(entry.points)) return 'invalid';
+    const { room: rawRoom, undone, ...stroke } = entry;
+    const room = normalizeRoom(rawRoom);
+    if (storage.getStroke(room, stroke.id)) return 'exists';
+    const tiles = appendStrokeToTiles({ ...stroke, z: Z }, room, { ignoreRegions: true });
+    if (!tiles.length) return 'invalid';
+    if (undone) {
+      storage.hideStroke(room, stroke.id, String(stroke.userId || ''));
+      markTilesReset(room, storage.strokeTiles(room, stroke.id));
+    }
+    return 'restored';
+  }
+
+  // Decode every row and yield the ones that fail: { rowid, room, z, tx, ty, id, error }
+  // where error says whether the gzip layer, the JSON or the stroke shape is bad
+  function* verifyStrokeRows() {
+    for (const row of storage.allRows()) {
+      const { data: json, ...where } = row;
+      let text = json;
+      if (json && typeof json !== 'string') {
+        try { text = new TextDecoder('utf-8', { fatal: true }).decode(Bun.gunzipSync(json)); } catch (e) { yield { ...where, error: `gzip: ${e.message}` }; continue; }
+      }
+      let stroke;
+      try { stroke = JSON.parse(text); } catch (e) { yield { ...where, error: `json: ${e.message}` }; continue; }
+      if (!stroke || typeof stroke !== 'object' || !Array.isArray(stroke.points)) yield { ...where, error: 'stroke: missing points' };
+      else if (stroke.id !== row.id) yield { ...where, error: 'stroke: id does not match row' };
+    }
+  }
+
+  function countStrokeRows() {
+    return storage.stats().rows;
+  }
+
+  // Rendered PNG tiles: key -> { rev, png }, kept in LRU order
+  const pngCache = new Map();
+
+  // The cached PNG of a tile if its rows haven't changed since, else null
+  function cachedTilePng(z, tx, ty, room = DEFAULT_ROOM) {
+    const key = `${room}/${z}:${tx}:${ty}`;
+    const hit = pngCache.get(key);
+    if (!hit || hit.rev !== tileRevision(room, z, tx, ty).rev) return null;
+    pngCache.delete(key); pngCache.set(key, hit);
+    return hit.png;
+  }
+
+  // Rasterize a tile to PNG, reusing the cached image until the tile's rows change
+  async function renderTilePng(z, tx, ty, room = DEFAULT_ROOM) {
+    const cached = cachedTilePng(z, tx, ty, room);
+    if (cached) return cached;
+    const key = `${room}/${z}:${tx}:${ty}`;
+    const { rev } = tileRevision(room, z, tx, ty);
+    const strokes = await readTileStrokes(z, tx, ty, undefined, room);
+    const size = tileSizeForLevel(z);
+    const rgba = await rasterizeBands(strokes, { width: TILE_SIZE, height: TILE_SIZE, originX: tx * size, originY: ty * size, scale: TILE_SIZE / size });
+    const png = encodePng(TILE_SIZE, TILE_SIZE, rgba);
+    pngCache.delete(key);
+    pngCache.set(key, { rev, png });
+    if (pngCache.size > PNG_CACHE_MAX) pngCache.delete(pngCache.keys().next().value);
+    return png;
+  }
+
+  // Live strokes intersecting a world-space bbox, one copy per id, oldest first.
+  // Strokes are stored in every base tile they touch, so tiles repeat them.
+  async function readRegionStrokes(bbox, room = DEFAULT_ROOM) {
+    const byId = new Map();
+    for (const { tx, ty } of tilesForBounds(bbox.minX, bbox.minY, bbox.maxX, bbox.maxY, TILE_SIZE)) {
+      for (const s of await readTileStrokes(Z, tx, ty, undefined, room)) {
+        if (!s || !s.id || byId.has(s.id)) continue;
+        const bb = strokeBBox(s);
+        if (!bb || bb.maxX < bbox.minX || bb.maxY < bbox.minY || bb.minX > bbox.maxX || bb.minY > bbox.maxY) continue;
+        byId.set(s.id, s);
+      }
+    }
+    return [...byId.values()].sort(cmpByTime);
+  }
+
+  return {
+    storage,
+    listRegions,
+    upsertRegion,
+    deleteRegion,
+    strokeBlockedBy,
+    appendStrokeToTiles,
+    tileRevision,
+    readTileDelta,
+    readTileStrokes,
+    undoStroke,
+    deleteStroke,
+    redoStroke,
+    backupStrokes,
+    runRetention,
+    restoreStroke,
+    verifyStrokeRows,
+    countStrokeRows,
+    cachedTilePng,
+    renderTilePng,
+    readRegionStrokes,
+  };
+}
+
+// Stroke storage. STORAGE picks the backend: 'sqlite' (tiles.sqlite3), 'file'
+// (append-only strokes.log) or 'memory', in DATA_DIR unless given a directory.
+function openStorage(dataDir = DATA_DIR) {
+  const kind = process.env.STORAGE || 'sqlite';
+  if (kind === 'memory') return createMemoryStorage();
+  if (kind === 'file') return createFileStorage({ path: path.join(dataDir, 'strokes.log') });
+  return createSqliteStorage({ path: path.join(dataDir, 'tiles.sqlite3') });
+}
+
+// The default backend behind the exported functions (tests, server/cli.js) and
+// startServer() without storage or dataDir. Opened on first use, so
+// useStorage() can replace it before anything touches the disk.
+let defaultData = null;
+
+function canvasData() {
+  return defaultData ??= createCanvasData(openStorage());
+}
+
+// Switch the default backend; returns the previous one (null if none was opened yet)
+export function useStorage(next) {
+  const prev = defaultData?.storage ?? null;
+  defaultData = next ? createCanvasData(next) : null;
+  return prev;
+}
+
+export function listRegions(room) { return canvasData().listRegions(room); }
+export function upsertRegion(room, input) { return canvasData().upsertRegion(room, input); }
+export function deleteRegion(id) { return canvasData().deleteRegion(id); }
+export function strokeBlockedBy(stroke, room) { return canvasData().strokeBlockedBy(stroke, room); }
+export function appendStrokeToTiles(stroke, room, opts) { return canvasData().appendStrokeToTiles(stroke, room, opts); }
+export function readTileDelta(z, tx, ty, cursor, room) { return canvasData().readTileDelta(z, tx, ty, cursor, room); }
+export function readTileStrokes(z, tx, ty, sinceTs, room) { return canvasData().readTileStrokes(z, tx, ty, sinceTs, room); }
+export function undoStroke(id, userId, room) { return canvasData().undoStroke(id, userId, room); }
+export function deleteStroke(id, room) { return canvasData().deleteStroke(id, room); }
+export function redoStroke(id, userId, room) { return canvasData().redoStroke(id, userId, room); }
+export function backupStrokes() { return canvasData().backupStrokes(); }
+export function runRetention(overrides) { return canvasData().runRetention(overrides); }
+export function restoreStroke(entry) { return canvasData().restoreStroke(entry); }
+export function verifyStrokeRows() { return canvasData().verifyStrokeRows(); }
+export function countStrokeRows() { return canvasData().countStrokeRows(); }
+export function renderTilePng(z, tx, ty, room) { return canvasData().renderTilePng(z, tx, ty, room); }
+export function readRegionStrokes(bbox, room) { return canvasData().readRegionStrokes(bbox, room); }
+
+// Imports: raw body size and strokes per request (after flattening)
+const MAX_IMPORT_BYTES = Number(process.env.MAX_IMPORT_BYTES || 5 * 1024 * 1024);
+const MAX_IMPORT_STROKES = 5000;
+
+// Read a request body as text, or null if it is larger than maxBytes. A too
+// large Content-Length is refused before reading; otherwise the stream is
+// dropped as soon as it passes the limit.
+async function readBodyText(req, maxBytes) {
+  if (Number(req.headers.get('content-length')) > maxBytes) return null;
+  if (!req.body) return '';
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req.body) {
+    size += chunk.byteLength;
+    if (size > maxBytes) return null;
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf-8');
+}
+
+// Split an imported stroke that has more points than a single stroke may
+// carry; consecutive parts share an end point so the line stays joined
+function splitLongStroke(stroke, maxPoints = STROKE_LIMITS.maxPoints) {
+  const pts = stroke.points;
+  if (pts.length <= maxPoints) return [stroke];
+  const parts = [];
+  for (let i = 0; i < pts.length - 1; i += maxPoints - 1) {
+    parts.push({ ...stroke, points: pts.slice(i, i + maxPoints) });
+  }
+  return parts;
+}
+
+// Region exports read base-level tiles; cap the area and the rendered image
+// (side and pixel count). PNGs (exports and tiles) are rasterized in bands of
+// about RASTER_BAND_PIXELS so the float buffers stay small, yielding between bands.
+const MAX_EXPORT_TILES = 4096;
+const MAX_EXPORT_PX = 4096;
+const MAX_EXPORT_PIXELS = 4 * 1024 * 1024;
+const RASTER_BAND_PIXELS = 256 * 1024;
+
+// Parse and check an export bbox from query params; returns the bbox or an error string
+export function parseExportBounds(searchParams) {
+  const bbox = {};
+  for (const k of ['minX', 'minY', 'maxX', 'maxY']) {
+    const raw = searchParams.get(k);
+    bbox[k] = raw == null || raw === '' ? NaN : Number(raw);
+    if (!Number.isFinite(bbox[k])) return `${k} required`;
+  }
+  if (!(bbox.minX < bbox.maxX && bbox.minY < bbox.maxY)) return 'minX < maxX and minY < maxY required';
+  const tx = Math.ceil(bbox.maxX / TILE_SIZE) - Math.floor(bbox.minX / TILE_SIZE);
+  const ty = Math.ceil(bbox.maxY / TILE_SIZE) - Math.floor(bbox.minY / TILE_SIZE);
+  if (tx * ty > MAX_EXPORT_TILES) return 'region too large';
+  return bbox;
+}
+
+// Rasterize a region at `scale` image px per world px, shrunk to fit
+// MAX_EXPORT_PX and MAX_EXPORT_PIXELS
+export async function renderRegionPng(strokes, bbox, scale = 1) {
+  const W = bbox.maxX - bbox.minX;
+  const H = bbox.maxY - bbox.minY;
+  const s = Math.min(scale > 0 ? scale : 1, MAX_EXPORT_PX / W, MAX_EXPORT_PX / H, Math.sqrt(MAX_EXPORT_PIXELS / (W * H)));
+  const width = Math.max(1, Math.min(MAX_EXPORT_PX, Math.round(W * s)));
+  const height = Math.max(1, Math.min(MAX_EXPORT_PX, Math.round(H * s)));
+  const rgba = await rasterizeBands(strokes, { width, height, originX: bbox.minX, originY: bbox.minY, scale: s });
+  return encodePng(width, height, rgba);
+}
+
+// rasterizeStrokes in horizontal bands, resolving to the whole RGBA image
+async function rasterizeBands(strokes, { width, height, originX, originY, scale }) {
+  const bandRows = Math.max(1, Math.floor(RASTER_BAND_PIXELS / width));
+  const rgba = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y += bandRows) {
+    const rows = Math.min(bandRows, height - y);
+    rgba.set(rasterizeStrokes(strokes, { width, height: rows, originX, originY: originY + y / scale, scale }), y * width * 4);
+    await Bun.sleep(0); // let sockets and other requests in between bands
+  }
+  return rgba;
+}
+
+// Encodes a message at most once per wire format. Sockets that negotiated the
+// binary protocol get a frame when the type has one, JSON text otherwise.
+function outgoing(type, payload) {
+  let text, frame;
+  return (ws) => {
+    if (ws.data?.binary) {
+      if (frame === undefined) frame = encodeFrame(type, payload);
+      if (frame) return frame;
+    }
+    return text ??= JSON.stringify({ type, payload });
+  };
+}
+
+// Sockets that negotiated permessage-deflate get large messages deflated;
+// small ones (cursors, acks) aren't worth it
+function wsSend(ws, data) {
+  return ws.send(data, data.length >= COMPRESS_MIN_BYTES);
+}
+
+// Interest management: peers report the tile range they can see ('viewport')
+// and strokes/cursors only go to peers whose range covers the affected area.
+// Subscriptions are indexed per cell - a tile of level INTEREST_Z - so even a
+// fully zoomed-out view maps to a bounded set of keys. Peers that never
+// reported a viewport are unscoped and receive everything in their room.
+const INTEREST_Z = 3;
+const MAX_INTEREST_CELLS = 4096;
+
+function cellKeyForPoint(x, y) {
+  const size = tileSizeForLevel(INTEREST_Z);
+  return `${Math.floor(x / size)}:${Math.floor(y / size)}`;
+}
+
+// Cells covering tiles of level z (z <= INTEREST_Z)
+function cellKeysForTiles(tiles, z) {
+  const f = Math.pow(2, INTEREST_Z - z);
+  const keys = new Set();
+  for (const { tx, ty } of tiles) keys.add(`${Math.floor(tx / f)}:${Math.floor(ty / f)}`);
+  return keys;
+}
+
+// Cells covering a visible tile range, or null when the range is too large to index
+function cellKeysForRange({ z, tx0, ty0, tx1, ty1 }) {
+  const k = tileSizeForLevel(z) / tileSizeForLevel(INTEREST_Z);
+  const cx0 = Math.floor(tx0 * k), cy0 = Math.floor(ty0 * k);
+  const cx1 = Math.ceil((tx1 + 1) * k) - 1, cy1 = Math.ceil((ty1 + 1) * k) - 1;
+  if ((cx1 - cx0 + 1) * (cy1 - cy0 + 1) > MAX_INTEREST_CELLS) return null;
+  const keys = new Set();
+  for (let cy = cy0; cy <= cy1; cy++) for (let cx = cx0; cx <= cx1; cx++) keys.add(`${cx}:${cy}`);
+  return keys;
+}
+
+// What other peers see of a peer in welcome snapshots and presence frames
+function presenceOf(d) {
+  return { id: d.id, x: d.x, y: d.y, color: d.color, name: d.name, away: d.away === true };
+}
+
+function parseViewport(payload) {
+  const v = [payload?.tx0, payload?.ty0, payload?.tx1, payload?.ty1].map(Number);
+  if (!v.every(Number.isSafeInteger) || v[0] > v[2] || v[1] > v[3]) return null;
+  return { z: levelFromParam(payload?.z), tx0: v[0], ty0: v[1], tx1: v[2], ty1: v[3] };
+}
+
+// Peers of one server: room membership, interest subscriptions and broadcasts.
+// Multi-process: a broadcast bus (server/bus.js) carries every broadcast to
+// the other server processes, which deliver it to their own peers. Presence
+// from other processes is remembered so welcome snapshots include those peers.
+// startServer({ bus }) or BUS_SOCKET (a Unix socket path) picks the bus.
+// Presence is batched: the latest state of each peer that changed goes out on
+// the next tick (flushPresence) as one presenceFrame per recipient.
+function createPeerHub(bus, data) {
+  const rooms = new Map(); // room -> Map(id -> WebSocket)
+  const interest = new Map(); // room -> { cells: Map(cellKey -> Set<WebSocket>), unscoped: Set<WebSocket> }
+  const remotePeers = new Map(); // room -> Map(id -> { id, color, name, x, y, away, origin }) on other processes
+  const pendingPresence = new Map(); // room -> Map(id -> { peer, cells: Set, local }) until the next tick
+
+  function roomClients(room) {
+    let clients = rooms.get(room);
+    if (!clients) { clients = new Map(); rooms.set(room, clients); }
+    return clients;
+  }
+
+  // Send to this process's peers in a room, then to other processes via the bus
+  function broadcast(room, type, payload, excludeId) {
+    deliverToRoom(room, type, payload, excludeId);
+    bus.publish({ room, type, payload, cells: null, excludeId: excludeId || null });
+  }
+
+  function deliverToRoom(room, type, payload, excludeId) {
+    const clients = rooms.get(room);
+    if (!clients) return;
+    const msg = outgoing(type, payload);
+    let sent = 0;
+    for (const [id, ws] of clients) {
+      if (excludeId && id === excludeId) continue;
+      try { wsSend(ws, msg(ws)); sent++; } catch {}
+    }
+    mWsOut.inc({ type }, sent);
+  }
+
+  function roomInterest(room) {
+    let ri = interest.get(room);
+    if (!ri) { ri = { cells: new Map(), unscoped: new Set() }; interest.set(room, ri); }
+    return ri;
+  }
+
+  // Note that tiles were looked at, for retention's least-recently-viewed order
+  function recordTileView(room, z, tx, ty) {
+    const keys = cellKeysForRange({ z, tx0: tx, ty0: ty, tx1: tx, ty1: ty });
+    if (keys) data.storage.recordViews(room, keys);
+  }
+
+  function unsubscribe(ws) {
+    const ri = interest.get(ws.data.room);
+    if (!ri) return;
+    ri.unscoped.delete(ws);
+    for (const key of ws.data.cells || []) {
+      const set = ri.cells.get(key);
+      if (set) { set.delete(ws); if (set.size === 0) ri.cells.delete(key); }
+    }
+    ws.data.cells = null;
+    if (ri.cells.size === 0 && ri.unscoped.size === 0) interest.delete(ws.data.room);
+  }
+
+  // Subscribe a peer to the cells of a visible range; no range means unscoped
+  function subscribe(ws, range) {
+    unsubscribe(ws);
+    const ri = roomInterest(ws.data.room);
+    const keys = range ? cellKeysForRange(range) : null;
+    if (!keys) { ri.unscoped.add(ws); return; }
+    ws.data.cells = keys;
+    for (const key of keys) {
+      let set = ri.cells.get(key);
+      if (!set) { set = new Set(); ri.cells.set(key, set); }
+      set.add(ws);
+    }
+  }
+
+  // Like broadcast(), limited to peers interested in any of the given cells
+  function broadcastToCells(room, type, payload, cellKeys, excludeId) {
+    deliverToCells(room, type, payload, cellKeys, excludeId);
+    bus.publish({ room, type, payload, cells: Array.from(cellKeys), excludeId: excludeId || null });
+  }
+
+  function deliverToCells(room, type, payload, cellKeys, excludeId) {
+    const ri = interest.get(room);
+    if (!ri) return;
+    const targets = new Set(ri.unscoped);
+    for (const key of cellKeys) {
+      for (const ws of ri.cells.get(key) || []) targets.add(ws);
+    }
+    const msg = outgoing(type, payload);
+    let sent = 0;
+    for (const ws of targets) {
+      if (excludeId && ws.data.id === excludeId) continue;
+      try { wsSend(ws, msg(ws)); sent++; } catch {}
+    }
+    mWsOut.inc({ type }, sent);
+  }
+
+  // Queue a peer's presence for viewers of `cells`. Moves within one tick add
+  // up their cells so viewers of every cell passed through see the cursor go.
+  function queuePresence(room, peer, cells, local = true) {
+    let pending = pendingPresence.get(room);
+    if (!pending) { pending = new Map(); pendingPresence.set(room, pending); }
+    const prev = pending.get(peer.id);
+    pending.set(peer.id, { peer, cells: new Set([...(prev ? prev.cells : []), ...cells]), local });
+  }
+
+  // A leave must not be followed by a queued cursor
+  function forgetPresence(room, id) {
+    const pending = pendingPresence.get(room);
+    if (pending) pending.delete(id);
+  }
+
+  // Send every peer one presenceFrame with the changed cursors it can see
+  // (never its own) and publish this process's changes in one bus event
+  function flushPresence() {
+    for (const [room, pending] of pendingPresence) {
+      const ri = interest.get(room);
+      const frames = new Map(); // WebSocket -> [peer, ...]
+      const published = [];
+      for (const { peer, cells, local } of pending.values()) {
+        if (local) published.push({ ...peer, cells: Array.from(cells) });
+        if (!ri) continue;
+        const targets = new Set(ri.unscoped);
+        for (const key of cells) {
+          for (const ws of ri.cells.get(key) || []) targets.add(ws);
+        }
+        for (const ws of targets) {
+          if (ws.data.id === peer.id) continue;
+          if (!frames.has(ws)) frames.set(ws, []);
+          frames.get(ws).push(peer);
+        }
+      }
+      for (const [ws, peers] of frames) {
+        try { wsSend(ws, JSON.stringify({ type: 'presenceFrame', payload: { peers } })); } catch {}
+      }
+      mWsOut.inc({ type: 'presenceFrame' }, frames.size);
+      if (published.length) bus.publish({ room, type: 'presenceFrame', payload: { peers: published }, cells: null, excludeId: null });
+    }
+    pendingPresence.clear();
+  }
+
+  function onBusMessage(msg) {
+    if (msg.kind === 'hello') {
+      // A process joined: tell it where our peers are
+      for (const [room, clients] of rooms) {
+        const peers = Array.from(clients.values(), ws => ({ ...presenceOf(ws.data), cells: [cellKeyForPoint(ws.data.x, ws.data.y)] }));
+        bus.publish({ room, type: 'presenceFrame', payload: { peers }, cells: null, excludeId: null });
+      }
+    } else if (msg.kind === 'gone') {
+      // A process went away without saying goodbye for its peers
+      for (const [room, peers] of remotePeers) {
+        for (const [id, peer] of peers) {
+          if (peer.origin !== msg.origin) continue;
+          peers.delete(id);
+          forgetPresence(room, id);
+          deliverToRoom(room, 'leave', { id });
+        }
+        if (peers.size === 0) remotePeers.delete(room);
+      }
+    } else if (msg.kind === 'event' && typeof msg.room === 'string' && typeof msg.type === 'string') {
+      const { room, type, payload, cells, excludeId } = msg;
+      if (type === 'presenceFrame') {
+        // Remember the other process's peers and pass them on with our next tick
+        let peers = remotePeers.get(room);
+        if (!peers) { peers = new Map(); remotePeers.set(room, peers); }
+        for (const p of Array.isArray(payload?.peers) ? payload.peers : []) {
+          if (typeof p?.id !== 'string') continue;
+          const peer = presenceOf(p);
+          peers.set(p.id, { ...peer, origin: msg.origin });
+          queuePresence(room, peer, Array.isArray(p.cells) ? p.cells : [], false);
+        }
+        if (peers.size === 0) remotePeers.delete(room);
+        return;
+      }
+      if (type === 'leave' && payload?.id) {
+        const peers = remotePeers.get(room);
+        if (peers) { peers.delete(payload.id); if (peers.size === 0) remotePeers.delete(room); }
+        forgetPresence(room, payload.id);
+      }
+      if (Array.isArray(cells)) deliverToCells(room, type, payload, cells, excludeId);
+      else deliverToRoom(room, type, payload, excludeId);
+    }
+  }
+
+  const detach = bus.subscribe(onBusMessage);
+  return { rooms, remotePeers, roomClients, broadcast, broadcastToCells, subscribe, unsubscribe, recordTileView, queuePresence, forgetPresence, flushPresence, detach };
+}
+
+// Rate limiting: token buckets per connection and per client IP. Each kind
+// refills `rate` tokens/s up to `burst`; the ip* pair is shared by every socket
+// and HTTP call from one address. Override per kind with
+// startServer({ rateLimits }) or the RATE_LIMITS env var (JSON, same shape).
+const DEFAULT_RATE_LIMITS = {
+  strokes:  { rate: 10,   burst: 30,    ipRate: 40,    ipBurst: 120 },
+  points:   { rate: 5000, burst: 20000, ipRate: 20000, ipBurst: 80000 }, // points across all strokes
+  presence: { rate: 10,   burst: 20,    ipRate: 40,    ipBurst: 80 },
+  tiles:    { rate: 500,  burst: 2000,  ipRate: 2000,  ipBurst: 8000 }, // tiles across all tilesRequests
+  deletes:  { rate: 20,   burst: 200,   ipRate: 40,    ipBurst: 400 }, // object-erased ids, undos and redos
+  imports:  { rate: 0.1,  burst: 3,     ipRate: 0.1,   ipBurst: 3 }, // POST /api/import requests
+  exports:  { rate: 0.5,  burst: 5,     ipRate: 0.5,   ipBurst: 5 }, // GET /api/export requests
+  pngs:     { rate: 5,    burst: 30,    ipRate: 5,     ipBurst: 30 }, // /api/tile.png renders (cache misses)
+};
+// Rejected messages (decaying by one per second) before a socket is dropped
+const RATE_MAX_STRIKES = Number(process.env.RATE_MAX_STRIKES || 30);
+
+// Heartbeats: every HEARTBEAT_MS the server pings each socket; one that has
+// sent nothing (pong or otherwise) for HEARTBEAT_MISSES intervals is dropped,
+// which also broadcasts its leave. A peer with no presence, stroke or viewport
+// activity for IDLE_MS is shown as away until it moves again.
+const HEARTBEAT_MS = Number(process.env.HEARTBEAT_MS || 15000);
+const HEARTBEAT_MISSES = 2;
+const IDLE_MS = Number(process.env.IDLE_MS || 60000);
+// Presence frames go out at this interval (cursor changes in between are merged)
+const PRESENCE_TICK_MS = Number(process.env.PRESENCE_TICK_MS || 100);
+
+function resolveRateLimits(overrides) {
+  let env = {};
+  try { env = JSON.parse(process.env.RATE_LIMITS || '{}') || {}; } catch {}
+  const out = {};
+  for (const kind of Object.keys(DEFAULT_RATE_LIMITS)) {
+    out[kind] = { ...DEFAULT_RATE_LIMITS[kind], ...env[kind], ...overrides?.[kind] };
+  }
+  return out;
+}
+
+function refill(bucket, rate, burst, now) {
+  bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.at) * rate / 1000);
+  bucket.at = now;
+}
+
+function createRateLimiter(limits) {
+  const byIp = new Map(); // ip -> { kind -> { tokens, at } }
+  const bucket = (owner, kind, burst, now) => owner[kind] ??= { tokens: burst, at: now };
+
+  function ipBuckets(ip, now) {
+    let b = byIp.get(ip);
+    if (!b) {
+      // A bucket idle for a minute has refilled; forgetting it changes nothing
+      if (byIp.size >= 10000) {
+        for (const [k, v] of byIp) if (Object.values(v).every(x => now - x.at > 60000)) byIp.delete(k);
+      }
+      b = {};
+      byIp.set(ip, b);
+    }
+    return b;
+  }
+
+  // Charge costs ({ kind: n }) to the connection's buckets (if any) and the
+  // IP's. Nothing is taken unless every bucket can pay. Returns null when
+  // allowed, else { kind, retryMs }.
+  function charge(conn, ip, costs) {
+    const now = Date.now();
+    const owners = [];
+    const ipOwner = ipBuckets(ip || 'unknown', now);
+    for (const [kind, n] of Object.entries(costs)) {
+      const l = limits[kind];
+      if (!l || !(n > 0)) continue;
+      if (conn) owners.push([bucket(conn, kind, l.burst, now), l.rate, l.burst, n, kind]);
+      owners.push([bucket(ipOwner, kind, l.ipBurst, now), l.ipRate, l.ipBurst, n, kind]);
+    }
+    for (const [b, rate, burst, n, kind] of owners) {
+      refill(b, rate, burst, now);
+      if (b.tokens < n) {
+        mRateLimited.inc({ kind });
+        const retryMs = rate > 0 && n <= burst ? Math.ceil((n - b.tokens) * 1000 / rate) : null;
+        return { kind, retryMs };
+      }
+    }
+    for (const [b, , , n] of owners) b.tokens -= n;
+    return null;
   }
+
+  return { charge };
 }
-const clients = new Map(); // id -> WebSocket
 
-function broadcast(type, payload, excludeId) {
-  const msg = JSON.stringify({ type, payload });
-  for (const [id, ws] of clients) {
-    if (excludeId && id === excludeId) continue;
-    try { ws.send(msg); } catch {}
+// Count a rejected message against a socket; repeat offenders are disconnected
+function rateStrike(ws, limited, maxStrikes) {
+  const now = Date.now();
+  const s = ws.data.strikes ??= { n: 0, at: now };
+  s.n = Math.max(0, s.n - (now - s.at) / 1000) + 1;
+  s.at = now;
+  try { ws.send(JSON.stringify({ type: 'rateLimited', payload: limited })); } catch {}
+  if (s.n > maxStrikes) {
+    try { ws.close(1008, 'rate limited'); } catch {}
   }
 }
 
+// The token of an `Authorization: Bearer <token>` header, or null
+function bearerToken(req) {
+  const m = /^Bearer\s+(\S+)$/i.exec(req.headers.get('authorization') || '');
+  return m ? m[1] : null;
+}
+
+// Constant-time check of an `Authorization: Bearer <token>` header
+function hasBearer(req, token) {
+  if (!token) return false;
+  const given = Buffer.from(bearerToken(req) || '');
+  const expected = Buffer.from(token);
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
 export function startServer(options = {}) {
+  const limiter = createRateLimiter(resolveRateLimits(options.rateLimits));
+  const maxStrikes = options.maxRateStrikes ?? RATE_MAX_STRIKES;
+  const heartbeatMs = options.heartbeatMs ?? HEARTBEAT_MS;
+  const idleMs = options.idleMs ?? IDLE_MS;
+  const presenceTickMs = options.presenceTickMs ?? PRESENCE_TICK_MS;
+  const perMessageDeflate = options.perMessageDeflate ?? process.env.WS_DEFLATE !== '0';
+  const retentionCfg = resolveRetention(options.retention);
+  // Storage: an instance passed in (the caller closes it), one opened in
+  // dataDir (stop() closes it), or else the module default that the exported
+  // functions share
+  if (options.dataDir && !options.storage) fs.mkdirSync(options.dataDir, { recursive: true });
+  const ownStorage = options.dataDir && !options.storage ? openStorage(options.dataDir) : null;
+  const data = options.storage || ownStorage ? createCanvasData(options.storage ?? ownStorage) : canvasData();
+  const { storage, listRegions, upsertRegion, deleteRegion, strokeBlockedBy, appendStrokeToTiles, tileRevision, readTileDelta, readTileStrokes, undoStroke, deleteStroke, redoStroke, cachedTilePng, renderTilePng, readRegionStrokes } = data;
+  // A bus opened from BUS_SOCKET belongs to this server; one passed in is the caller's
+  const busSocket = process.env.BUS_SOCKET || '';
+  const ownBus = !options.bus && busSocket ? createUnixSocketBus({ path: busSocket }) : null;
+  const bus = options.bus ?? ownBus ?? createLocalBus();
+  const { rooms, remotePeers, roomClients, broadcast, broadcastToCells, subscribe, unsubscribe, recordTileView, queuePresence, forgetPresence, flushPresence, detach } = createPeerHub(bus, data);
+  const sockets = new Set(); // every open WebSocket, for stop() and heartbeats
+  let tileSockets = 0;
+
+  // Tell viewers of a peer's cell (and the cell it just left) where it is
+  function announcePresence(ws, prevCell) {
+    const d = ws.data;
+    d.cell = cellKeyForPoint(d.x, d.y);
+    queuePresence(d.room, presenceOf(d), [prevCell, d.cell].filter(Boolean));
+  }
+
+  // Take a peer socket out of its room's interest sets and membership, and tell
+  // the room it left unless a newer socket (another tab) holds its id there
+  function leaveRoom(ws) {
+    const id = ws.data?.id;
+    if (!id) return;
+    unsubscribe(ws);
+    const room = ws.data.room ?? DEFAULT_ROOM;
+    const clients = rooms.get(room);
+    if (clients && clients.get(id) === ws) {
+      clients.delete(id);
+      if (clients.size === 0) rooms.delete(room);
+      forgetPresence(room, id);
+      broadcast(room, 'leave', { id });
+    }
+  }
+
+  // Strokes, undo, viewport changes etc. bring an away peer back
+  function markActive(ws) {
+    ws.data.activeAt = Date.now();
+    if (ws.data.away) {
+      ws.data.away = false;
+      announcePresence(ws);
+    }
+  }
+  // /metrics is public unless a token is configured
+  const metricsToken = options.metricsToken ?? process.env.METRICS_TOKEN ?? '';
+  // Admin API (protected regions) is disabled unless a token is configured
+  const adminToken = options.adminToken ?? process.env.ADMIN_TOKEN ?? '';
+  const isAdmin = (req) => hasBearer(req, adminToken);
+  // Browsers may only open sockets and call the API from this server's own
+  // origin and ALLOWED_ORIGINS (comma-separated, '*' for any)
+  const originPolicy = createOriginPolicy(options.allowedOrigins ?? process.env.ALLOWED_ORIGINS ?? []);
+  // CSP for HTML pages: the default allows only this server (and the page's
+  // inline blocks); a configured policy replaces it, '' sends none
+  const csp = options.contentSecurityPolicy ?? process.env.CONTENT_SECURITY_POLICY;
+
+  // Refuses sockets and API calls from origins that aren't allowed, answers
+  // CORS preflights and adds CORS headers to allowed cross-origin API calls
+  const withOriginPolicy = (handler) => async (req, srv) => {
+    const { pathname } = new URL(req.url);
+    const isApi = pathname.startsWith('/api/');
+    if (pathname !== '/ws' && !isApi) return handler(req, srv);
+    const access = originPolicy.check(req);
+    if (!access.allowed) {
+      mOriginRejected.inc({ kind: isApi ? 'api' : 'ws' });
+      return isApi ? jsonResponse({ error: 'origin not allowed' }, 403) : new Response('Forbidden origin', { status: 403 });
+    }
+    if (!isApi || !access.cross) return handler(req, srv);
+    if (req.method === 'OPTIONS') return new Response(null, { status: 204, headers: preflightHeaders(access.origin) });
+    const res = await handler(req, srv);
+    for (const [name, value] of Object.entries(corsHeaders(access.origin))) {
+      if (name === 'Vary') res.headers.append(name, value);
+      else res.headers.set(name, value);
+    }
+    return res;
+  };
+
+  async function staticResponse(filePath, req, immutable = false) {
+    const headers = { ...STATIC_HEADERS };
+    if (csp !== '' && filePath.endsWith('.html')) {
+      try { headers['Content-Security-Policy'] = csp ?? contentSecurityPolicy(await Bun.file(filePath).text(), req.headers.get('host')); } catch {}
+    }
+    return fileResponse(filePath, req, immutable, headers);
+  }
   let desired = options.port ?? PORT;
   if (desired === 0) desired = 10000 + Math.floor(Math.random() * 50000);
   let server;
@@ -195,12 +1250,12 @@ export function startServer(options = {}) {
     try {
       server = Bun.serve({
         port: desired,
-  fetch: async (req, srv) => {
+  fetch: withOriginPolicy(async (req, srv) => {
     const url = new URL(req.url);
     const { pathname, searchParams } = url;
 
     if (pathname === '/ws') {
-      if (srv.upgrade(req)) return undefined; // WebSocket upgrade handled
+      if (srv.upgrade(req, { data: { ip: srv.requestIP(req)?.address } })) return undefined; // WebSocket upgrade handled
       return new Response('Upgrade failed', { status: 500 });
     }
 
@@ -209,21 +1264,28 @@ export function startServer(options = {}) {
       return jsonResponse({ ok: true });
     }
 
+    // Prometheus metrics
+    if (pathname === '/metrics' && req.method === 'GET') {
+      if (metricsToken && !hasBearer(req, metricsToken)) {
+        return new Response('Unauthorized', { status: 401 });
+      }
+      return new Response(metrics.render(), { headers: { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8', 'Cache-Control': 'no-store' } });
+    }
+
     // API: database status
     if (pathname === '/api/db-status' && req.method === 'GET') {
       try {
-        const sizeResult = getDbSizeStmt.get();
-        const countResult = getStrokeCountStmt.get();
-        const currentSize = sizeResult ? sizeResult.size : 0;
-        const strokeCount = countResult ? countResult.count : 0;
+        const { fileBytes: currentSize, usedBytes, rows: strokeCount } = storage.stats();
+        const maxBytes = retentionCfg.maxBytes;
         
         return jsonResponse({
           sizeBytes: currentSize,
           sizeMB: Math.round(currentSize / (1024 * 1024)),
-          maxSizeBytes: MAX_DB_SIZE_BYTES,
-          maxSizeMB: Math.round(MAX_DB_SIZE_BYTES / (1024 * 1024)),
+          usedBytes,
+          maxSizeBytes: maxBytes,
+          maxSizeMB: Math.round(maxBytes / (1024 * 1024)),
           strokeCount,
-          utilizationPercent: Math.round((currentSize / MAX_DB_SIZE_BYTES) * 100)
+          utilizationPercent: maxBytes > 0 ? Math.min(100, Math.round((usedBytes / maxBytes) * 100)) : 0
         });
       } catch (error) {
         return jsonResponse({ error: 'Failed to get database status', details: error.message }, 500);
@@ -232,61 +1294,233 @@ export function startServer(options = {}) {
 
     // API: fetch strokes for a tile
     if (pathname === '/api/tile-strokes' && req.method === 'GET') {
-      const z = Number(searchParams.get('z') ?? Z);
+      const z = levelFromParam(searchParams.get('z'));
       const tx = Number(searchParams.get('tx'));
       const ty = Number(searchParams.get('ty'));
       const since = searchParams.get('since') ? Number(searchParams.get('since')) : undefined;
+      const rev = searchParams.get('rev') ?? undefined;
+      const room = normalizeRoom(searchParams.get('room'));
       if (!Number.isFinite(tx) || !Number.isFinite(ty)) return jsonResponse({ error: 'tx,ty required' }, 400);
-      const strokes = await readTileStrokes(z, tx, ty, since);
-      return jsonResponse({ z, tx, ty, strokes });
+      recordTileView(room, z, tx, ty);
+      // The URL fixes everything else the body depends on, so the revision
+      // is enough to tell whether a cached copy is current
+      const cache = { ...TILE_CACHE, ETag: tileETag(tileRevision(room, z, tx, ty).rev) };
+      if (etagMatches(req, cache.ETag)) return notModified(cache);
+      if (since !== undefined) {
+        const strokes = await readTileStrokes(z, tx, ty, since, room);
+        return jsonResponse({ z, tx, ty, strokes }, 200, req, cache);
+      }
+      return jsonResponse({ z, tx, ty, ...readTileDelta(z, tx, ty, rev, room) }, 200, req, cache);
+    }
+
+    // API: rasterized tile snapshot (PNG)
+    if (pathname === '/api/tile.png' && req.method === 'GET') {
+      const z = levelFromParam(searchParams.get('z'));
+      const tx = Number(searchParams.get('tx'));
+      const ty = Number(searchParams.get('ty'));
+      const room = normalizeRoom(searchParams.get('room'));
+      if (!Number.isInteger(tx) || !Number.isInteger(ty)) return jsonResponse({ error: 'tx,ty required' }, 400);
+      recordTileView(room, z, tx, ty);
+      const cache = { 'Cache-Control': 'no-cache', ETag: tileETag(tileRevision(room, z, tx, ty).rev) };
+      if (etagMatches(req, cache.ETag)) return notModified(cache);
+      // Only renders are charged; cached tiles cost no more than a revision read
+      let png = cachedTilePng(z, tx, ty, room);
+      if (!png) {
+        const limited = limiter.charge(null, srv.requestIP(req)?.address, { pngs: 1 });
+        if (limited) return jsonResponse({ error: 'rate limited', ...limited }, 429);
+      }
+      try {
+        png ??= await renderTilePng(z, tx, ty, room);
+        return new Response(png, { headers: { 'Content-Type': 'image/png', ...cache } });
+      } catch (e) {
+        return jsonResponse({ error: 'render failed' }, 500);
+      }
+    }
+
+    // API: export a world-space region as SVG, PNG or JSON
+    if (pathname === '/api/export' && req.method === 'GET') {
+      const format = searchParams.get('format') || 'svg';
+      if (!['svg', 'png', 'json'].includes(format)) return jsonResponse({ error: 'format must be svg, png or json' }, 400);
+      const bbox = parseExportBounds(searchParams);
+      if (typeof bbox === 'string') return jsonResponse({ error: bbox }, 400);
+      const room = normalizeRoom(searchParams.get('room'));
+      const limited = limiter.charge(null, srv.requestIP(req)?.address, { exports: 1 });
+      if (limited) return jsonResponse({ error: 'rate limited', ...limited }, 429);
+      try {
+        const strokes = await readRegionStrokes(bbox, room);
+        const headers = { 'Cache-Control': 'no-store', 'Content-Disposition': `attachment; filename="export.${format}"` };
+        if (format === 'png') {
+          const png = await renderRegionPng(strokes, bbox, Number(searchParams.get('scale')) || 1);
+          return new Response(png, { headers: { ...headers, 'Content-Type': 'image/png' } });
+        }
+        const chunks = format === 'json' ? jsonChunks(strokes, bbox) : svgChunks(strokes, bbox);
+        const type = format === 'json' ? 'application/json; charset=utf-8' : 'image/svg+xml; charset=utf-8';
+        return new Response(chunkStream(chunks), { headers: { ...headers, 'Content-Type': type } });
+      } catch (e) {
+        return jsonResponse({ error: 'export failed' }, 500);
+      }
     }
 
     // API: batch fetch strokes for multiple tiles
     if (pathname === '/api/tile-strokes-batch' && req.method === 'POST') {
       try {
         const body = await req.json();
-        const z = Number(body?.z ?? Z);
+        const z = levelFromParam(body?.z);
+        const room = normalizeRoom(body?.room);
         const tilesArr = Array.isArray(body?.tiles) ? body.tiles : [];
         // Limit tiles per batch to avoid abuse
         const MAX_BATCH = 500;
-        if (tilesArr.length === 0) return jsonResponse({ tiles: [] });
         if (tilesArr.length > MAX_BATCH) return jsonResponse({ error: 'too many tiles requested' }, 400);
+        // `Accept: application/x-ndjson` gets one tile per line instead of { tiles }
+        const ndjson = (req.headers.get('accept') || '').includes('application/x-ndjson');
         const out = [];
         for (const t of tilesArr) {
           const tx = Number(t?.tx);
           const ty = Number(t?.ty);
           if (!Number.isFinite(tx) || !Number.isFinite(ty)) continue;
-          const strokes = await readTileStrokes(z, tx, ty);
-          out.push({ z, tx, ty, strokes });
+          recordTileView(room, z, tx, ty);
+          out.push({ z, tx, ty, ...readTileDelta(z, tx, ty, t?.rev, room) });
         }
-        return jsonResponse({ tiles: out });
+        if (ndjson) return encodedResponse(out.map(tile => JSON.stringify(tile) + '\n').join(''), 'application/x-ndjson; charset=utf-8', 200, req);
+        return jsonResponse({ tiles: out }, 200, req);
       } catch (e) {
         return jsonResponse({ error: 'invalid json' }, 400);
       }
     }
 
+    // API: protected regions. Anyone may list them (with `allowed` for the
+    // caller's session token, sent as a Bearer header); creating, editing and
+    // deleting needs the admin token.
+    if (pathname === '/api/regions') {
+      const room = normalizeRoom(searchParams.get('room'));
+      if (req.method === 'GET') {
+        const userId = verifySessionToken(bearerToken(req));
+        const regions = listRegions(room).map(r => ({ id: r.id, minX: r.minX, minY: r.minY, maxX: r.maxX, maxY: r.maxY, owner: r.owner, allowed: regionAllows(r, userId) }));
+        return jsonResponse({ room, regions });
+      }
+      if (!isAdmin(req)) return jsonResponse({ error: 'admin token required' }, 403);
+      if (req.method === 'POST') {
+        let body;
+        try { body = await req.json(); } catch { return jsonResponse({ error: 'invalid json' }, 400); }
+        const regionRoom = normalizeRoom(body?.room ?? room);
+        const region = upsertRegion(regionRoom, body);
+        if (!region) return jsonResponse({ error: 'minX < maxX and minY < maxY required' }, 400);
+        broadcast(regionRoom, 'regionsChanged', {});
+        return jsonResponse({ region });
+      }
+      if (req.method === 'DELETE') {
+        const regionId = searchParams.get('id');
+        const existing = listRegions(room).find(r => r.id === regionId);
+        if (!existing || !deleteRegion(regionId)) return jsonResponse({ error: 'not found' }, 404);
+        broadcast(room, 'regionsChanged', {});
+        return jsonResponse({ ok: true });
+      }
+      return jsonResponse({ error: 'method not allowed' }, 405);
+    }
+
     // API: persist stroke (JSON)
     if (pathname === '/api/stroke' && req.method === 'POST') {
       try {
-        const json = await req.json();
+        const body = await req.text();
+        const json = JSON.parse(body);
+        mStrokesReceived.inc({ transport: 'http' });
+        const pointCount = Array.isArray(json?.points) ? json.points.length : 0;
+        const limited = limiter.charge(null, srv.requestIP(req)?.address, { strokes: 1, points: pointCount });
+        if (limited) return jsonResponse({ error: 'rate limited', ...limited }, 429);
+        const checked = validateStroke(json, { bytes: body.length });
+        if (!checked.ok) {
+          mStrokesRejected.inc({ code: checked.error.code });
+          return jsonResponse({ error: 'invalid stroke', ...checked.error }, checked.error.code === 'payload_too_large' ? 413 : 400);
+        }
         const stroke = {
-          id: json.id || crypto.randomUUID(),
-          userId: String(json.userId || ''),
-          color: String(json.color || '#000000'),
-          size: clamp(Number(json.size) || 12, 1, 128),
-          opacity: clamp(Number(json.opacity) || 1, 0, 1),
-          points: Array.isArray(json.points) ? json.points.map(p => ({ x: Number(p.x), y: Number(p.y), p: Number(p.p || 0) })) : [],
-          z: Number(json.z ?? Z),
-          t: Date.now(),
-          erase: Boolean(json.erase)
+          ...checked.stroke,
+          userId: verifySessionToken(bearerToken(req) ?? json.token) || '', // unsigned strokes stay anonymous
+          z: Z,
+          t: Date.now()
         };
-        try { appendStrokeToTiles(stroke); } catch (_) {}
+        const room = normalizeRoom(json.room);
+        const region = strokeBlockedBy(stroke, room);
+        if (region) {
+          mStrokesRejected.inc({ code: 'protected_region' });
+          return jsonResponse({ error: 'invalid stroke', code: 'protected_region', field: 'points', message: 'stroke enters a protected region', regionId: region.id }, 403);
+        }
+        mStrokePoints.observe(undefined, stroke.points.length);
+        try { appendStrokeToTiles(stroke, room); } catch {
+          mStrokesRejected.inc({ code: 'persist_failed' });
+          return jsonResponse({ error: 'stroke not saved', ...PERSIST_FAILED }, 503);
+        }
         return jsonResponse({ ok: true, id: stroke.id, t: stroke.t });
       } catch {
         return jsonResponse({ error: 'invalid json' }, 400);
       }
     }
 
+    // API: import an SVG or JSON stroke dump. The body is the raw file; the
+    // query gives the target top-left (x, y), scale and room, and the session
+    // token comes as `Authorization: Bearer`.
+    if (pathname === '/api/import' && req.method === 'POST') {
+      const limited = limiter.charge(null, srv.requestIP(req)?.address, { imports: 1 });
+      if (limited) return jsonResponse({ error: 'rate limited', ...limited }, 429);
+      const body = await readBodyText(req, MAX_IMPORT_BYTES);
+      if (body == null) return jsonResponse({ error: `import exceeds ${MAX_IMPORT_BYTES} bytes` }, 413);
+      const format = searchParams.get('format') || (body.trimStart().startsWith('<') ? 'svg' : 'json');
+      let parsed;
+      try {
+        if (format === 'svg') parsed = parseSvgStrokes(body);
+        else if (format === 'json') parsed = parseJsonStrokes(body);
+        else return jsonResponse({ error: 'format must be svg or json' }, 400);
+      } catch (e) {
+        return jsonResponse({ error: `invalid ${format}`, message: e.message }, 400);
+      }
+      const x = Number(searchParams.get('x') || 0);
+      const y = Number(searchParams.get('y') || 0);
+      const scale = Number(searchParams.get('scale') || 1);
+      if (!Number.isFinite(x) || !Number.isFinite(y) || !(scale > 0 && scale <= 1000)) {
+        return jsonResponse({ error: 'x, y must be numbers and scale in (0, 1000]' }, 400);
+      }
+      const placed = placeStrokes(parsed, { x, y, scale });
+      if (placed.length === 0) return jsonResponse({ error: 'nothing to import' }, 400);
+      // The cap and the rate limits apply to the strokes actually stored
+      const parts = placed.flatMap((s, index) => splitLongStroke(s).map(part => ({ index, part })));
+      if (parts.length > MAX_IMPORT_STROKES) return jsonResponse({ error: `at most ${MAX_IMPORT_STROKES} strokes per import` }, 413);
+      const pointCount = parts.reduce((n, { part }) => n + part.points.length, 0);
+      const overBudget = limiter.charge(null, srv.requestIP(req)?.address, { strokes: parts.length, points: pointCount });
+      if (overBudget) return jsonResponse({ error: 'rate limited', ...overBudget }, 429);
+      const room = normalizeRoom(searchParams.get('room'));
+      const userId = verifySessionToken(bearerToken(req)) || '';
+      const now = Date.now();
+      const ids = [];
+      const skipped = [];
+      for (const { index, part } of parts) {
+        mStrokesReceived.inc({ transport: 'import' });
+        const checked = validateStroke(part);
+        if (!checked.ok) {
+          mStrokesRejected.inc({ code: checked.error.code });
+          skipped.push({ index, ...checked.error });
+          continue;
+        }
+        // New ids; timestamps keep the file's order (later erasers still cover earlier paint)
+        const stroke = { ...checked.stroke, id: crypto.randomUUID(), userId, z: Z, t: now + ids.length };
+        const region = strokeBlockedBy(stroke, room);
+        if (region) {
+          mStrokesRejected.inc({ code: 'protected_region' });
+          skipped.push({ index, code: 'protected_region', field: 'points', message: 'stroke enters a protected region', regionId: region.id });
+          continue;
+        }
+        mStrokePoints.observe(undefined, stroke.points.length);
+        let tiles;
+        try { tiles = appendStrokeToTiles(stroke, room); } catch {
+          mStrokesRejected.inc({ code: 'persist_failed' });
+          skipped.push({ index, ...PERSIST_FAILED });
+          continue;
+        }
+        broadcastToCells(room, 'stroke', stroke, cellKeysForTiles(tiles, Z));
+        mStrokesBroadcast.inc();
+        ids.push(stroke.id);
+      }
+      return jsonResponse({ ok: true, room, ids, skipped });
+    }
+
     // Static client (prefer built assets under client/dist if present)
     const tryStatic = async (rel) => {
       // sanitize path
@@ -297,7 +1531,8 @@ export function startServer(options = {}) {
       if (distSafe.startsWith(CLIENT_DIST_DIR)) {
         try {
           const st = await fs.promises.stat(distSafe);
-          if (st.isFile()) return await fileResponse(distSafe);
+          // Vite puts content-hashed build output under assets/
+          if (st.isFile()) return await staticResponse(distSafe, req, normalizedRel.startsWith('assets' + path.sep));
         } catch {}
       }
       // 2) Try client/public (for assets like sw.js during dev)
@@ -306,7 +1541,7 @@ export function startServer(options = {}) {
       if (pubSafe.startsWith(CLIENT_PUBLIC_DIR)) {
         try {
           const st = await fs.promises.stat(pubSafe);
-          if (st.isFile()) return await fileResponse(pubSafe);
+          if (st.isFile()) return await staticResponse(pubSafe, req);
         } catch {}
       }
 
@@ -316,13 +1551,13 @@ export function startServer(options = {}) {
       if (!srcSafe.startsWith(CLIENT_DIR)) return new Response('Forbidden', { status: 403 });
       try {
         const st = await fs.promises.stat(srcSafe);
-        if (st.isFile()) return await fileResponse(srcSafe);
+        if (st.isFile()) return await staticResponse(srcSafe, req);
       } catch {}
       return null;
     };
 
-    // index
-    if (pathname === '/' || pathname === '/index.html') {
+    // index (also serves room URLs like /r/design-review)
+    if (pathname === '/' || pathname === '/index.html' || /^\/r\/[^/]+\/?$/.test(pathname)) {
       const res = await tryStatic('index.html');
       if (res) return res;
     } else if (pathname && pathname.startsWith('/')) {
@@ -330,80 +1565,174 @@ export function startServer(options = {}) {
       if (res) return res;
     }
     return new Response('Not Found', { status: 404 });
-  },
+  }),
   websocket: {
+    perMessageDeflate,
     open(ws) {
       // Don't assume role on open. Clients must identify as either 'peer' (broadcast
       // channel for presence/strokes) or 'tiles' (server->client tile streaming).
-      ws.data = { role: null };
+      ws.data = { role: null, ip: ws.data?.ip, buckets: {}, seenAt: Date.now() };
+      sockets.add(ws);
     },
   async message(ws, message) {
+      ws.data.seenAt = Date.now(); // any frame counts as a heartbeat
       let msg;
       try {
-        const raw = typeof message === 'string' ? message : (message instanceof Uint8Array ? new TextDecoder('utf-8').decode(message) : String(message));
-        msg = JSON.parse(raw);
+        if (typeof message !== 'string' && message instanceof Uint8Array && message[0] !== 0x7b) {
+          msg = decodeFrame(message); // binary frame (JSON text always starts with '{')
+        } else {
+          const raw = typeof message === 'string' ? message : (message instanceof Uint8Array ? new TextDecoder('utf-8').decode(message) : String(message));
+          msg = JSON.parse(raw);
+        }
       } catch { return; }
       if (!msg || typeof msg !== 'object') return;
       const { type, payload } = msg;
+      mWsIn.inc({ type: WS_TYPES.has(type) ? type : 'other' });
       const id = ws.data.id;
-      // Identification: first message should be { type: 'identify', payload: { role: 'peer'|'tiles' } }
+      const room = ws.data.room ?? DEFAULT_ROOM;
+      // Answer to our heartbeat ping (seenAt is already updated)
+      if (type === 'pong') return;
+      // Identification: first message should be { type: 'identify', payload: { role: 'peer'|'tiles', room?, token?, binary? } }
+      // binary: WIRE_VERSION opts into binary stroke/tileData frames (see client/wire.js)
       if (type === 'identify') {
         const role = payload && payload.role === 'tiles' ? 'tiles' : (payload && payload.role === 'peer' ? 'peer' : null);
+        const room = normalizeRoom(payload?.room);
+        const binary = payload?.binary === WIRE_VERSION;
         if (role === 'peer') {
-          // Allow client-provided id/name to resume a session
-          let desiredId = (payload && typeof payload.id === 'string' && payload.id.trim()) ? String(payload.id).trim() : null;
-          if (!desiredId) desiredId = crypto.randomUUID();
+          // A valid session token resumes its id; anything else gets a fresh one
+          const desiredId = verifySessionToken(payload?.token) || crypto.randomUUID();
           const safeName = (payload && typeof payload.name === 'string') ? String(payload.name).slice(0, 24) : undefined;
           const initialColor = (payload && typeof payload.color === 'string') ? String(payload.color) : `hsl(${Math.floor(Math.random() * 360)}, 80%, 60%)`;
 
-          // If an existing client is registered under this id, replace it
+          // Identifying again in another room (or as another id) leaves the old one first
+          if (ws.data.role === 'peer' && (ws.data.room !== room || ws.data.id !== desiredId)) leaveRoom(ws);
+          if (ws.data.role === 'tiles') tileSockets--;
+
+          // The same session reconnecting (or a second tab) replaces its older socket
+          const clients = roomClients(room);
           const prev = clients.get(desiredId);
-          ws.data = { role: 'peer', id: desiredId, color: initialColor, name: safeName || `Guest-${desiredId.slice(0, 4)}`, x: 0, y: 0 };
+          Object.assign(ws.data, { role: 'peer', room, binary, id: desiredId, color: initialColor, name: safeName || `Guest-${desiredId.slice(0, 4)}`, x: 0, y: 0, cell: null, away: false, activeAt: Date.now() });
           clients.set(desiredId, ws);
           if (prev && prev !== ws) {
             try { prev.close(); } catch {}
           }
+          subscribe(ws, null); // unscoped until the first viewport report
 
-          // Send welcome + current presence snapshot
+          // Send welcome + presence snapshot of this room only
           const snapshot = [];
           for (const [cid, cws] of clients) {
             if (cid === desiredId) continue;
-            const d = cws.data;
-            snapshot.push({ id: cid, color: d.color, name: d.name, x: d.x, y: d.y });
+            snapshot.push(presenceOf(cws.data));
+          }
+          for (const [cid, p] of remotePeers.get(room) || []) {
+            if (cid === desiredId || clients.has(cid)) continue;
+            snapshot.push(presenceOf(p));
           }
-          try { ws.send(JSON.stringify({ type: 'welcome', payload: { id: desiredId, color: ws.data.color, name: ws.data.name, others: snapshot } })); } catch {}
+          try { ws.send(JSON.stringify({ type: 'welcome', payload: { id: desiredId, token: issueSessionToken(desiredId), room, binary, color: ws.data.color, name: ws.data.name, heartbeatMs, others: snapshot } })); } catch {}
         } else if (role === 'tiles') {
+          if (ws.data.role === 'peer') { leaveRoom(ws); ws.data.id = null; }
+          if (ws.data.role !== 'tiles') tileSockets++;
           ws.data.role = 'tiles';
+          ws.data.room = room;
+          ws.data.binary = binary;
         }
         return;
       }
 
+      // Presence reports its own away state; any other peer message is activity
+      if (ws.data.role === 'peer' && type !== 'presence') markActive(ws);
       // Only process presence/stroke messages for identified peer connections
       if (ws.data && ws.data.role === 'peer' && type === 'presence') {
+        const limited = limiter.charge(ws.data.buckets, ws.data.ip, { presence: 1 });
+        if (limited) return rateStrike(ws, limited, maxStrikes);
         if (payload && Number.isFinite(payload.x) && Number.isFinite(payload.y)) {
           ws.data.x = Number(payload.x); ws.data.y = Number(payload.y);
         }
         if (payload && typeof payload.name === 'string') ws.data.name = payload.name.slice(0, 24);
         if (payload && typeof payload.color === 'string') ws.data.color = String(payload.color);
-        broadcast('presence', { id, x: ws.data.x, y: ws.data.y, color: ws.data.color, name: ws.data.name }, id);
+        // { away: true } comes from clients whose tab went to the background
+        if (payload?.away === true) ws.data.away = true;
+        else { ws.data.away = false; ws.data.activeAt = Date.now(); }
+        // Viewers of the old cell see the cursor leave, viewers of the new one see it arrive
+        announcePresence(ws, ws.data.cell);
+      } else if (ws.data && ws.data.role === 'peer' && type === 'viewport') {
+        // payload: { z, tx0, ty0, tx1, ty1 } - visible tile range at level z
+        const range = parseViewport(payload);
+        if (range) {
+          subscribe(ws, range);
+          if (ws.data.cells) storage.recordViews(room, ws.data.cells);
+        }
       } else if (ws.data && ws.data.role === 'peer' && type === 'stroke') {
-        const now = Date.now();
-        const stroke = {
-          id: payload.id || crypto.randomUUID(),
-          userId: id,
-          color: String(payload.color || '#000'),
-          size: clamp(Number(payload.size) || 12, 1, 128),
-          opacity: clamp(Number(payload.opacity) || 1, 0, 1),
-          points: Array.isArray(payload.points) ? payload.points.map(p => ({ x: Number(p.x), y: Number(p.y), p: Number(p.p || 0) })) : [],
-          z: Z,
-          t: now,
-          erase: Boolean(payload.erase)
-        };
-        try { appendStrokeToTiles(stroke); } catch (_) {}
-        broadcast('stroke', stroke, id);
+        mStrokesReceived.inc({ transport: 'ws' });
+        const pointCount = Array.isArray(payload?.points) ? payload.points.length : 0;
+        const limited = limiter.charge(ws.data.buckets, ws.data.ip, { strokes: 1, points: pointCount });
+        if (limited) return rateStrike(ws, { ...limited, id: payload?.id ?? null }, maxStrikes);
+        const checked = validateStroke(payload, { bytes: typeof message === 'string' ? message.length : message.byteLength });
+        if (!checked.ok) {
+          mStrokesRejected.inc({ code: checked.error.code });
+          try { ws.send(JSON.stringify({ type: 'strokeRejected', payload: { id: typeof payload?.id === 'string' ? payload.id : null, ...checked.error } })); } catch {}
+          return;
+        }
+        const stroke = { ...checked.stroke, userId: id, z: Z, t: Date.now() };
+        const region = strokeBlockedBy(stroke, room);
+        if (region) {
+          mStrokesRejected.inc({ code: 'protected_region' });
+          try { ws.send(JSON.stringify({ type: 'strokeRejected', payload: { id: stroke.id, code: 'protected_region', field: 'points', message: 'stroke enters a protected region', regionId: region.id } })); } catch {}
+          return;
+        }
+        mStrokePoints.observe(undefined, stroke.points.length);
+        let tiles;
+        try { tiles = appendStrokeToTiles(stroke, room); } catch {
+          // Only strokes that were stored are shown to others
+          mStrokesRejected.inc({ code: 'persist_failed' });
+          try { ws.send(JSON.stringify({ type: 'strokeRejected', payload: { id: stroke.id, ...PERSIST_FAILED } })); } catch {}
+          return;
+        }
+        broadcastToCells(room, 'stroke', stroke, cellKeysForTiles(tiles, Z), id);
+        mStrokesBroadcast.inc();
+      } else if (ws.data && ws.data.role === 'peer' && (type === 'undo' || type === 'redo')) {
+        // payload: { id } - the stroke must belong to this peer's verified id
+        const strokeId = payload && typeof payload.id === 'string' ? payload.id : null;
+        if (!strokeId) return;
+        const limited = limiter.charge(ws.data.buckets, ws.data.ip, { deletes: 1 });
+        if (limited) return rateStrike(ws, { ...limited, [type]: strokeId }, maxStrikes);
+        const tiles = type === 'undo' ? undoStroke(strokeId, id, room) : redoStroke(strokeId, id, room);
+        // Everyone (including the author's other tabs) re-renders the affected tiles
+        if (tiles) broadcast(room, type, { id: strokeId, userId: id, tiles });
+      } else if (ws.data && ws.data.role === 'peer' && type === 'deleteStrokes') {
+        // payload: { ids: [strokeId, ...] } from the object eraser
+        const ids = Array.isArray(payload?.ids) ? payload.ids.filter(x => typeof x === 'string').slice(0, MAX_DELETE_BATCH) : [];
+        if (!ids.length) return;
+        const limited = limiter.charge(ws.data.buckets, ws.data.ip, { deletes: ids.length });
+        if (limited) {
+          // The sender already hid them locally; point it at the tiles to restore
+          const tiles = ids.flatMap(sid => storage.strokeTiles(room, sid));
+          try { ws.send(JSON.stringify({ type: 'deleteRejected', payload: { ids, code: 'rate_limited', tiles } })); } catch {}
+          return rateStrike(ws, { ...limited, ids }, maxStrikes);
+        }
+        const deleted = [];
+        const refused = [];
+        const touched = new Map();
+        for (const sid of ids) {
+          // Strokes inside a protected region stay unless this peer may draw there
+          const data = storage.getStroke(room, sid);
+          const target = data ? decodeStrokeRow(data) : null;
+          if (target && strokeBlockedBy({ ...target, userId: id }, room)) { refused.push(sid); continue; }
+          const tiles = deleteStroke(sid, room);
+          if (!tiles) continue;
+          deleted.push(sid);
+          for (const t of tiles) touched.set(`${t.z}:${t.tx}:${t.ty}`, t);
+        }
+        if (deleted.length) broadcast(room, 'strokesDeleted', { ids: deleted, tiles: Array.from(touched.values()) });
+        if (refused.length) {
+          // The sender already hid them locally; point it at the tiles to restore
+          const tiles = refused.flatMap(sid => storage.strokeTiles(room, sid));
+          try { ws.send(JSON.stringify({ type: 'deleteRejected', payload: { ids: refused, code: 'protected_region', tiles } })); } catch {}
+        }
       } else if (type === 'tilesRequest') {
         // Stream tile data back to the requesting socket, one message per tile.
-        // payload: { reqId, z, tiles: [{tx,ty}, ...] }
+        // payload: { reqId, z, tiles: [{tx,ty,rev?}, ...] }; the room comes from identify.
+        // Tiles with a rev cursor only get strokes newer than it (see readTileDelta).
         try {
           // Only allow tilesRequest from connections that identified as 'tiles'
           if (!ws.data || ws.data.role !== 'tiles') {
@@ -411,7 +1740,7 @@ export function startServer(options = {}) {
             return;
           }
           const reqId = payload?.reqId || null;
-          const zVal = Number(payload?.z ?? Z);
+          const zVal = levelFromParam(payload?.z);
           const tilesArr = Array.isArray(payload?.tiles) ? payload.tiles : [];
           // limit tiles per request to avoid abuse
           const MAX_BATCH = 1000;
@@ -424,14 +1753,22 @@ export function startServer(options = {}) {
             ws.send(JSON.stringify({ type: 'tileBatchDone', payload: { reqId } }));
             return;
           }
+          const limited = limiter.charge(ws.data.buckets, ws.data.ip, { tiles: tilesArr.length });
+          if (limited) {
+            rateStrike(ws, { ...limited, reqId }, maxStrikes);
+            ws.send(JSON.stringify({ type: 'tileBatchDone', payload: { reqId } }));
+            return;
+          }
           for (const t of tilesArr) {
             const tx = Number(t?.tx);
             const ty = Number(t?.ty);
             if (!Number.isFinite(tx) || !Number.isFinite(ty)) continue;
+            recordTileView(room, zVal, tx, ty);
             try {
-              const strokes = await readTileStrokes(zVal, tx, ty);
+              const delta = readTileDelta(zVal, tx, ty, t?.rev, room);
               // send each tile as its own message so client can stream-parse them
-              ws.send(JSON.stringify({ type: 'tileData', payload: { reqId, z: zVal, tx, ty, strokes } }));
+              wsSend(ws, outgoing('tileData', { reqId, z: zVal, tx, ty, ...delta })(ws));
+              mWsOut.inc({ type: 'tileData' });
             } catch (e) {
               // continue on error per-tile
               try { ws.send(JSON.stringify({ type: 'tileData', payload: { reqId, z: zVal, tx, ty, strokes: [] } })); } catch {}
@@ -445,14 +1782,9 @@ export function startServer(options = {}) {
       }
     },
     close(ws) {
-      const id = ws.data?.id;
-      if (!id) return;
-      // Only broadcast leave if this websocket is still the active mapping for the id
-      const current = clients.get(id);
-      if (current === ws) {
-        clients.delete(id);
-        broadcast('leave', { id });
-      }
+      sockets.delete(ws);
+      if (ws.data?.role === 'tiles') tileSockets--;
+      leaveRoom(ws);
     }
   }
       });
@@ -463,38 +1795,98 @@ export function startServer(options = {}) {
     }
   }
   if (!server) throw new Error('Failed to start server');
-  
-  // Set up periodic database monitoring (every 5 minutes)
-  setInterval(() => {
-    try {
-      const sizeResult = getDbSizeStmt.get();
-      const currentSize = sizeResult ? sizeResult.size : 0;
-      const sizeMB = Math.round(currentSize / (1024 * 1024));
-      const utilization = Math.round((currentSize / MAX_DB_SIZE_BYTES) * 100);
-      
-      if (utilization >= 80) {
-        console.log(`Database size warning: ${sizeMB}MB (${utilization}% of 1GB limit)`);
+
+  // Retention runs in the background, never on the insert path
+  let retentionRun = null;
+  const retentionTimer = setInterval(() => {
+    retentionRun = data.runRetention(retentionCfg).then((stats) => {
+      const total = stats.age + stats.tileRows + stats.size;
+      if (total) console.log(`Retention evicted ${total} strokes (age ${stats.age}, tile cap ${stats.tileRows}, size ${stats.size})${retentionCfg.archive ? ` to ${retentionCfg.archive}` : ''}`);
+    }, (e) => console.warn('Retention failed:', (e && e.message) || e));
+  }, retentionCfg.intervalMs);
+
+  // Ping every socket, drop the ones that stopped answering (their close
+  // handler broadcasts the leave) and mark peers idle for idleMs as away
+  const heartbeatTimer = setInterval(() => {
+    const now = Date.now();
+    const ping = JSON.stringify({ type: 'ping', payload: { t: now } });
+    for (const ws of sockets) {
+      const d = ws.data;
+      if (now - d.seenAt > heartbeatMs * HEARTBEAT_MISSES) {
+        mWsReaped.inc({ role: d.role || 'none' });
+        // close() would wait for a closing handshake that will never come
+        try { ws.terminate(); } catch {}
+        continue;
+      }
+      if (d.role === 'peer' && idleMs > 0 && !d.away && now - d.activeAt > idleMs) {
+        d.away = true;
+        announcePresence(ws);
       }
-    } catch (error) {
-      console.warn('Failed to check database size:', error.message);
+      try { ws.send(ping); } catch {}
     }
-  }, 5 * 60 * 1000); // 5 minutes
-  
-  return server;
+  }, heartbeatMs);
+
+  const presenceTimer = setInterval(flushPresence, presenceTickMs);
+
+  const instance = { rooms, storage, tileSockets: () => tileSockets };
+  servers.add(instance);
+
+  // Close every socket with 1001 (going away) so clients reconnect elsewhere,
+  // give open requests `drainMs` to finish, let a running retention pass end,
+  // then close the bus and storage if this server opened them
+  let stopping = null;
+  function stop({ code = 1001, reason = 'Server shutting down', drainMs = 5000 } = {}) {
+    return stopping ??= (async () => {
+      clearInterval(retentionTimer);
+      clearInterval(heartbeatTimer);
+      clearInterval(presenceTimer);
+      for (const ws of sockets) {
+        try { ws.close(code, reason); } catch {}
+      }
+      await Promise.race([server.stop(), Bun.sleep(drainMs)]);
+      server.stop(true);
+      await retentionRun;
+      detach();
+      servers.delete(instance);
+      if (ownBus) ownBus.close();
+      if (ownStorage) ownStorage.close();
+    })();
+  }
+
+  return { port: server.port, url: server.url, server, storage, stop };
 }
 
 if (import.meta.main) {
-  const srv = startServer();
+  const srv = startServer({ dataDir: DATA_DIR });
   console.log(`Realtime Canvas (Bun) listening on http://localhost:${srv.port}`);
-  
+  if (process.env.BUS_SOCKET) console.log(`Broadcast bus: ${process.env.BUS_SOCKET}`);
+
+  // Drain and close the database before exiting; a second signal exits at once
+  let shuttingDown = false;
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, () => {
+      if (shuttingDown) process.exit(1);
+      shuttingDown = true;
+      console.log(`${signal}: shutting down`);
+      srv.stop().then(() => process.exit(0), (e) => {
+        console.warn('Shutdown failed:', (e && e.message) || e);
+        process.exit(1);
+      });
+    });
+  }
+
   // Log initial database status
   try {
-    const sizeResult = getDbSizeStmt.get();
-    const countResult = getStrokeCountStmt.get();
-    const currentSize = sizeResult ? sizeResult.size : 0;
-    const strokeCount = countResult ? countResult.count : 0;
+    const { fileBytes: currentSize, rows: strokeCount } = srv.storage.stats();
     const sizeMB = Math.round(currentSize / (1024 * 1024));
-    console.log(`Database initialized: ${sizeMB}MB used (${strokeCount} strokes), 1GB limit enforced`);
+    const { maxBytes, maxAgeDays, maxTileRows, order, archive } = resolveRetention();
+    const policies = [
+      maxBytes > 0 && `${Math.round(maxBytes / (1024 * 1024))}MB limit (${order} first)`,
+      maxAgeDays > 0 && `${maxAgeDays} day max age`,
+      maxTileRows > 0 && `${maxTileRows} strokes per tile`,
+      archive && `archiving to ${archive}`
+    ].filter(Boolean);
+    console.log(`Database initialized: ${sizeMB}MB used (${strokeCount} strokes), retention: ${policies.join(', ') || 'off'}`);
   } catch (error) {
     console.warn('Failed to get initial database status:', error.message);
   }
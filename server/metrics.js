@@ -0,0 +1,112 @@
+// Minimal Prometheus metrics registry (text exposition format 0.0.4)
+// - counter / gauge / histogram, each with optional label names; every
+//   method takes the labels first: inc(labels, n), set(labels, v), observe(labels, v)
+// - gauges can take a `collect` callback that sets values at scrape time
+// - label values must come from small fixed sets (message types, roles);
+//   every distinct combination becomes its own series
+
+const DEFAULT_BUCKETS = [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1];
+
+function escapeLabel(v) {
+  return String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function labelText(names, values, extra = '') {
+  const parts = names.map((n, i) => `${n}="${escapeLabel(values[i])}"`);
+  if (extra) parts.push(extra);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+function formatValue(v) {
+  if (v === Infinity) return '+Inf';
+  if (v === -Infinity) return '-Inf';
+  return String(v);
+}
+
+export function createRegistry() {
+  const metrics = [];
+
+  // Series are keyed by their label values in labelNames order
+  function seriesKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map(n => String(labels?.[n] ?? '')));
+  }
+
+  function counter(name, help, labelNames = []) {
+    const series = new Map();
+    const m = {
+      inc(labels, n = 1) {
+        const key = seriesKey(labelNames, labels);
+        series.set(key, (series.get(key) || 0) + n);
+      },
+      render() {
+        let out = `# HELP ${name} ${help}\n# TYPE ${name} counter\n`;
+        if (!series.size && !labelNames.length) out += `${name} 0\n`;
+        for (const [key, v] of series) out += `${name}${labelText(labelNames, JSON.parse(key))} ${formatValue(v)}\n`;
+        return out;
+      }
+    };
+    metrics.push(m);
+    return m;
+  }
+
+  function gauge(name, help, labelNames = [], collect = null) {
+    const series = new Map();
+    const m = {
+      set(labels, v) { series.set(seriesKey(labelNames, labels), v); },
+      inc(labels, n = 1) {
+        const key = seriesKey(labelNames, labels);
+        series.set(key, (series.get(key) || 0) + n);
+      },
+      dec(labels, n = 1) { m.inc(labels, -n); },
+      render() {
+        if (collect) {
+          try { collect(m); } catch {}
+        }
+        let out = `# HELP ${name} ${help}\n# TYPE ${name} gauge\n`;
+        if (!series.size && !labelNames.length) out += `${name} 0\n`;
+        for (const [key, v] of series) out += `${name}${labelText(labelNames, JSON.parse(key))} ${formatValue(v)}\n`;
+        return out;
+      }
+    };
+    metrics.push(m);
+    return m;
+  }
+
+  function histogram(name, help, buckets = DEFAULT_BUCKETS, labelNames = []) {
+    const series = new Map(); // key -> { counts (per bucket, not cumulative), sum, count }
+    const m = {
+      observe(labels, v) {
+        const key = seriesKey(labelNames, labels);
+        let s = series.get(key);
+        if (!s) { s = { counts: new Array(buckets.length).fill(0), sum: 0, count: 0 }; series.set(key, s); }
+        const i = buckets.findIndex(b => v <= b);
+        if (i !== -1) s.counts[i]++;
+        s.sum += v;
+        s.count++;
+      },
+      render() {
+        let out = `# HELP ${name} ${help}\n# TYPE ${name} histogram\n`;
+        for (const [key, s] of series) {
+          const values = JSON.parse(key);
+          let cumulative = 0;
+          buckets.forEach((b, i) => {
+            cumulative += s.counts[i];
+            out += `${name}_bucket${labelText(labelNames, values, `le="${formatValue(b)}"`)} ${cumulative}\n`;
+          });
+          out += `${name}_bucket${labelText(labelNames, values, 'le="+Inf"')} ${s.count}\n`;
+          out += `${name}_sum${labelText(labelNames, values)} ${s.sum}\n`;
+          out += `${name}_count${labelText(labelNames, values)} ${s.count}\n`;
+        }
+        return out;
+      }
+    };
+    metrics.push(m);
+    return m;
+  }
+
+  function render() {
+    return metrics.map(m => m.render()).join('');
+  }
+
+  return { counter, gauge, histogram, render };
+}
@@ -0,0 +1,270 @@
+// Pure-JS tile rasterizer + PNG encoder
+// - Mirrors the client's drawStrokeOnTile: round caps/joins, quadratic midpoint
+//   smoothing (drawSmoothPath2D) and per-user layers where erasers only punch
+//   out their author's layer
+// - Layers are composited source-over in order of each user's first stroke
+// - PNG is written by hand (zlib framing around Bun's raw deflate)
+
+const PNG_SIGNATURE = new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+function clamp(n, min, max) { return Math.max(min, Math.min(max, n)); }
+
+// Parse a CSS color into [r, g, b, a] with channels 0..1. Handles the formats the
+// client produces (#rgb/#rrggbb and rgb()/hsl() with optional alpha); anything
+// else falls back to black like an invalid canvas strokeStyle would keep '#000'.
+export function parseColor(str) {
+  const s = String(str || '').trim().toLowerCase();
+  let m;
+  if ((m = /^#([0-9a-f]{3,4})$/.exec(s))) {
+    const h = m[1];
+    const v = (i) => parseInt(h[i] + h[i], 16) / 255;
+    return [v(0), v(1), v(2), h.length === 4 ? v(3) : 1];
+  }
+  if ((m = /^#([0-9a-f]{6}|[0-9a-f]{8})$/.exec(s))) {
+    const h = m[1];
+    const v = (i) => parseInt(h.slice(i, i + 2), 16) / 255;
+    return [v(0), v(2), v(4), h.length === 8 ? v(6) : 1];
+  }
+  if ((m = /^(rgba?|hsla?)\(([^)]*)\)$/.exec(s))) {
+    const parts = m[2].split(/[\s,/]+/).filter(Boolean);
+    if (parts.length < 3) return [0, 0, 0, 1];
+    const num = (p, scale) => p.endsWith('%') ? parseFloat(p) / 100 : parseFloat(p) / scale;
+    const a = parts.length > 3 ? clamp(num(parts[3], 1), 0, 1) : 1;
+    if (m[1].startsWith('rgb')) {
+      const [r, g, b] = parts.slice(0, 3).map(p => clamp(num(p, 255), 0, 1));
+      if ([r, g, b, a].some(Number.isNaN)) return [0, 0, 0, 1];
+      return [r, g, b, a];
+    }
+    const h = ((parseFloat(parts[0]) % 360) + 360) % 360 / 360;
+    const sat = clamp(parseFloat(parts[1]) / 100, 0, 1);
+    const l = clamp(parseFloat(parts[2]) / 100, 0, 1);
+    if ([h, sat, l, a].some(Number.isNaN)) return [0, 0, 0, 1];
+    const q = l < 0.5 ? l * (1 + sat) : l + sat - l * sat;
+    const p = 2 * l - q;
+    const hue = (t) => {
+      if (t < 0) t += 1;
+      if (t > 1) t -= 1;
+      if (t < 1 / 6) return p + (q - p) * 6 * t;
+      if (t < 1 / 2) return q;
+      if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+      return p;
+    };
+    return [hue(h + 1 / 3), hue(h), hue(h - 1 / 3), a];
+  }
+  return [0, 0, 0, 1];
+}
+
+// Flatten the client's smoothed path (quadratic curves through midpoints) into
+// a polyline in the same coordinate space as the input points.
+export function flattenSmoothPath(pts) {
+  if (pts.length <= 2) return pts.slice();
+  const out = [{ x: pts[0].x, y: pts[0].y }];
+  const quad = (c, e) => {
+    const s = out[out.length - 1];
+    const len = Math.hypot(c.x - s.x, c.y - s.y) + Math.hypot(e.x - c.x, e.y - c.y);
+    const steps = clamp(Math.ceil(len / 2), 1, 32);
+    for (let i = 1; i <= steps; i++) {
+      const t = i / steps, u = 1 - t;
+      out.push({
+        x: u * u * s.x + 2 * u * t * c.x + t * t * e.x,
+        y: u * u * s.y + 2 * u * t * c.y + t * t * e.y,
+      });
+    }
+  };
+  for (let i = 1; i < pts.length - 1; i++) {
+    const p = pts[i];
+    const next = pts[i + 1];
+    quad(p, { x: (p.x + next.x) / 2, y: (p.y + next.y) / 2 });
+  }
+  // last segment
+  quad(pts[pts.length - 2], pts[pts.length - 1]);
+  return out;
+}
+
+// Anti-aliased coverage of a round-capped polyline (or a dab for a single
+// point) clipped to a width x height raster. Coverage of overlapping segments
+// is unioned (max), like a single canvas stroke() call.
+function strokeCoverage(poly, radius, width, height) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (const p of poly) {
+    if (p.x < minX) minX = p.x;
+    if (p.y < minY) minY = p.y;
+    if (p.x > maxX) maxX = p.x;
+    if (p.y > maxY) maxY = p.y;
+  }
+  const x0 = clamp(Math.floor(minX - radius - 1), 0, width);
+  const y0 = clamp(Math.floor(minY - radius - 1), 0, height);
+  const x1 = clamp(Math.ceil(maxX + radius + 1), 0, width);
+  const y1 = clamp(Math.ceil(maxY + radius + 1), 0, height);
+  if (x1 <= x0 || y1 <= y0) return null;
+  const w = x1 - x0, h = y1 - y0;
+  const cov = new Float32Array(w * h);
+  const segs = poly.length === 1 ? [[poly[0], poly[0]]] : poly.slice(1).map((p, i) => [poly[i], p]);
+  for (const [a, b] of segs) {
+    const sx0 = clamp(Math.floor(Math.min(a.x, b.x) - radius - 1), x0, x1);
+    const sy0 = clamp(Math.floor(Math.min(a.y, b.y) - radius - 1), y0, y1);
+    const sx1 = clamp(Math.ceil(Math.max(a.x, b.x) + radius + 1), x0, x1);
+    const sy1 = clamp(Math.ceil(Math.max(a.y, b.y) + radius + 1), y0, y1);
+    const dx = b.x - a.x, dy = b.y - a.y;
+    const len2 = dx * dx + dy * dy;
+    for (let py = sy0; py < sy1; py++) {
+      const cy = py + 0.5;
+      for (let px = sx0; px < sx1; px++) {
+        const cx = px + 0.5;
+        let ux = cx - a.x, uy = cy - a.y;
+        if (len2 > 0) {
+          const t = clamp((ux * dx + uy * dy) / len2, 0, 1);
+          ux -= t * dx; uy -= t * dy;
+        }
+        const c = radius + 0.5 - Math.sqrt(ux * ux + uy * uy);
+        if (c <= 0) continue;
+        const i = (py - y0) * w + (px - x0);
+        const v = c >= 1 ? 1 : c;
+        if (v > cov[i]) cov[i] = v;
+      }
+    }
+  }
+  return { x0, y0, w, h, cov };
+}
+
+// Rasterize a tile's strokes into straight (non-premultiplied) RGBA bytes.
+// `originX/originY` is the tile's top-left in world px and `scale` maps world
+// px to tile pixels (1 / 2^z on pyramid level z). Pass width/height instead of
+// `size` for a non-square image.
+export function rasterizeStrokes(strokes, { size, width = size, height = size, originX, originY, scale }) {
+  const n = width * height;
+  const out = new Float32Array(n * 4); // premultiplied
+  const layer = new Float32Array(n * 4); // premultiplied, reused per user
+  // Group by author in order of first appearance (client layer Map order)
+  const byUser = new Map();
+  for (const s of strokes) {
+    if (!s || !Array.isArray(s.points) || s.points.length === 0) continue;
+    const uid = String(s.userId || '');
+    if (!byUser.has(uid)) byUser.set(uid, []);
+    byUser.get(uid).push(s);
+  }
+  for (const list of byUser.values()) {
+    let lx0 = width, ly0 = height, lx1 = 0, ly1 = 0;
+    for (const s of list) {
+      const pts = [];
+      let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+      for (const p of s.points) {
+        const x = Number(p.x), y = Number(p.y);
+        if (!Number.isFinite(x) || !Number.isFinite(y)) continue;
+        const q = { x: (x - originX) * scale, y: (y - originY) * scale };
+        pts.push(q);
+        if (q.x < minX) minX = q.x;
+        if (q.y < minY) minY = q.y;
+        if (q.x > maxX) maxX = q.x;
+        if (q.y > maxY) maxY = q.y;
+      }
+      if (!pts.length) continue;
+      // Keep thin strokes at least one pixel wide, same as the client
+      const lineWidth = Math.max(Number(s.size) || 4, 1 / scale) * scale;
+      // The smoothed path stays inside its points' hull, so strokes off the
+      // raster (other bands of a region export) skip flattening
+      const pad = lineWidth / 2 + 1;
+      if (maxX < -pad || maxY < -pad || minX > width + pad || minY > height + pad) continue;
+      const area = strokeCoverage(pts.length === 1 ? pts : flattenSmoothPath(pts), lineWidth / 2, width, height);
+      if (!area) continue;
+      const [r, g, b, ca] = parseColor(s.color || '#000');
+      const alpha = clamp(Number(s.opacity ?? 1), 0, 1) * ca;
+      const erase = Boolean(s.erase);
+      const { x0, y0, w, h, cov } = area;
+      for (let yy = 0; yy < h; yy++) {
+        let o = ((y0 + yy) * width + x0) * 4;
+        let ci = yy * w;
+        for (let xx = 0; xx < w; xx++, o += 4, ci++) {
+          const a = cov[ci] * alpha;
+          if (a <= 0) continue;
+          const k = 1 - a;
+          if (erase) {
+            // destination-out
+            layer[o] *= k; layer[o + 1] *= k; layer[o + 2] *= k; layer[o + 3] *= k;
+          } else {
+            layer[o] = r * a + layer[o] * k;
+            layer[o + 1] = g * a + layer[o + 1] * k;
+            layer[o + 2] = b * a + layer[o + 2] * k;
+            layer[o + 3] = a + layer[o + 3] * k;
+          }
+        }
+      }
+      if (x0 < lx0) lx0 = x0;
+      if (y0 < ly0) ly0 = y0;
+      if (x0 + w > lx1) lx1 = x0 + w;
+      if (y0 + h > ly1) ly1 = y0 + h;
+    }
+    // Composite this user's layer over the output and clear it for the next one
+    for (let y = ly0; y < ly1; y++) {
+      for (let x = lx0, o = (y * width + lx0) * 4; x < lx1; x++, o += 4) {
+        const la = layer[o + 3];
+        if (la > 0) {
+          const k = 1 - la;
+          out[o] = layer[o] + out[o] * k;
+          out[o + 1] = layer[o + 1] + out[o + 1] * k;
+          out[o + 2] = layer[o + 2] + out[o + 2] * k;
+          out[o + 3] = la + out[o + 3] * k;
+        }
+        layer[o] = 0; layer[o + 1] = 0; layer[o + 2] = 0; layer[o + 3] = 0;
+      }
+    }
+  }
+  const rgba = new Uint8Array(n * 4);
+  for (let o = 0; o < n * 4; o += 4) {
+    const a = out[o + 3];
+    if (a <= 0) continue;
+    rgba[o] = Math.round(clamp(out[o] / a, 0, 1) * 255);
+    rgba[o + 1] = Math.round(clamp(out[o + 1] / a, 0, 1) * 255);
+    rgba[o + 2] = Math.round(clamp(out[o + 2] / a, 0, 1) * 255);
+    rgba[o + 3] = Math.round(clamp(a, 0, 1) * 255);
+  }
+  return rgba;
+}
+
+function adler32(buf) {
+  let a = 1, b = 0;
+  for (let i = 0; i < buf.length; ) {
+    // 5552 is the largest block that cannot overflow before the modulo
+    const end = Math.min(i + 5552, buf.length);
+    for (; i < end; i++) { a += buf[i]; b += a; }
+    a %= 65521; b %= 65521;
+  }
+  return ((b << 16) | a) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const chunk = new Uint8Array(12 + data.length);
+  const dv = new DataView(chunk.buffer);
+  dv.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+  chunk.set(data, 8);
+  dv.setUint32(8 + data.length, Bun.hash.crc32(chunk.subarray(4, 8 + data.length)));
+  return chunk;
+}
+
+// Encode straight RGBA bytes as an 8-bit truecolor+alpha PNG
+export function encodePng(width, height, rgba) {
+  const ihdr = new Uint8Array(13);
+  const hv = new DataView(ihdr.buffer);
+  hv.setUint32(0, width);
+  hv.setUint32(4, height);
+  ihdr[8] = 8; // bit depth
+  ihdr[9] = 6; // color type RGBA
+  // compression, filter, interlace = 0
+  const stride = width * 4;
+  const raw = new Uint8Array((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    // filter type 0 (None) per scanline; deflate handles the empty areas well
+    raw.set(rgba.subarray(y * stride, (y + 1) * stride), y * (stride + 1) + 1);
+  }
+  const deflated = Bun.deflateSync(raw, { level: 6 });
+  const zdata = new Uint8Array(deflated.length + 6);
+  zdata[0] = 0x78; zdata[1] = 0x9c; // zlib header: deflate, 32K window, default level
+  zdata.set(deflated, 2);
+  new DataView(zdata.buffer).setUint32(zdata.length - 4, adler32(raw));
+  const parts = [PNG_SIGNATURE, pngChunk('IHDR', ihdr), pngChunk('IDAT', zdata), pngChunk('IEND', new Uint8Array(0))];
+  const png = new Uint8Array(parts.reduce((s, p) => s + p.length, 0));
+  let off = 0;
+  for (const p of parts) { png.set(p, off); off += p.length; }
+  return png;
+}
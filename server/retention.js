@@ -0,0 +1,95 @@
+// Retention policies for stored strokes, run on a schedule by startServer
+// - maxAgeDays: evict strokes older than this
+// - maxTileRows: keep at most this many strokes per base tile (newest win)
+// - maxBytes: when the backend's used bytes (SQLite: used pages) reach this,
+//   evict `batch` (a fraction of all strokes) per round until it is below
+//   again. `order` picks which go first: 'oldest', or 'lru' for strokes in the
+//   least recently viewed interest cells (never viewed counts as oldest),
+//   oldest first within a cell.
+// - archive: file that evicted strokes are appended to (gzip members of NDJSON
+//   in the backup format, so `bun server/cli.js restore <file>` brings them back)
+// Policies with 0 / '' are off. Strokes are evicted whole (every tile and
+// level); the caller does the deleting and archiving through `evict`, which
+// returns how many it removed, and reports the counts run() returns.
+
+export const DEFAULT_RETENTION = {
+  maxBytes: 1024 * 1024 * 1024, // 1GB
+  maxAgeDays: 0,
+  maxTileRows: 0,
+  order: 'oldest',
+  batch: 0.1,
+  archive: '',
+  intervalMs: 60 * 1000,
+};
+
+const SELECT_LIMIT = 5000; // candidate strokes per query, so a round never holds everything
+const MIN_INTERVAL_MS = 1000;
+
+// Defaults, then RETENTION (JSON) from the environment, then `overrides`.
+// Limits that are not finite numbers >= 0, and a batch outside (0, 1], fall
+// back to the default; intervalMs is at least MIN_INTERVAL_MS.
+export function resolveRetention(overrides) {
+  let env = {};
+  try { env = JSON.parse(process.env.RETENTION || '{}') || {}; } catch {}
+  const cfg = { ...DEFAULT_RETENTION, ...env, ...overrides };
+  for (const key of ['maxBytes', 'maxAgeDays', 'maxTileRows', 'intervalMs']) {
+    const n = Number(cfg[key]);
+    cfg[key] = Number.isFinite(n) && n >= 0 ? n : DEFAULT_RETENTION[key];
+  }
+  cfg.maxTileRows = Math.floor(cfg.maxTileRows);
+  cfg.intervalMs = Math.max(MIN_INTERVAL_MS, cfg.intervalMs);
+  const batch = Number(cfg.batch);
+  cfg.batch = batch > 0 && batch <= 1 ? batch : DEFAULT_RETENTION.batch;
+  if (cfg.order !== 'lru') cfg.order = 'oldest';
+  if (typeof cfg.archive !== 'string') cfg.archive = '';
+  return cfg;
+}
+
+// `evict([{ room, id }], cfg)` removes (and archives) strokes from the storage
+// backend (server/storage.js), which picks the candidates for each policy
+export function createRetention(evict) {
+  let running = false;
+
+  // Run every enabled policy once. Yields to the event loop between batches.
+  // Returns { age, tileRows, size } counts of evicted strokes; rejects if the
+  // storage fails.
+  async function run(storage, cfg = resolveRetention(), now = Date.now()) {
+    const stats = { age: 0, tileRows: 0, size: 0 };
+    if (running) return stats;
+    running = true;
+    try {
+      if (cfg.maxAgeDays > 0) {
+        const olderThan = now - cfg.maxAgeDays * 24 * 60 * 60 * 1000;
+        for (let list; (list = storage.prune({ olderThan }, SELECT_LIMIT)).length; ) {
+          const n = evict(list, cfg);
+          stats.age += n;
+          if (!n) break;
+          await Bun.sleep(0);
+        }
+      }
+      if (cfg.maxTileRows > 0) {
+        for (let list; (list = storage.prune({ maxTileRows: cfg.maxTileRows }, SELECT_LIMIT)).length; ) {
+          const n = evict(list, cfg);
+          stats.tileRows += n;
+          if (!n) break;
+          await Bun.sleep(0);
+        }
+      }
+      if (cfg.maxBytes > 0) {
+        for (let round = 0; round < 20 && storage.stats().usedBytes >= cfg.maxBytes; round++) {
+          const list = storage.prune({ order: cfg.order, fraction: cfg.batch }, SELECT_LIMIT);
+          if (!list.length) break;
+          const removed = evict(list, cfg);
+          stats.size += removed;
+          if (!removed) break;
+          await Bun.sleep(0);
+        }
+      }
+    } finally {
+      running = false;
+    }
+    return stats;
+  }
+
+  return { run };
+}
@@ -0,0 +1,76 @@
+// Origin policy and security headers
+// - createOriginPolicy(allowed): an Origin is allowed when its host is the
+//   request's Host (same origin), when it is in `allowed`, or when `allowed`
+//   has '*'. Requests without an Origin header (curl, other servers) are not
+//   cross-site browser requests and always pass.
+// - corsHeaders / preflightHeaders: for allowed cross-origin API calls. The
+//   API authenticates with tokens, not cookies, so credentials stay off.
+// - STATIC_HEADERS go on every static file; contentSecurityPolicy builds the
+//   default CSP for an HTML page, allowing its own inline <script>/<style>
+//   blocks by hash.
+
+import { createHash } from 'crypto';
+
+export function parseOrigins(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return list.map(o => String(o).trim().replace(/\/+$/, '').toLowerCase()).filter(Boolean);
+}
+
+export function createOriginPolicy(allowed = []) {
+  const origins = new Set(parseOrigins(allowed));
+  const any = origins.has('*');
+
+  // { origin, allowed, cross } for a request; origin is null without the header
+  function check(req) {
+    const origin = req.headers.get('origin');
+    if (!origin) return { origin: null, allowed: true, cross: false };
+    let host;
+    try { host = new URL(origin).host; } catch { return { origin, allowed: false, cross: true }; }
+    if (host && host === (req.headers.get('host') || '').toLowerCase()) return { origin, allowed: true, cross: false };
+    return { origin, allowed: any || origins.has(origin.toLowerCase()), cross: true };
+  }
+
+  return { check };
+}
+
+export function corsHeaders(origin) {
+  return { 'Access-Control-Allow-Origin': origin, 'Access-Control-Expose-Headers': 'ETag', Vary: 'Origin' };
+}
+
+export function preflightHeaders(origin) {
+  return {
+    ...corsHeaders(origin),
+    'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Max-Age': '600',
+  };
+}
+
+export const STATIC_HEADERS = { 'X-Content-Type-Options': 'nosniff', 'Referrer-Policy': 'same-origin' };
+
+function inlineHashes(html, tag) {
+  const out = [];
+  for (const m of html.matchAll(new RegExp(`<${tag}\\b([^>]*)>([\\s\\S]*?)</${tag}>`, 'gi'))) {
+    if (/\bsrc\s*=/i.test(m[1]) || !m[2].trim()) continue;
+    out.push(`'sha256-${createHash('sha256').update(m[2]).digest('base64')}'`);
+  }
+  return out;
+}
+
+// `host` (the request's Host) lets the page open WebSockets to this server;
+// CSP 'self' doesn't cover ws: in every browser
+export function contentSecurityPolicy(html, host) {
+  const wsHosts = /^[a-z0-9.\-:[\]]+$/i.test(host || '') ? ` ws://${host} wss://${host}` : '';
+  return [
+    "default-src 'self'",
+    ["script-src 'self'", ...inlineHashes(html, 'script')].join(' '),
+    ["style-src 'self'", ...inlineHashes(html, 'style')].join(' '),
+    "img-src 'self' data: blob:",
+    `connect-src 'self'${wsHosts}`,
+    "worker-src 'self'",
+    "object-src 'none'",
+    "base-uri 'self'",
+    "form-action 'self'",
+    "frame-ancestors 'none'",
+  ].join('; ');
+}
@@ -0,0 +1,544 @@
+// Stroke storage backends. index.js decides which tiles of which pyramid levels
+// a stroke touches and encodes each copy (gzip JSON); a backend keeps those
+// rows plus undo tombstones, tile reset marks, protected regions and view times.
+// All methods are synchronous:
+// - appendStroke(room, { id, t, rows: [{ z, tx, ty, data }] })
+// - readTile(room, z, tx, ty, afterRev = 0): data of live rows with a larger
+//   revision, oldest t first. readTileSince(room, z, tx, ty, t) filters by t.
+// - tileRevision(room, z, tx, ty): { rev, reset }; markReset(room, tiles)
+//   starts a new revision for tiles whose rows were hidden or removed
+// - getStroke(room, id): data of the stroke's base row, or null
+// - strokeTiles(room, id): [{ z, tx, ty }] holding the stroke
+// - hideStroke(room, id, userId) / unhideStroke(room, id, userId): undo
+//   tombstones, true if changed; hiddenBy(room, id): the tombstone's userId or
+//   null. Stroke ids come from clients, so tombstones are per room like rows.
+// - deleteStroke(room, id): drop every row and the tombstone and mark the
+//   tiles reset; returns the tiles, or null if the stroke is unknown
+// - baseRows(): { room, id, data } per base-level row, oldest first;
+//   allRows(): { rowid, room, z, tx, ty, id, data } for every row
+// - listRegions(room), regionsInBox(room, box), putRegion(region), deleteRegion(id)
+// - recordViews(room, cellKeys, t): interest cells looked at (for LRU pruning)
+// - prune(policy, limit): up to `limit` [{ room, id }] to evict, for
+//   { olderThan: t }, { maxTileRows: n } (beyond the newest n of a base tile)
+//   or { order: 'oldest' | 'lru', fraction } (that share of all strokes)
+// - stats(): { fileBytes, usedBytes, rows }; batch(fn) runs fn as one unit;
+//   close()
+// Revisions: row ids and reset marks come from one increasing sequence, so a
+// tile's revision is max(newest row id, last reset) and a client cursor at
+// that revision only needs rows with a larger id. SQLite keeps the sequence in
+// the database, so several processes can write one file.
+
+import fs from 'fs';
+import { Database } from 'bun:sqlite';
+
+const Z = 0; // base level: full detail, one row per stroke and tile
+const INTEREST_SHIFT = 3; // base tiles per interest cell side = 2^3 (see INTEREST_Z)
+
+const tileKey = (room, z, tx, ty) => `${room}\n${z}:${tx}:${ty}`;
+const strokeKey = (room, id) => `${room}\n${id}`;
+const dataBytes = (data) => (typeof data === 'string' ? data.length : data?.byteLength ?? 0);
+
+function decodeRegionRow(r) {
+  let allow = [];
+  try { allow = JSON.parse(r.allow); } catch {}
+  return { id: r.id, room: r.room, minX: r.minX, minY: r.minY, maxX: r.maxX, maxY: r.maxY, owner: r.owner, allow: Array.isArray(allow) ? allow : [] };
+}
+
+// SQLite (Bun native), the default: DATA_DIR/tiles.sqlite3
+export function createSqliteStorage({ path: file }) {
+  const db = new Database(file);
+  db.exec(`
+    -- Use in-memory journaling to avoid filesystem restrictions (no -wal/-shm files)
+    PRAGMA journal_mode = MEMORY;
+    PRAGMA synchronous = OFF;
+    PRAGMA temp_store = memory;
+    -- Other processes on the same file hold the write lock only briefly
+    PRAGMA busy_timeout = 5000;
+    CREATE TABLE IF NOT EXISTS tile_strokes (
+      z   INTEGER NOT NULL,
+      tx  INTEGER NOT NULL,
+      ty  INTEGER NOT NULL,
+      t   INTEGER NOT NULL,
+      id  TEXT    NOT NULL,
+      json BLOB   NOT NULL, -- gzip-compressed JSON
+      room TEXT   NOT NULL DEFAULT '' -- '' is the shared public universe
+    );
+    -- Protected regions: world rectangles only the owner and allow list may draw in
+    CREATE TABLE IF NOT EXISTS protected_regions (
+      id    TEXT    PRIMARY KEY,
+      room  TEXT    NOT NULL DEFAULT '',
+      minX  REAL    NOT NULL,
+      minY  REAL    NOT NULL,
+      maxX  REAL    NOT NULL,
+      maxY  REAL    NOT NULL,
+      owner TEXT    NOT NULL DEFAULT '',
+      allow TEXT    NOT NULL DEFAULT '[]', -- JSON array of session ids
+      t     INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_region_room ON protected_regions (room);
+    -- Revision at which a tile last lost or regained rows (undo/redo/delete/cleanup);
+    -- cursors older than this need the full tile
+    CREATE TABLE IF NOT EXISTS tile_resets (
+      room  TEXT    NOT NULL,
+      z     INTEGER NOT NULL,
+      tx    INTEGER NOT NULL,
+      ty    INTEGER NOT NULL,
+      rev   INTEGER NOT NULL,
+      PRIMARY KEY (room, z, tx, ty)
+    );
+    -- The revision sequence (one row); bumped inside each write transaction
+    CREATE TABLE IF NOT EXISTS revision_seq (
+      id  INTEGER PRIMARY KEY CHECK (id = 0),
+      rev INTEGER NOT NULL
+    );
+    -- Last time a client looked at an interest cell (for order: 'lru')
+    CREATE TABLE IF NOT EXISTS cell_views (
+      room TEXT    NOT NULL,
+      cx   INTEGER NOT NULL,
+      cy   INTEGER NOT NULL,
+      t    INTEGER NOT NULL,
+      PRIMARY KEY (room, cx, cy)
+    );
+  `);
+  // Databases created before rooms existed lack the room column
+  if (!db.prepare('PRAGMA table_info(tile_strokes)').all().some(c => c.name === 'room')) {
+    db.exec("ALTER TABLE tile_strokes ADD COLUMN room TEXT NOT NULL DEFAULT ''");
+  }
+  // Undone strokes: rows stay in tile_strokes but are hidden from reads.
+  // Tombstones used to be keyed by id alone; an old one hid the id in every
+  // room, so it is carried over to each room holding that id.
+  const tombstoneCols = db.prepare('PRAGMA table_info(stroke_tombstones)').all();
+  const legacyTombstones = tombstoneCols.length > 0 && !tombstoneCols.some(c => c.name === 'room');
+  if (legacyTombstones) db.exec('ALTER TABLE stroke_tombstones RENAME TO stroke_tombstones_old');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS stroke_tombstones (
+      room   TEXT    NOT NULL,
+      id     TEXT    NOT NULL,
+      userId TEXT    NOT NULL,
+      t      INTEGER NOT NULL,
+      PRIMARY KEY (room, id)
+    );
+  `);
+  if (legacyTombstones) {
+    db.exec(`
+      INSERT OR IGNORE INTO stroke_tombstones (room, id, userId, t)
+        SELECT DISTINCT s.room, o.id, o.userId, o.t FROM stroke_tombstones_old o JOIN tile_strokes s ON s.id = o.id;
+      DROP TABLE stroke_tombstones_old;
+    `);
+  }
+  db.exec(`
+    DROP INDEX IF EXISTS idx_tile;
+    CREATE INDEX IF NOT EXISTS idx_room_tile ON tile_strokes (room, z, tx, ty, t);
+    CREATE INDEX IF NOT EXISTS idx_stroke_id ON tile_strokes (id);
+  `);
+
+  const insertStrokeStmt = db.prepare('INSERT INTO tile_strokes (rowid, room, z, tx, ty, t, id, json) VALUES (?, ?, ?, ?, ?, ?, ?, ?)');
+  const LIVE = 'NOT EXISTS (SELECT 1 FROM stroke_tombstones b WHERE b.room = tile_strokes.room AND b.id = tile_strokes.id)';
+  const selectTileAfterRevStmt = db.prepare(`SELECT json FROM tile_strokes WHERE room=? AND z=? AND tx=? AND ty=? AND rowid>? AND ${LIVE} ORDER BY t ASC`);
+  const selectTileSinceStmt = db.prepare(`SELECT json FROM tile_strokes WHERE room=? AND z=? AND tx=? AND ty=? AND t>? AND ${LIVE} ORDER BY t ASC`);
+  const selectTileMaxRowStmt = db.prepare('SELECT MAX(rowid) AS r FROM tile_strokes WHERE room=? AND z=? AND tx=? AND ty=?');
+  const selectTileResetStmt = db.prepare('SELECT rev FROM tile_resets WHERE room=? AND z=? AND tx=? AND ty=?');
+  const upsertTileResetStmt = db.prepare('INSERT INTO tile_resets (room, z, tx, ty, rev) VALUES (?, ?, ?, ?, ?) ON CONFLICT (room, z, tx, ty) DO UPDATE SET rev=excluded.rev');
+  // Databases from before revision_seq start it after their newest row or reset
+  db.exec(`INSERT OR IGNORE INTO revision_seq (id, rev) SELECT 0, MAX(
+    COALESCE((SELECT MAX(rowid) FROM tile_strokes), 0),
+    COALESCE((SELECT MAX(rev) FROM tile_resets), 0))`);
+  // Reserves n revisions and returns the last; the UPDATE takes the write lock first
+  const bumpRevStmt = db.prepare('UPDATE revision_seq SET rev = rev + ? WHERE id = 0 RETURNING rev');
+  // Stroke ids are only looked up inside the caller's room
+  const selectStrokeByIdStmt = db.prepare('SELECT json FROM tile_strokes WHERE id=? AND room=? ORDER BY rowid ASC LIMIT 1');
+  const selectStrokeTilesStmt = db.prepare('SELECT DISTINCT z, tx, ty FROM tile_strokes WHERE id=? AND room=?');
+  const insertTombstoneStmt = db.prepare('INSERT OR IGNORE INTO stroke_tombstones (room, id, userId, t) VALUES (?, ?, ?, ?)');
+  const deleteTombstoneStmt = db.prepare('DELETE FROM stroke_tombstones WHERE room=? AND id=? AND userId=?');
+  const selectTombstoneStmt = db.prepare('SELECT userId FROM stroke_tombstones WHERE room=? AND id=?');
+  const deleteStrokeRowsStmt = db.prepare('DELETE FROM tile_strokes WHERE id=? AND room=?');
+  const deleteStrokeTombstoneStmt = db.prepare('DELETE FROM stroke_tombstones WHERE room=? AND id=?');
+  // Backup / verify: base-level rows hold every stroke at full detail
+  const selectBaseRowsStmt = db.prepare(`SELECT room, id, json FROM tile_strokes WHERE z=${Z} ORDER BY rowid ASC`);
+  const selectAllRowsStmt = db.prepare('SELECT rowid, room, z, tx, ty, id, json FROM tile_strokes ORDER BY rowid ASC');
+  // Protected regions
+  const selectRegionsStmt = db.prepare('SELECT * FROM protected_regions WHERE room=? ORDER BY t ASC');
+  const selectRegionsInBoxStmt = db.prepare('SELECT * FROM protected_regions WHERE room=? AND maxX>=? AND minX<=? AND maxY>=? AND minY<=?');
+  const upsertRegionStmt = db.prepare(`INSERT INTO protected_regions (id, room, minX, minY, maxX, maxY, owner, allow, t) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT (id) DO UPDATE SET room=excluded.room, minX=excluded.minX, minY=excluded.minY, maxX=excluded.maxX, maxY=excluded.maxY, owner=excluded.owner, allow=excluded.allow`);
+  const deleteRegionStmt = db.prepare('DELETE FROM protected_regions WHERE id=?');
+  // Size and pruning
+  const getDbSizeStmt = db.prepare('SELECT page_count * page_size as size FROM pragma_page_count(), pragma_page_size()');
+  const usedBytesStmt = db.prepare('SELECT (page_count - freelist_count) * page_size AS used FROM pragma_page_count(), pragma_freelist_count(), pragma_page_size()');
+  const getRowCountStmt = db.prepare('SELECT COUNT(*) as count FROM tile_strokes');
+  const strokeCountStmt = db.prepare(`SELECT COUNT(DISTINCT room || char(10) || id) AS n FROM tile_strokes WHERE z=${Z}`);
+  const olderThanStmt = db.prepare(`SELECT DISTINCT room, id FROM tile_strokes WHERE z=${Z} AND t<? LIMIT ?`);
+  const fullTilesStmt = db.prepare(`SELECT room, tx, ty, COUNT(*) AS n FROM tile_strokes WHERE z=${Z} GROUP BY room, tx, ty HAVING n>? LIMIT ?`);
+  const tileExcessStmt = db.prepare(`SELECT room, id FROM tile_strokes WHERE room=? AND z=${Z} AND tx=? AND ty=? ORDER BY t DESC LIMIT -1 OFFSET ?`);
+  const oldestStmt = db.prepare(`SELECT room, id FROM tile_strokes WHERE z=${Z} GROUP BY room, id ORDER BY MIN(t) ASC LIMIT ?`);
+  // A base tile's interest cell is (tx >> 3, ty >> 3)
+  const leastViewedStmt = db.prepare(`SELECT s.room AS room, s.id AS id FROM tile_strokes s
+    LEFT JOIN cell_views v ON v.room=s.room AND v.cx=(s.tx >> ${INTEREST_SHIFT}) AND v.cy=(s.ty >> ${INTEREST_SHIFT})
+    WHERE s.z=${Z} GROUP BY s.room, s.id ORDER BY MAX(COALESCE(v.t, 0)) ASC, MIN(s.t) ASC LIMIT ?`);
+  const upsertViewStmt = db.prepare('INSERT INTO cell_views (room, cx, cy, t) VALUES (?, ?, ?, ?) ON CONFLICT (room, cx, cy) DO UPDATE SET t=excluded.t');
+
+  // room -> Map(cellKey -> t), written out before pruning
+  const pendingViews = new Map();
+
+  function flushViews() {
+    if (!pendingViews.size) return;
+    db.transaction(() => {
+      for (const [room, cells] of pendingViews) {
+        for (const [key, t] of cells) {
+          const [cx, cy] = key.split(':').map(Number);
+          upsertViewStmt.run(room, cx, cy, t);
+        }
+      }
+    })();
+    pendingViews.clear();
+  }
+
+  const markReset = db.transaction((room, tiles) => {
+    const { rev } = bumpRevStmt.get(1);
+    for (const { z, tx, ty } of tiles) upsertTileResetStmt.run(room, z, tx, ty, rev);
+  });
+
+  return {
+    appendStroke: db.transaction((room, { id, t, rows }) => {
+      let rev = bumpRevStmt.get(rows.length).rev - rows.length;
+      for (const { z, tx, ty, data } of rows) insertStrokeStmt.run(++rev, room, z, tx, ty, t, id, data);
+    }),
+    readTile(room, z, tx, ty, afterRev = 0) {
+      return selectTileAfterRevStmt.all(room, z, tx, ty, afterRev).map(r => r.json);
+    },
+    readTileSince(room, z, tx, ty, t) {
+      return selectTileSinceStmt.all(room, z, tx, ty, t).map(r => r.json);
+    },
+    tileRevision(room, z, tx, ty) {
+      const maxRow = selectTileMaxRowStmt.get(room, z, tx, ty)?.r ?? 0;
+      const reset = selectTileResetStmt.get(room, z, tx, ty)?.rev ?? 0;
+      return { rev: Math.max(maxRow, reset), reset };
+    },
+    markReset,
+    getStroke(room, id) {
+      return selectStrokeByIdStmt.get(id, room)?.json ?? null;
+    },
+    strokeTiles(room, id) {
+      return selectStrokeTilesStmt.all(id, room);
+    },
+    hideStroke(room, id, userId) {
+      return insertTombstoneStmt.run(room, id, userId, Date.now()).changes > 0;
+    },
+    unhideStroke(room, id, userId) {
+      return deleteTombstoneStmt.run(room, id, userId).changes > 0;
+    },
+    hiddenBy(room, id) {
+      return selectTombstoneStmt.get(room, id)?.userId ?? null;
+    },
+    deleteStroke(room, id) {
+      const tiles = selectStrokeTilesStmt.all(id, room);
+      if (!tiles.length) return null;
+      db.transaction(() => {
+        deleteStrokeRowsStmt.run(id, room);
+        deleteStrokeTombstoneStmt.run(room, id);
+        markReset(room, tiles);
+      })();
+      return tiles;
+    },
+    *baseRows() {
+      for (const r of selectBaseRowsStmt.iterate()) yield { room: r.room, id: r.id, data: r.json };
+    },
+    *allRows() {
+      for (const { json, ...r } of selectAllRowsStmt.iterate()) yield { ...r, data: json };
+    },
+    listRegions(room) {
+      return selectRegionsStmt.all(room).map(decodeRegionRow);
+    },
+    regionsInBox(room, { minX, minY, maxX, maxY }) {
+      return selectRegionsInBoxStmt.all(room, minX, maxX, minY, maxY).map(decodeRegionRow);
+    },
+    putRegion({ id, room, minX, minY, maxX, maxY, owner, allow, t }) {
+      upsertRegionStmt.run(id, room, minX, minY, maxX, maxY, owner, JSON.stringify(allow), t);
+    },
+    deleteRegion(id) {
+      return deleteRegionStmt.run(id).changes > 0;
+    },
+    recordViews(room, cellKeys, t = Date.now()) {
+      let m = pendingViews.get(room);
+      if (!m) { m = new Map(); pendingViews.set(room, m); }
+      for (const key of cellKeys) m.set(key, t);
+    },
+    prune(policy, limit) {
+      flushViews();
+      if (policy.olderThan != null) return olderThanStmt.all(policy.olderThan, limit);
+      if (policy.maxTileRows > 0) {
+        const out = [];
+        for (const { room, tx, ty } of fullTilesStmt.all(policy.maxTileRows, limit)) {
+          out.push(...tileExcessStmt.all(room, tx, ty, policy.maxTileRows));
+          if (out.length >= limit) break;
+        }
+        return out;
+      }
+      const total = strokeCountStmt.get()?.n ?? 0;
+      if (!total) return [];
+      const n = Math.min(limit, Math.max(1, Math.floor(total * policy.fraction)));
+      return (policy.order === 'lru' ? leastViewedStmt : oldestStmt).all(n);
+    },
+    stats() {
+      return {
+        fileBytes: getDbSizeStmt.get()?.size ?? 0,
+        // Freed pages are reused by SQLite, so used (not file) size is what counts
+        usedBytes: usedBytesStmt.get()?.used ?? 0,
+        rows: getRowCountStmt.get()?.count ?? 0,
+      };
+    },
+    batch(fn) {
+      return db.transaction(fn)();
+    },
+    close() {
+      db.close();
+    },
+  };
+}
+
+// Everything in memory; gone when the process exits. For tests and throwaway
+// canvases. Also the index behind the file backend.
+export function createMemoryStorage() {
+  let revSeq = 0;
+  let usedBytes = 0;
+  const rows = new Map(); // rowid -> { rowid, room, z, tx, ty, t, id, data }, oldest first
+  const tiles = new Map(); // tileKey -> rows ordered by t
+  const strokes = new Map(); // strokeKey -> rows ordered by rowid
+  const tombstones = new Map(); // strokeKey -> userId
+  const resets = new Map(); // tileKey -> rev
+  const regions = new Map(); // id -> region
+  const views = new Map(); // room -> Map(cellKey -> t)
+
+  const live = (r) => !tombstones.has(strokeKey(r.room, r.id));
+
+  function markReset(room, list) {
+    const rev = ++revSeq;
+    for (const { z, tx, ty } of list) resets.set(tileKey(room, z, tx, ty), rev);
+  }
+
+  function strokeTiles(room, id) {
+    const seen = new Map();
+    for (const r of strokes.get(strokeKey(room, id)) || []) seen.set(`${r.z}:${r.tx}:${r.ty}`, { z: r.z, tx: r.tx, ty: r.ty });
+    return [...seen.values()];
+  }
+
+  // Distinct base-level strokes as { room, id, t, rows }
+  function* baseStrokes() {
+    for (const list of strokes.values()) {
+      const base = list.filter(r => r.z === Z);
+      if (base.length) yield { room: base[0].room, id: base[0].id, t: base[0].t, rows: base };
+    }
+  }
+
+  function lastView(room, r) {
+    return views.get(room)?.get(`${r.tx >> INTEREST_SHIFT}:${r.ty >> INTEREST_SHIFT}`) ?? 0;
+  }
+
+  return {
+    appendStroke(room, { id, t, rows: list }) {
+      const skey = strokeKey(room, id);
+      let mine = strokes.get(skey);
+      if (!mine) { mine = []; strokes.set(skey, mine); }
+      for (const { z, tx, ty, data } of list) {
+        const row = { rowid: ++revSeq, room, z, tx, ty, t, id, data };
+        rows.set(row.rowid, row);
+        mine.push(row);
+        const key = tileKey(room, z, tx, ty);
+        let tile = tiles.get(key);
+        if (!tile) { tile = []; tiles.set(key, tile); }
+        let i = tile.length;
+        while (i > 0 && tile[i - 1].t > t) i--;
+        tile.splice(i, 0, row);
+        usedBytes += dataBytes(data);
+      }
+    },
+    readTile(room, z, tx, ty, afterRev = 0) {
+      return (tiles.get(tileKey(room, z, tx, ty)) || []).filter(r => r.rowid > afterRev && live(r)).map(r => r.data);
+    },
+    readTileSince(room, z, tx, ty, t) {
+      return (tiles.get(tileKey(room, z, tx, ty)) || []).filter(r => r.t > t && live(r)).map(r => r.data);
+    },
+    tileRevision(room, z, tx, ty) {
+      const key = tileKey(room, z, tx, ty);
+      let maxRow = 0;
+      for (const r of tiles.get(key) || []) if (r.rowid > maxRow) maxRow = r.rowid;
+      const reset = resets.get(key) ?? 0;
+      return { rev: Math.max(maxRow, reset), reset };
+    },
+    markReset,
+    getStroke(room, id) {
+      return strokes.get(strokeKey(room, id))?.[0]?.data ?? null;
+    },
+    strokeTiles,
+    hideStroke(room, id, userId) {
+      const skey = strokeKey(room, id);
+      if (tombstones.has(skey)) return false;
+      tombstones.set(skey, userId);
+      return true;
+    },
+    unhideStroke(room, id, userId) {
+      const skey = strokeKey(room, id);
+      if (tombstones.get(skey) !== userId) return false;
+      tombstones.delete(skey);
+      return true;
+    },
+    hiddenBy(room, id) {
+      return tombstones.get(strokeKey(room, id)) ?? null;
+    },
+    deleteStroke(room, id) {
+      const skey = strokeKey(room, id);
+      const mine = strokes.get(skey);
+      if (!mine) return null;
+      const touched = strokeTiles(room, id);
+      for (const r of mine) {
+        rows.delete(r.rowid);
+        usedBytes -= dataBytes(r.data);
+        const key = tileKey(room, r.z, r.tx, r.ty);
+        const rest = tiles.get(key).filter(x => x !== r);
+        if (rest.length) tiles.set(key, rest); else tiles.delete(key);
+      }
+      strokes.delete(skey);
+      tombstones.delete(skey);
+      markReset(room, touched);
+      return touched;
+    },
+    *baseRows() {
+      for (const r of rows.values()) if (r.z === Z) yield { room: r.room, id: r.id, data: r.data };
+    },
+    *allRows() {
+      for (const { rowid, room, z, tx, ty, id, data } of rows.values()) yield { rowid, room, z, tx, ty, id, data };
+    },
+    listRegions(room) {
+      return [...regions.values()].filter(r => r.room === room).sort((a, b) => a.t - b.t).map(({ t, ...r }) => r);
+    },
+    regionsInBox(room, box) {
+      return [...regions.values()]
+        .filter(r => r.room === room && r.maxX >= box.minX && r.minX <= box.maxX && r.maxY >= box.minY && r.minY <= box.maxY)
+        .map(({ t, ...r }) => r);
+    },
+    putRegion(region) {
+      // Replacing keeps the original creation time, like the SQLite upsert
+      const t = regions.get(region.id)?.t ?? region.t;
+      regions.set(region.id, { ...region, allow: [...region.allow], t });
+    },
+    deleteRegion(id) {
+      return regions.delete(id);
+    },
+    recordViews(room, cellKeys, t = Date.now()) {
+      let m = views.get(room);
+      if (!m) { m = new Map(); views.set(room, m); }
+      for (const key of cellKeys) m.set(key, t);
+    },
+    prune(policy, limit) {
+      const pick = (list) => list.slice(0, limit).map(({ room, id }) => ({ room, id }));
+      if (policy.olderThan != null) {
+        const out = [];
+        for (const s of baseStrokes()) {
+          if (s.t < policy.olderThan) out.push(s);
+          if (out.length >= limit) break;
+        }
+        return pick(out);
+      }
+      if (policy.maxTileRows > 0) {
+        const out = [];
+        for (const tile of tiles.values()) {
+          if (tile[0].z !== Z || tile.length <= policy.maxTileRows) continue;
+          out.push(...tile.slice(0, tile.length - policy.maxTileRows));
+          if (out.length >= limit) break;
+        }
+        return out.map(({ room, id }) => ({ room, id }));
+      }
+      const all = [...baseStrokes()];
+      if (!all.length) return [];
+      const n = Math.max(1, Math.floor(all.length * policy.fraction));
+      if (policy.order === 'lru') {
+        for (const s of all) s.viewed = Math.max(...s.rows.map(r => lastView(s.room, r)));
+        all.sort((a, b) => a.viewed - b.viewed || a.t - b.t);
+      } else {
+        all.sort((a, b) => a.t - b.t);
+      }
+      return pick(all.slice(0, n));
+    },
+    stats() {
+      return { fileBytes: 0, usedBytes, rows: rows.size };
+    },
+    batch(fn) {
+      return fn();
+    },
+    close() {},
+  };
+}
+
+// Append-only log: every change is one JSON line (row data base64-encoded)
+// and the log is replayed into a memory index on open, which also reproduces
+// the revision numbers clients hold as cursors. The file only grows; deleted
+// and pruned strokes free memory, not disk. View times are not logged.
+export function createFileStorage({ path: file }) {
+  const mem = createMemoryStorage();
+  const encodeData = (data) => (typeof data === 'string' ? { s: data } : { b: Buffer.from(data).toString('base64') });
+  const decodeData = (d) => (d.s != null ? d.s : new Uint8Array(Buffer.from(d.b, 'base64')));
+
+  let text = '';
+  try { text = fs.readFileSync(file, 'utf-8'); } catch {}
+  for (const line of text.split('\n')) {
+    if (!line) continue;
+    let op;
+    try { op = JSON.parse(line); } catch { continue; } // torn last line after a crash
+    if (op.op === 'append') mem.appendStroke(op.room, { id: op.id, t: op.t, rows: op.rows.map(r => ({ ...r, data: decodeData(r.data) })) });
+    else if (op.op === 'reset') mem.markReset(op.room, op.tiles);
+    // Logs written before tombstones were per room have no room on hide/unhide
+    else if (op.op === 'hide') mem.hideStroke(op.room ?? '', op.id, op.userId);
+    else if (op.op === 'unhide') mem.unhideStroke(op.room ?? '', op.id, op.userId);
+    else if (op.op === 'delete') mem.deleteStroke(op.room, op.id);
+    else if (op.op === 'region') mem.putRegion(op.region);
+    else if (op.op === 'unregion') mem.deleteRegion(op.id);
+  }
+  // A torn last line has no newline; start the next record on a fresh one
+  const fd = fs.openSync(file, 'a');
+  if (text && !text.endsWith('\n')) fs.writeSync(fd, '\n');
+  const log = (op) => fs.writeSync(fd, JSON.stringify(op) + '\n');
+
+  return {
+    ...mem,
+    appendStroke(room, stroke) {
+      log({ op: 'append', room, id: stroke.id, t: stroke.t, rows: stroke.rows.map(r => ({ z: r.z, tx: r.tx, ty: r.ty, data: encodeData(r.data) })) });
+      mem.appendStroke(room, stroke);
+    },
+    markReset(room, tiles) {
+      log({ op: 'reset', room, tiles: tiles.map(({ z, tx, ty }) => ({ z, tx, ty })) });
+      mem.markReset(room, tiles);
+    },
+    hideStroke(room, id, userId) {
+      if (!mem.hideStroke(room, id, userId)) return false;
+      log({ op: 'hide', room, id, userId });
+      return true;
+    },
+    unhideStroke(room, id, userId) {
+      if (!mem.unhideStroke(room, id, userId)) return false;
+      log({ op: 'unhide', room, id, userId });
+      return true;
+    },
+    deleteStroke(room, id) {
+      const tiles = mem.deleteStroke(room, id);
+      if (tiles) log({ op: 'delete', room, id });
+      return tiles;
+    },
+    putRegion(region) {
+      log({ op: 'region', region });
+      mem.putRegion(region);
+    },
+    deleteRegion(id) {
+      if (!mem.deleteRegion(id)) return false;
+      log({ op: 'unregion', id });
+      return true;
+    },
+    stats() {
+      let fileBytes = 0;
+      try { fileBytes = fs.fstatSync(fd).size; } catch {}
+      return { ...mem.stats(), fileBytes };
+    },
+    close() {
+      try { fs.closeSync(fd); } catch {}
+    },
+  };
+}
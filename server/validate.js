@@ -0,0 +1,93 @@
+// Stroke validation shared by the WS `stroke` handler and POST /api/stroke
+// - Rejects instead of coercing: bad input gets a structured error
+//   ({ code, field, message }) and is never persisted
+// - Optional fields (id, color, size, opacity, p) fall back to defaults only
+//   when absent; present-but-invalid values are errors
+// - Limits come from the environment: MAX_STROKE_POINTS, MAX_STROKE_BYTES,
+//   WORLD_BOUND (|x| and |y| in world px)
+
+export const STROKE_LIMITS = {
+  maxPoints: Number(process.env.MAX_STROKE_POINTS || 10000),
+  maxBytes: Number(process.env.MAX_STROKE_BYTES || 512 * 1024),
+  worldBound: Number(process.env.WORLD_BOUND || 1e9),
+};
+
+const MAX_ID_LENGTH = 128;
+const MAX_COLOR_LENGTH = 64;
+// Fainter strokes would be stored but never seen (and the binary wire format,
+// in 1/255 steps, rounds them to 0)
+const MIN_OPACITY = 0.01;
+// #rgb, #rgba, #rrggbb, #rrggbbaa and rgb()/rgba()/hsl()/hsla() with numeric arguments
+const COLOR_RE = /^(#(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})|(?:rgb|hsl)a?\(\s*[-+0-9.%a-z\s,/]*\))$/i;
+const COLOR_ARG_RE = /^[-+]?(?:\d+\.?\d*|\.\d+)(?:%|deg)?$/i;
+
+function reject(code, field, message) {
+  return { ok: false, error: { code, field, message } };
+}
+
+export function isColor(v) {
+  if (typeof v !== 'string' || v.length > MAX_COLOR_LENGTH || !COLOR_RE.test(v)) return false;
+  if (v[0] === '#') return true;
+  const args = v.slice(v.indexOf('(') + 1, -1).split(/[\s,/]+/).filter(Boolean);
+  return args.length >= 3 && args.length <= 4 && args.every(a => COLOR_ARG_RE.test(a));
+}
+
+// Validate an incoming stroke payload. `bytes` is the size of the raw message
+// or request body when the caller knows it. Returns { ok: true, stroke } with
+// the client-controlled fields normalized, or { ok: false, error }.
+export function validateStroke(payload, { bytes, limits = STROKE_LIMITS } = {}) {
+  if (bytes != null && bytes > limits.maxBytes) {
+    return reject('payload_too_large', null, `stroke payload exceeds ${limits.maxBytes} bytes`);
+  }
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return reject('invalid_payload', null, 'stroke must be an object');
+  }
+
+  const { id, color, size, opacity, points } = payload;
+  if (id != null && (typeof id !== 'string' || id.length === 0 || id.length > MAX_ID_LENGTH)) {
+    return reject('invalid_id', 'id', `id must be a string of 1-${MAX_ID_LENGTH} characters`);
+  }
+  if (color != null && !isColor(color)) {
+    return reject('invalid_color', 'color', 'color must be #hex, rgb(), rgba(), hsl() or hsla()');
+  }
+  if (size != null && !(typeof size === 'number' && size >= 1 && size <= 128)) {
+    return reject('invalid_size', 'size', 'size must be a number in [1, 128]');
+  }
+  if (opacity != null && !(typeof opacity === 'number' && opacity >= MIN_OPACITY && opacity <= 1)) {
+    return reject('invalid_opacity', 'opacity', `opacity must be a number in [${MIN_OPACITY}, 1]`);
+  }
+
+  if (!Array.isArray(points) || points.length === 0) {
+    return reject('invalid_points', 'points', 'points must be a non-empty array');
+  }
+  if (points.length > limits.maxPoints) {
+    return reject('too_many_points', 'points', `at most ${limits.maxPoints} points per stroke`);
+  }
+  const out = new Array(points.length);
+  for (let i = 0; i < points.length; i++) {
+    const pt = points[i];
+    const field = `points[${i}]`;
+    if (!pt || typeof pt !== 'object' || !Number.isFinite(pt.x) || !Number.isFinite(pt.y)) {
+      return reject('invalid_point', field, 'x and y must be finite numbers');
+    }
+    if (Math.abs(pt.x) > limits.worldBound || Math.abs(pt.y) > limits.worldBound) {
+      return reject('out_of_bounds', field, `coordinates must be within ±${limits.worldBound}`);
+    }
+    if (pt.p != null && !(typeof pt.p === 'number' && pt.p >= 0 && pt.p <= 1)) {
+      return reject('invalid_pressure', `${field}.p`, 'pressure must be a number in [0, 1]');
+    }
+    out[i] = { x: pt.x, y: pt.y, p: pt.p ?? 0 };
+  }
+
+  return {
+    ok: true,
+    stroke: {
+      id: id ?? crypto.randomUUID(),
+      color: color ?? '#000000',
+      size: size ?? 12,
+      opacity: opacity ?? 1,
+      points: out,
+      erase: Boolean(payload.erase)
+    }
+  };
+}
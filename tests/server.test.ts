@@ -2,6 +2,9 @@ import { describe, test, expect, beforeAll, afterAll } from "bun:test";
 import path from "path";
 import fs from "fs";
 import os from "os";
+import zlib from "zlib";
+import * as wire from "../client/wire.js";
+import { validateStroke } from "../server/validate.js";
 
 let mod: any;
 let TMP: string;
@@ -78,6 +81,1377 @@ describe("tile storage (gzip concatenation)", () => {
   });
 });
 
+describe("zoom pyramid", () => {
+  test("stroke is stored in every level with coarser copies simplified", async () => {
+    const points = Array.from({ length: 200 }, (_, i) => ({ x: 50000 + i * 2, y: 50000 + Math.sin(i / 10) * 3 }));
+    const s = makeStroke("pyramid-1", { points });
+    const base = mod.appendStrokeToTiles(s);
+    expect(base.length).toBeGreaterThan(0);
+    for (let z = 0; z <= 6; z++) {
+      const size = mod.tileSizeForLevel(z);
+      const list = await mod.readTileStrokes(z, Math.floor(50000 / size), Math.floor(50000 / size));
+      const found = list.find((x: any) => x.id === "pyramid-1");
+      expect(found).toBeDefined();
+      expect(found.z).toBe(z);
+      if (z === 0) expect(found.points.length).toBe(200);
+      else expect(found.points.length).toBeLessThan(200);
+    }
+  });
+
+  test("simplifyPoints keeps endpoints and drops collinear points", () => {
+    const pts = [ { x: 0, y: 0 }, { x: 1, y: 0 }, { x: 2, y: 0 }, { x: 3, y: 5 }, { x: 4, y: 0 } ];
+    const out = mod.simplifyPoints(pts, 1);
+    expect(out[0]).toEqual(pts[0]);
+    expect(out[out.length - 1]).toEqual(pts[4]);
+    expect(out.some((p: any) => p.x === 1)).toBeFalse();
+    expect(out.some((p: any) => p.x === 3)).toBeTrue();
+  });
+
+  test("tile endpoints serve the requested level", async () => {
+    const s = makeStroke("pyramid-http", { points: [ { x: 70000, y: 70000 }, { x: 70100, y: 70050 } ] });
+    mod.appendStrokeToTiles(s);
+    let server: any;
+    try {
+      server = mod.startServer({ port: 0 });
+      const size = mod.tileSizeForLevel(4);
+      const tx = Math.floor(70000 / size);
+      const res = await fetch(`http://localhost:${server.port}/api/tile-strokes?z=4&tx=${tx}&ty=${tx}`);
+      const json: any = await res.json();
+      expect(json.z).toBe(4);
+      expect(json.strokes.some((x: any) => x.id === "pyramid-http" && x.z === 4)).toBeTrue();
+      const batch = await fetch(`http://localhost:${server.port}/api/tile-strokes-batch`, {
+        method: 'POST', headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ z: 99, tiles: [ { tx: 0, ty: 0 } ] })
+      });
+      const bj: any = await batch.json();
+      expect(bj.tiles[0].z).toBe(6); // clamped to the coarsest level
+    } finally {
+      if (server) server.stop();
+    }
+  });
+});
+
+// Decode the RGBA pixels of a PNG produced by encodePng (filter 0 scanlines only)
+function decodePng(buf: Uint8Array) {
+  const dv = new DataView(buf.buffer, buf.byteOffset, buf.byteLength);
+  const width = dv.getUint32(16), height = dv.getUint32(20);
+  const idat: Uint8Array[] = [];
+  for (let off = 8; off < buf.length; ) {
+    const len = dv.getUint32(off);
+    const type = String.fromCharCode(...buf.subarray(off + 4, off + 8));
+    if (type === "IDAT") idat.push(buf.subarray(off + 8, off + 8 + len));
+    off += 12 + len;
+  }
+  const raw = zlib.inflateSync(Buffer.concat(idat));
+  const px = (x: number, y: number) => {
+    const o = y * (width * 4 + 1) + 1 + x * 4;
+    return [raw[o], raw[o + 1], raw[o + 2], raw[o + 3]];
+  };
+  return { width, height, px };
+}
+
+describe("png tile rasterizer", () => {
+  test("renders strokes, applies author-only erasers and caches until new rows", async () => {
+    const base = 20 * 1024;
+    mod.appendStrokeToTiles(makeStroke("png-a", { userId: "pa", color: "#ff0000", size: 10, points: [ { x: base + 100, y: base + 100 }, { x: base + 300, y: base + 100 } ] }));
+    // Eraser by another user must not remove pa's paint
+    mod.appendStrokeToTiles(makeStroke("png-b", { userId: "pb", erase: true, size: 30, points: [ { x: base + 150, y: base + 100 }, { x: base + 150, y: base + 101 } ] }));
+    let server: any;
+    try {
+      server = mod.startServer({ port: 0 });
+      const url = `http://localhost:${server.port}/api/tile.png?z=0&tx=20&ty=20`;
+      const res = await fetch(url);
+      expect(res.headers.get("content-type")).toBe("image/png");
+      const buf = new Uint8Array(await res.arrayBuffer());
+      expect(Array.from(buf.subarray(0, 8))).toEqual([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+      const img = decodePng(buf);
+      expect(img.width).toBe(1024);
+      expect(img.height).toBe(1024);
+      expect(img.px(200, 100)).toEqual([255, 0, 0, 255]);
+      expect(img.px(150, 100)).toEqual([255, 0, 0, 255]);
+      expect(img.px(200, 200)[3]).toBe(0);
+
+      const cached = new Uint8Array(await (await fetch(url)).arrayBuffer());
+      expect(cached).toEqual(buf);
+
+      // The author's own eraser punches through
+      mod.appendStrokeToTiles(makeStroke("png-c", { userId: "pa", erase: true, size: 30, points: [ { x: base + 250, y: base + 100 } ] }));
+      const after = decodePng(new Uint8Array(await (await fetch(url)).arrayBuffer()));
+      expect(after.px(250, 100)[3]).toBe(0);
+      expect(after.px(120, 100)).toEqual([255, 0, 0, 255]);
+
+      const bad = await fetch(`http://localhost:${server.port}/api/tile.png?z=0&tx=a`);
+      expect(bad.status).toBe(400);
+    } finally {
+      if (server) server.stop();
+    }
+  });
+
+  test("rate limits renders per IP but not cached tiles", async () => {
+    let server: any;
+    try {
+      server = mod.startServer({ port: 0, rateLimits: { pngs: { burst: 2, ipBurst: 2, rate: 0.001, ipRate: 0.001 } } });
+      const url = (tx: number) => `http://localhost:${server.port}/api/tile.png?room=png-limit&z=0&tx=${tx}&ty=0`;
+      expect((await fetch(url(1))).status).toBe(200);
+      expect((await fetch(url(1))).status).toBe(200);
+      expect((await fetch(url(2))).status).toBe(200);
+      const limited = await fetch(url(3));
+      expect(limited.status).toBe(429);
+      expect(((await limited.json()) as any).kind).toBe("pngs");
+      // Tiles already rendered are still served from the cache
+      expect((await fetch(url(2))).status).toBe(200);
+    } finally {
+      if (server) server.stop();
+    }
+  });
+});
+
+describe("region export", () => {
+  test("exports a bbox spanning tiles as json, svg and png", async () => {
+    const room = "export";
+    // Crosses the tile edge at x=1024, so it is stored in two tiles
+    mod.appendStrokeToTiles({ ...makeStroke("exp-a", { color: "#00ff00", size: 10, points: [ { x: 1000, y: 50 }, { x: 1100, y: 50 } ] }), t: 1 }, room);
+    mod.appendStrokeToTiles({ ...makeStroke("exp-erase", { erase: true, size: 20, points: [ { x: 1050, y: 50 } ] }), t: 2 }, room);
+    mod.appendStrokeToTiles({ ...makeStroke("exp-b", { points: [ { x: 1060, y: 50 }, { x: 1070, y: 50 } ] }), t: 3 }, room);
+    // Another author's eraser only clears that author's own paint, in every format
+    mod.appendStrokeToTiles({ ...makeStroke("exp-other-erase", { userId: "u2", erase: true, size: 20, points: [ { x: 1010, y: 50 } ] }), t: 4 }, room);
+    mod.appendStrokeToTiles(makeStroke("exp-far", { points: [ { x: 5000, y: 5000 } ] }), room);
+    let server: any;
+    try {
+      server = mod.startServer({ port: 0 });
+      const base = `http://localhost:${server.port}/api/export?room=${room}&minX=900&minY=0&maxX=1200&maxY=100`;
+
+      const json: any = await (await fetch(`${base}&format=json`)).json();
+      expect(json.bbox).toEqual({ minX: 900, minY: 0, maxX: 1200, maxY: 100 });
+      expect(json.strokes.map((s: any) => s.id)).toEqual(["exp-a", "exp-erase", "exp-b", "exp-other-erase"]);
+
+      const svgRes = await fetch(`${base}&format=svg`);
+      expect(svgRes.headers.get("content-type")).toContain("image/svg+xml");
+      expect(svgRes.headers.get("content-disposition")).toContain("export.svg");
+      const svg = await svgRes.text();
+      expect(svg).toContain('viewBox="900 0 300 100"');
+      // The eraser masks its author's earlier stroke only
+      expect(svg).toContain('<g mask="url(#m0-0)"><path d="M 1000 50 L 1100 50" fill="none" stroke="#00ff00"');
+      expect(svg).toContain('<g><path d="M 1060 50 L 1070 50"');
+      expect(svg).toContain('<mask id="m1-0"');
+      expect(svg).not.toContain('url(#m1-');
+
+      const pngRes = await fetch(`${base}&format=png&scale=2`);
+      expect(pngRes.headers.get("content-type")).toBe("image/png");
+      const img = decodePng(new Uint8Array(await pngRes.arrayBuffer()));
+      expect([img.width, img.height]).toEqual([600, 200]);
+      expect(img.px(2 * (1010 - 900), 100)).toEqual([0, 255, 0, 255]);
+      expect(img.px(2 * (1065 - 900), 100)).toEqual([255, 0, 0, 255]);
+      expect(img.px(2 * (1045 - 900), 100)[3]).toBe(0);
+
+      expect((await fetch(`http://localhost:${server.port}/api/export?minX=0&minY=0&maxX=0&maxY=10`)).status).toBe(400);
+      expect((await fetch(`http://localhost:${server.port}/api/export?minX=0&minY=0&maxY=10`)).status).toBe(400);
+      expect((await fetch(`http://localhost:${server.port}/api/export?minX=0&minY=0&maxX=1e9&maxY=1e9`)).status).toBe(400);
+      expect((await fetch(`${base}&format=gif`)).status).toBe(400);
+    } finally {
+      if (server) server.stop();
+    }
+  });
+
+  test("png exports are capped in pixels, rendered in bands and rate limited", async () => {
+    const room = "export-big";
+    // A diagonal across the whole region: every band has a piece of it
+    mod.appendStrokeToTiles(makeStroke("exp-diag", { color: "#0000ff", size: 40, points: [ { x: 0, y: 0 }, { x: 4096, y: 4096 } ] }), room);
+    let server: any;
+    try {
+      server = mod.startServer({ port: 0, rateLimits: { exports: { burst: 2, ipBurst: 2, rate: 0.001, ipRate: 0.001 } } });
+      const url = `http://localhost:${server.port}/api/export?room=${room}&minX=0&minY=0&maxX=4096&maxY=4096&format=png`;
+      const img = decodePng(new Uint8Array(await (await fetch(url)).arrayBuffer()));
+      expect([img.width, img.height]).toEqual([2048, 2048]);
+      for (const p of [10, 700, 1500, 2040]) expect(img.px(p, p)).toEqual([0, 0, 255, 255]);
+      expect(img.px(2000, 100)[3]).toBe(0);
+      expect((await fetch(url.replace("format=png", "format=json"))).status).toBe(200);
+      const limited = await fetch(url);
+      expect(limited.status).toBe(429);
+      expect(((await limited.json()) as any).kind).toBe("exports");
+    } finally {
+      if (server) server.stop();
+    }
+  });
+});
+
+// Open a socket, identify as a peer and resolve once welcomed
+async function connectPeer(port: number, payload: any = {}) {
+  const ws = new WebSocket(`ws://localhost:${port}/ws`);
+  ws.binaryType = "arraybuffer";
+  const messages: any[] = [];
+  const binaryTypes: string[] = []; // types that arrived as binary frames
+  const waiters: { type: string, resolve: (m: any) => void }[] = [];
+  ws.addEventListener('message', (ev) => {
+    let msg: any;
+    try {
+      if (typeof ev.data === "string") msg = JSON.parse(ev.data);
+      else { msg = wire.decodeFrame(new Uint8Array(ev.data as ArrayBuffer)); binaryTypes.push(msg.type); }
+    } catch { return; }
+    const i = waiters.findIndex(w => w.type === msg.type);
+    if (i !== -1) waiters.splice(i, 1)[0].resolve(msg.payload);
+    else messages.push(msg);
+  });
+  const next = (type: string, ms = 2000) => {
+    const i = messages.findIndex(m => m.type === type);
+    if (i !== -1) return Promise.resolve(messages.splice(i, 1)[0].payload);
+    return new Promise<any>((resolve, reject) => {
+      const w = { type, resolve: (m: any) => { clearTimeout(timer); resolve(m); } };
+      const timer = setTimeout(() => { waiters.splice(waiters.indexOf(w), 1); reject(new Error(`no ${type}`)); }, ms);
+      waiters.push(w);
+    });
+  };
+  await new Promise((r) => ws.addEventListener('open', r));
+  ws.send(JSON.stringify({ type: 'identify', payload: { role: 'peer', ...payload } }));
+  const welcome = await next('welcome');
+  return { ws, welcome, next, messages, binaryTypes };
+}
+
+describe("stroke import", () => {
+  test("places svg shapes and json dumps as new strokes owned by the importer", async () => {
+    let server: any;
+    const socks: WebSocket[] = [];
+    try {
+      server = mod.startServer({ port: 0, rateLimits: { imports: { ipBurst: 10 } } });
+      const importer = await connectPeer(server.port, { room: "import" });
+      const watcher = await connectPeer(server.port, { room: "import" });
+      socks.push(importer.ws, watcher.ws);
+      const url = (q: string) => `http://localhost:${server.port}/api/import?room=import&${q}`;
+      const auth = { Authorization: `Bearer ${importer.welcome.token}` };
+
+      const svg = `<svg xmlns="http://www.w3.org/2000/svg">
+        <path d="M 10 10 C 10 30 30 30 30 10" stroke="#0000ff" stroke-width="4"/>
+        <polyline points="0,0 20,0" style="stroke:#00ff00;stroke-width:2"/>
+        <circle cx="50" cy="50" r="5" fill="#ff0000"/>
+      </svg>`;
+      const res: any = await (await fetch(url("x=5000&y=6000&scale=2"), { method: "POST", headers: auth, body: svg })).json();
+      expect(res.ok).toBeTrue();
+      expect(res.ids.length).toBe(3);
+      expect(res.skipped).toEqual([]);
+      const first = await watcher.next("stroke");
+      expect(first.userId).toBe(importer.welcome.id);
+      expect(first.color).toBe("#0000ff");
+      expect(first.size).toBe(8);
+      expect(first.points.length).toBeGreaterThan(4);
+      expect(first.points[0]).toMatchObject({ x: 5020, y: 6020 });
+      expect(first.points.at(-1)).toMatchObject({ x: 5060, y: 6020 });
+      expect((await watcher.next("stroke")).points).toMatchObject([{ x: 5000, y: 6000 }, { x: 5040, y: 6000 }]);
+      expect(await watcher.next("stroke")).toMatchObject({ color: "#ff0000", size: 20, points: [{ x: 5100, y: 6100 }] });
+
+      // Our own export format round-trips with fresh ids
+      const dump = JSON.stringify({ strokes: [
+        makeStroke("dump-a", { points: [{ x: 100, y: 100 }, { x: 110, y: 100 }] }),
+        makeStroke("dump-a"),
+        makeStroke("dump-b", { erase: true, points: [{ x: 120, y: 120 }] })
+      ] });
+      const res2: any = await (await fetch(url("x=0&y=0"), { method: "POST", headers: auth, body: dump })).json();
+      expect(res2.ids.length).toBe(2);
+      expect(res2.ids).not.toContain("dump-a");
+      const strokes = await mod.readTileStrokes(0, 0, 0, undefined, "import");
+      expect(strokes.map((s: any) => [s.points[0].x, s.points[0].y, s.erase])).toEqual([[0, 0, false], [20, 20, true]]);
+
+      // Invalid strokes are skipped, not fatal
+      const res3: any = await (await fetch(url("x=0&y=0"), { method: "POST", headers: auth, body: JSON.stringify([{ points: [{ x: 1, y: 1 }] }, { points: [{ x: "a", y: 1 }] }]) })).json();
+      expect(res3.ids.length).toBe(1);
+      expect(res3.skipped).toMatchObject([{ index: 1, code: "invalid_point" }]);
+
+      expect((await fetch(url(""), { method: "POST", headers: auth, body: "{not json" })).status).toBe(400);
+      expect((await fetch(url("format=svg"), { method: "POST", headers: auth, body: "<html></html>" })).status).toBe(400);
+      expect((await fetch(url(""), { method: "POST", body: "[]" })).status).toBe(400);
+    } finally {
+      for (const s of socks) s.close();
+      if (server) server.stop();
+    }
+  });
+
+  test("imports are charged to the stroke and point budgets and refuse oversized bodies", async () => {
+    let server: any;
+    try {
+      server = mod.startServer({ port: 0, rateLimits: { imports: { ipBurst: 10 }, points: { rate: 0.01, burst: 5, ipRate: 0.01, ipBurst: 5 } } });
+      const url = `http://localhost:${server.port}/api/import?room=import-budget`;
+      const line = (n: number) => ({ points: Array.from({ length: n }, (_, i) => ({ x: i, y: 0 })) });
+      const ok: any = await (await fetch(url, { method: "POST", body: JSON.stringify([line(2), line(2)]) })).json();
+      expect(ok.ids.length).toBe(2);
+      const res = await fetch(url, { method: "POST", body: JSON.stringify([line(2)]) });
+      expect(res.status).toBe(429);
+      expect(await res.json()).toMatchObject({ error: "rate limited", kind: "points" });
+
+      const big = await fetch(url, { method: "POST", body: " ".repeat(5 * 1024 * 1024 + 1) });
+      expect(big.status).toBe(413);
+    } finally {
+      if (server) server.stop();
+    }
+  });
+
+  test("strokes that fail to save are reported as skipped", async () => {
+    const { createMemoryStorage } = await import("../server/storage.js");
+    const storage = { ...createMemoryStorage(), appendStroke() { throw new Error("disk full"); } };
+    const warn = console.warn;
+    console.warn = () => {};
+    let server: any;
+    try {
+      server = mod.startServer({ port: 0, storage, rateLimits: { imports: { ipBurst: 10 } } });
+      const res: any = await (await fetch(`http://localhost:${server.port}/api/import`, { method: "POST", body: JSON.stringify([{ points: [{ x: 1, y: 1 }] }]) })).json();
+      expect(res.ids).toEqual([]);
+      expect(res.skipped).toMatchObject([{ index: 0, code: "persist_failed" }]);
+    } finally {
+      console.warn = warn;
+      if (server) server.stop();
+    }
+  });
+});
+
+describe("undo / redo", () => {
+  test("only the author can tombstone a stroke and reads skip it", async () => {
+    mod.appendStrokeToTiles(makeStroke("undo-1", { userId: "author" }));
+    expect(mod.undoStroke("undo-1", "someone-else")).toBeNull();
+    const tiles = mod.undoStroke("undo-1", "author");
+    expect(tiles.some((t: any) => t.z === 0 && t.tx === 0 && t.ty === 0)).toBeTrue();
+    expect(tiles.some((t: any) => t.z === 6)).toBeTrue();
+    let list = await mod.readTileStrokes(0, 0, 0);
+    expect(list.some((x: any) => x.id === "undo-1")).toBeFalse();
+    expect(mod.redoStroke("undo-1", "someone-else")).toBeNull();
+    expect(mod.redoStroke("undo-1", "author")).not.toBeNull();
+    list = await mod.readTileStrokes(0, 0, 0);
+    expect(list.some((x: any) => x.id === "undo-1")).toBeTrue();
+  });
+
+  test("undo and delete only touch the stroke in their own room", async () => {
+    mod.appendStrokeToTiles(makeStroke("dup", { userId: "alice" }), "room-a");
+    const rev = mod.readTileDelta(0, 0, 0, undefined, "room-a").rev;
+    mod.appendStrokeToTiles(makeStroke("dup", { userId: "mallory" }), "room-b");
+    expect(mod.undoStroke("dup", "mallory", "room-b")).not.toBeNull();
+    const inA = mod.readTileDelta(0, 0, 0, undefined, "room-a");
+    expect(inA.strokes.some((x: any) => x.id === "dup")).toBeTrue();
+    expect(inA.rev).toBe(rev);
+    expect(mod.undoStroke("dup", "alice", "room-a")).not.toBeNull();
+    // Erasing room b's copy leaves room a's tombstone in place
+    expect(mod.deleteStroke("dup", "room-b")).not.toBeNull();
+    expect((await mod.readTileStrokes(0, 0, 0, undefined, "room-a")).some((x: any) => x.id === "dup")).toBeFalse();
+    expect(mod.redoStroke("dup", "alice", "room-a")).not.toBeNull();
+  });
+
+  test("ws undo is checked against the peer id and broadcast to everyone", async () => {
+    let server: any;
+    const socks: WebSocket[] = [];
+    try {
+      server = mod.startServer({ port: 0 });
+      const a = await connectPeer(server.port);
+      const b = await connectPeer(server.port);
+      socks.push(a.ws, b.ws);
+      a.ws.send(JSON.stringify({ type: 'stroke', payload: makeStroke("undo-ws") }));
+      const stroke = await b.next('stroke');
+      expect(stroke.userId).toBe(a.welcome.id);
+
+      // b cannot undo a's stroke
+      b.ws.send(JSON.stringify({ type: 'undo', payload: { id: "undo-ws" } }));
+      await expect(a.next('undo', 300)).rejects.toThrow();
+
+      a.ws.send(JSON.stringify({ type: 'undo', payload: { id: "undo-ws" } }));
+      const [ua, ub] = await Promise.all([a.next('undo'), b.next('undo')]);
+      expect(ua.id).toBe("undo-ws");
+      expect(ub.tiles.length).toBeGreaterThan(0);
+      const res = await fetch(`http://localhost:${server.port}/api/tile-strokes?z=0&tx=0&ty=0`);
+      const json: any = await res.json();
+      expect(json.strokes.some((x: any) => x.id === "undo-ws")).toBeFalse();
+
+      a.ws.send(JSON.stringify({ type: 'redo', payload: { id: "undo-ws" } }));
+      expect((await b.next('redo')).id).toBe("undo-ws");
+    } finally {
+      for (const ws of socks) ws.close();
+      if (server) server.stop();
+    }
+  });
+});
+
+describe("object eraser", () => {
+  test("deleteStroke removes the rows of every tile and level", async () => {
+    mod.appendStrokeToTiles(makeStroke("obj-1", { points: [ { x: 1000, y: 10 }, { x: 1100, y: 10 } ] }));
+    const tiles = mod.deleteStroke("obj-1");
+    expect(tiles.some((t: any) => t.z === 0 && t.tx === 1)).toBeTrue();
+    for (const { z, tx, ty } of tiles) {
+      const list = await mod.readTileStrokes(z, tx, ty);
+      expect(list.some((x: any) => x.id === "obj-1")).toBeFalse();
+    }
+    expect(mod.deleteStroke("obj-1")).toBeNull();
+  });
+
+  test("ws deleteStrokes shrinks the table and notifies peers", async () => {
+    let server: any;
+    const socks: WebSocket[] = [];
+    try {
+      server = mod.startServer({ port: 0 });
+      const a = await connectPeer(server.port);
+      const b = await connectPeer(server.port);
+      socks.push(a.ws, b.ws);
+      a.ws.send(JSON.stringify({ type: 'stroke', payload: makeStroke("obj-ws") }));
+      await b.next('stroke');
+      const before: any = await (await fetch(`http://localhost:${server.port}/api/db-status`)).json();
+
+      b.ws.send(JSON.stringify({ type: 'deleteStrokes', payload: { ids: ["obj-ws", "does-not-exist", 42] } }));
+      const msg = await a.next('strokesDeleted');
+      expect(msg.ids).toEqual(["obj-ws"]);
+      expect(msg.tiles.length).toBeGreaterThan(0);
+      const after: any = await (await fetch(`http://localhost:${server.port}/api/db-status`)).json();
+      expect(after.strokeCount).toBeLessThan(before.strokeCount);
+    } finally {
+      for (const ws of socks) ws.close();
+      if (server) server.stop();
+    }
+  });
+});
+
+describe("rooms", () => {
+  test("room names are normalized", () => {
+    expect(mod.normalizeRoom(" Design Review! ")).toBe("design-review");
+    expect(mod.normalizeRoom(undefined)).toBe("");
+    expect(mod.normalizeRoom("x".repeat(100)).length).toBe(64);
+  });
+
+  test("strokes are stored per room", async () => {
+    mod.appendStrokeToTiles(makeStroke("room-only"), "design-review");
+    const inRoom = await mod.readTileStrokes(0, 0, 0, undefined, "design-review");
+    const global = await mod.readTileStrokes(0, 0, 0);
+    expect(inRoom.some((x: any) => x.id === "room-only")).toBeTrue();
+    expect(global.some((x: any) => x.id === "room-only")).toBeFalse();
+    // Deleting from another room is a no-op
+    expect(mod.deleteStroke("room-only")).toBeNull();
+    expect(mod.deleteStroke("room-only", "design-review")).not.toBeNull();
+  });
+
+  test("presence, strokes and tile endpoints are room scoped", async () => {
+    let server: any;
+    const socks: WebSocket[] = [];
+    try {
+      server = mod.startServer({ port: 0 });
+      const a = await connectPeer(server.port, { room: "alpha" });
+      const b = await connectPeer(server.port, { room: "alpha" });
+      const c = await connectPeer(server.port, { room: "beta" });
+      socks.push(a.ws, b.ws, c.ws);
+      expect(b.welcome.room).toBe("alpha");
+      expect(b.welcome.others.map((o: any) => o.id)).toEqual([a.welcome.id]);
+      expect(c.welcome.others).toEqual([]);
+
+      a.ws.send(JSON.stringify({ type: 'stroke', payload: makeStroke("room-ws") }));
+      expect((await b.next('stroke')).id).toBe("room-ws");
+      await expect(c.next('stroke', 300)).rejects.toThrow();
+
+      const base = `http://localhost:${server.port}/api/tile-strokes?z=0&tx=0&ty=0`;
+      const alpha: any = await (await fetch(`${base}&room=alpha`)).json();
+      const beta: any = await (await fetch(`${base}&room=beta`)).json();
+      expect(alpha.strokes.some((x: any) => x.id === "room-ws")).toBeTrue();
+      expect(beta.strokes.some((x: any) => x.id === "room-ws")).toBeFalse();
+
+      const page = await fetch(`http://localhost:${server.port}/r/alpha`);
+      expect(page.status).toBe(200);
+      expect(await page.text()).toContain("<canvas");
+    } finally {
+      for (const ws of socks) ws.close();
+      if (server) server.stop();
+    }
+  });
+
+  test("identifying again in another room leaves the old one", async () => {
+    let server: any;
+    const socks: WebSocket[] = [];
+    try {
+      server = mod.startServer({ port: 0 });
+      const a = await connectPeer(server.port, { room: "move-from" });
+      const b = await connectPeer(server.port, { room: "move-from" });
+      const c = await connectPeer(server.port, { room: "move-to" });
+      socks.push(a.ws, b.ws, c.ws);
+      a.ws.send(JSON.stringify({ type: "identify", payload: { role: "peer", room: "move-from", token: a.welcome.token } }));
+      await a.next("welcome");
+      a.ws.send(JSON.stringify({ type: "identify", payload: { role: "peer", room: "move-to", token: a.welcome.token } }));
+      const moved = await a.next("welcome");
+      expect(moved.room).toBe("move-to");
+      expect(moved.others.map((o: any) => o.id)).toEqual([c.welcome.id]);
+      expect(await b.next("leave")).toEqual({ id: a.welcome.id });
+
+      // The old room's broadcasts no longer reach it; the new room's do
+      b.ws.send(JSON.stringify({ type: "stroke", payload: makeStroke("move-old") }));
+      await expect(a.next("stroke", 300)).rejects.toThrow();
+      c.ws.send(JSON.stringify({ type: "stroke", payload: makeStroke("move-new") }));
+      expect((await a.next("stroke")).id).toBe("move-new");
+      a.ws.send(JSON.stringify({ type: "stroke", payload: makeStroke("move-mine") }));
+      expect((await c.next("stroke")).id).toBe("move-mine");
+      await expect(b.next("stroke", 300)).rejects.toThrow();
+      // Staying in the same room is not a leave
+      await expect(c.next("leave", 300)).rejects.toThrow();
+    } finally {
+      for (const ws of socks) ws.close();
+      if (server) server.stop();
+    }
+  });
+});
+
+describe("incremental tile sync", () => {
+  test("cursors return only newer strokes until the tile is reset", async () => {
+    const room = "sync";
+    mod.appendStrokeToTiles(makeStroke("sync-1", { userId: "s1" }), room);
+    const first = mod.readTileDelta(0, 0, 0, undefined, room);
+    expect(first.full).toBeTrue();
+    expect(first.strokes.map((x: any) => x.id)).toEqual(["sync-1"]);
+
+    const idle = mod.readTileDelta(0, 0, 0, first.rev, room);
+    expect(idle).toEqual({ rev: first.rev, full: false, strokes: [] });
+
+    mod.appendStrokeToTiles(makeStroke("sync-2", { userId: "s1" }), room);
+    const delta = mod.readTileDelta(0, 0, 0, first.rev, room);
+    expect(delta.full).toBeFalse();
+    expect(delta.rev).toBeGreaterThan(first.rev);
+    expect(delta.strokes.map((x: any) => x.id)).toEqual(["sync-2"]);
+
+    // Undo hides a stroke the client already has, so its cursor is stale
+    expect(mod.undoStroke("sync-1", "s1", room)).not.toBeNull();
+    const afterUndo = mod.readTileDelta(0, 0, 0, delta.rev, room);
+    expect(afterUndo.full).toBeTrue();
+    expect(afterUndo.rev).toBeGreaterThan(delta.rev);
+    expect(afterUndo.strokes.map((x: any) => x.id)).toEqual(["sync-2"]);
+    expect(mod.readTileDelta(0, 0, 0, afterUndo.rev, room).strokes).toEqual([]);
+
+    // A cursor from the future (e.g. a restored database) also gets the full tile
+    expect(mod.readTileDelta(0, 0, 0, afterUndo.rev + 1000, room).full).toBeTrue();
+  });
+
+  test("batch endpoint honours per-tile cursors", async () => {
+    let server: any;
+    try {
+      server = mod.startServer({ port: 0 });
+      const room = "sync-http";
+      mod.appendStrokeToTiles(makeStroke("sync-http-1"), room);
+      const { rev } = mod.readTileDelta(0, 0, 0, undefined, room);
+      mod.appendStrokeToTiles(makeStroke("sync-http-2"), room);
+      const res = await fetch(`http://localhost:${server.port}/api/tile-strokes-batch`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ z: 0, room, tiles: [{ tx: 0, ty: 0, rev }, { tx: 0, ty: 1 }] })
+      });
+      const json: any = await res.json();
+      expect(json.tiles[0].full).toBeFalse();
+      expect(json.tiles[0].strokes.map((x: any) => x.id)).toEqual(["sync-http-2"]);
+      expect(json.tiles[1]).toMatchObject({ tx: 0, ty: 1, full: true, strokes: [] });
+    } finally {
+      if (server) server.stop();
+    }
+  });
+});
+
+describe("http caching", () => {
+  test("tile reads carry a revision etag and answer 304 until the tile changes", async () => {
+    const { createMemoryStorage } = await import("../server/storage.js");
+    let server: any;
+    try {
+      server = mod.startServer({ port: 0, storage: createMemoryStorage() });
+      const base = `http://localhost:${server.port}`;
+      const post = (id: string) => fetch(`${base}/api/stroke`, {
+        method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ room: "etag", ...makeStroke(id, { userId: "e1" }) })
+      });
+      await post("etag-1");
+      const url = `${base}/api/tile-strokes?room=etag&z=0&tx=0&ty=0`;
+      const first = await fetch(url);
+      const etag = first.headers.get("etag")!;
+      expect(etag).toMatch(/^W\/"tile-\d+"$/);
+      expect(first.headers.get("cache-control")).toBe("no-cache");
+      expect(((await first.json()) as any).strokes.map((x: any) => x.id)).toEqual(["etag-1"]);
+
+      const cached = await fetch(url, { headers: { "If-None-Match": etag } });
+      expect(cached.status).toBe(304);
+      expect(cached.headers.get("etag")).toBe(etag);
+      expect(await cached.text()).toBe("");
+      // Weak and strong forms of the tag compare equal, and so does a list containing it
+      expect((await fetch(url, { headers: { "If-None-Match": `"x", ${etag.slice(2)}` } })).status).toBe(304);
+      const png = `${base}/api/tile.png?room=etag&z=0&tx=0&ty=0`;
+      expect((await fetch(png, { headers: { "If-None-Match": etag } })).status).toBe(304);
+
+      // New strokes and resets both move the revision
+      await post("etag-2");
+      const changed = await fetch(url, { headers: { "If-None-Match": etag } });
+      expect(changed.status).toBe(200);
+      const etag2 = changed.headers.get("etag")!;
+      expect(etag2).not.toBe(etag);
+      expect(((await changed.json()) as any).strokes.map((x: any) => x.id)).toEqual(["etag-1", "etag-2"]);
+      server.storage.markReset("etag", [{ z: 0, tx: 0, ty: 0 }]);
+      const reset = await fetch(url, { headers: { "If-None-Match": etag2 } });
+      expect(reset.status).toBe(200);
+      expect(reset.headers.get("etag")).not.toBe(etag2);
+    } finally {
+      if (server) await server.stop();
+    }
+  });
+
+  test("static files revalidate by mtime and hashed build assets are immutable", async () => {
+    const distDir = path.join(process.cwd(), "client", "dist");
+    const hadDist = fs.existsSync(distDir);
+    const asset = path.join(distDir, "assets", `cache-test-${Date.now().toString(36)}.js`);
+    let server: any;
+    try {
+      fs.mkdirSync(path.dirname(asset), { recursive: true });
+      fs.writeFileSync(asset, "export {};\n");
+      server = mod.startServer({ port: 0 });
+      const base = `http://localhost:${server.port}`;
+      const immutable = await fetch(`${base}/assets/${path.basename(asset)}`);
+      expect(immutable.status).toBe(200);
+      expect(immutable.headers.get("cache-control")).toBe("public, max-age=31536000, immutable");
+
+      const page = await fetch(`${base}/main.js`);
+      const modified = page.headers.get("last-modified")!;
+      expect(page.headers.get("cache-control")).toBe("no-cache");
+      expect(page.headers.get("content-type")).toContain("javascript");
+      expect(new Date(modified).getTime()).toBe(Math.floor(fs.statSync(path.join(process.cwd(), "client", "main.js")).mtimeMs / 1000) * 1000);
+      expect((await fetch(`${base}/main.js`, { headers: { "If-Modified-Since": modified } })).status).toBe(304);
+      expect((await fetch(`${base}/main.js`, { headers: { "If-Modified-Since": new Date(0).toUTCString() } })).status).toBe(200);
+    } finally {
+      if (server) await server.stop();
+      fs.rmSync(hadDist ? asset : distDir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe("interest management", () => {
+  test("strokes and cursors only reach peers viewing nearby tiles", async () => {
+    let server: any;
+    const socks: WebSocket[] = [];
+    try {
+      server = mod.startServer({ port: 0 });
+      const a = await connectPeer(server.port, { room: "interest" });
+      const near = await connectPeer(server.port, { room: "interest" });
+      const far = await connectPeer(server.port, { room: "interest" });
+      const unscoped = await connectPeer(server.port, { room: "interest" });
+      socks.push(a.ws, near.ws, far.ws, unscoped.ws);
+      near.ws.send(JSON.stringify({ type: 'viewport', payload: { z: 0, tx0: -1, ty0: -1, tx1: 1, ty1: 1 } }));
+      far.ws.send(JSON.stringify({ type: 'viewport', payload: { z: 0, tx0: 500, ty0: 500, tx1: 502, ty1: 501 } }));
+      await Bun.sleep(50);
+
+      a.ws.send(JSON.stringify({ type: 'stroke', payload: makeStroke("interest-1") }));
+      expect((await near.next('stroke')).id).toBe("interest-1");
+      expect((await unscoped.next('stroke')).id).toBe("interest-1");
+      await expect(far.next('stroke', 300)).rejects.toThrow();
+
+      a.ws.send(JSON.stringify({ type: 'presence', payload: { x: 10, y: 10 } }));
+      expect((await near.next('presenceFrame')).peers.map((p: any) => p.id)).toEqual([a.welcome.id]);
+      await expect(far.next('presenceFrame', 300)).rejects.toThrow();
+
+      // Moving the far viewer's range over the stroke area subscribes it again
+      far.ws.send(JSON.stringify({ type: 'viewport', payload: { z: 2, tx0: 0, ty0: 0, tx1: 0, ty1: 0 } }));
+      await Bun.sleep(50);
+      a.ws.send(JSON.stringify({ type: 'stroke', payload: makeStroke("interest-2") }));
+      expect((await far.next('stroke')).id).toBe("interest-2");
+    } finally {
+      for (const ws of socks) ws.close();
+      if (server) server.stop();
+    }
+  });
+});
+
+describe("presence frames", () => {
+  test("cursor moves are merged per tick into one frame per recipient", async () => {
+    let server: any;
+    const socks: WebSocket[] = [];
+    try {
+      server = mod.startServer({ port: 0, presenceTickMs: 400 });
+      const a = await connectPeer(server.port, { room: "frames" });
+      const b = await connectPeer(server.port, { room: "frames" });
+      const c = await connectPeer(server.port, { room: "frames" });
+      socks.push(a.ws, b.ws, c.ws);
+      // Line up with a tick so the moves below all land in the next one
+      a.ws.send(JSON.stringify({ type: "presence", payload: { x: 0, y: 0 } }));
+      await c.next("presenceFrame");
+
+      a.ws.send(JSON.stringify({ type: "presence", payload: { x: 1, y: 1 } }));
+      a.ws.send(JSON.stringify({ type: "presence", payload: { x: 2, y: 2 } }));
+      b.ws.send(JSON.stringify({ type: "presence", payload: { x: 3, y: 3 } }));
+      const frame = await c.next("presenceFrame");
+      const byId = Object.fromEntries(frame.peers.map((p: any) => [p.id, p]));
+      expect(frame.peers.length).toBe(2);
+      expect(byId[a.welcome.id]).toMatchObject({ x: 2, y: 2 });
+      expect(byId[b.welcome.id]).toMatchObject({ x: 3, y: 3 });
+      // Nobody gets their own cursor back, and nothing is sent without changes
+      expect((await a.next("presenceFrame")).peers.map((p: any) => p.id)).toEqual([b.welcome.id]);
+      await expect(c.next("presenceFrame", 600)).rejects.toThrow();
+      expect(c.messages.some((m: any) => m.type === "presence")).toBeFalse();
+    } finally {
+      for (const ws of socks) ws.close();
+      if (server) await server.stop();
+    }
+  });
+
+  test("a leave cancels a queued cursor", async () => {
+    let server: any;
+    try {
+      server = mod.startServer({ port: 0, presenceTickMs: 300 });
+      const a = await connectPeer(server.port, { room: "frames-leave" });
+      const b = await connectPeer(server.port, { room: "frames-leave" });
+      a.ws.send(JSON.stringify({ type: "presence", payload: { x: 1, y: 1 } }));
+      await Bun.sleep(20);
+      a.ws.close();
+      expect((await b.next("leave")).id).toBe(a.welcome.id);
+      await expect(b.next("presenceFrame", 500)).rejects.toThrow();
+      b.ws.close();
+    } finally {
+      if (server) await server.stop();
+    }
+  });
+});
+
+describe("origin policy", () => {
+  test("origins are allowed when same-origin, listed or wildcarded", async () => {
+    const { createOriginPolicy } = await import("../server/security.js");
+    const req = (origin: string | null) => new Request("http://canvas.test/api/ping", { headers: { Host: "canvas.test", ...(origin ? { Origin: origin } : {}) } });
+    const policy = createOriginPolicy("https://friend.example/, http://localhost:5173");
+    expect(policy.check(req(null))).toEqual({ origin: null, allowed: true, cross: false });
+    expect(policy.check(req("http://canvas.test"))).toMatchObject({ allowed: true, cross: false });
+    expect(policy.check(req("https://Friend.example"))).toMatchObject({ allowed: true, cross: true });
+    expect(policy.check(req("http://localhost:5173"))).toMatchObject({ allowed: true, cross: true });
+    expect(policy.check(req("https://evil.example"))).toMatchObject({ allowed: false, cross: true });
+    expect(policy.check(req("null")).allowed).toBeFalse();
+    expect(createOriginPolicy(["*"]).check(req("https://evil.example")).allowed).toBeTrue();
+  });
+
+  test("sockets and api calls from other origins are refused unless allowed", async () => {
+    let server: any;
+    try {
+      server = mod.startServer({ port: 0, allowedOrigins: ["https://friend.example"] });
+      const base = `http://localhost:${server.port}`;
+      const open = (origin: string) => new Promise<string>((resolve) => {
+        const ws = new WebSocket(`ws://localhost:${server.port}/ws`, { headers: { Origin: origin } } as any);
+        ws.addEventListener("open", () => { ws.close(); resolve("open"); });
+        ws.addEventListener("error", () => resolve("refused"));
+      });
+      expect(await open("https://evil.example")).toBe("refused");
+      expect(await open("https://friend.example")).toBe("open");
+      expect(await open(base)).toBe("open");
+
+      const evil = await fetch(`${base}/api/ping`, { headers: { Origin: "https://evil.example" } });
+      expect(evil.status).toBe(403);
+      expect(await evil.json()).toEqual({ error: "origin not allowed" });
+      const evilStroke = await fetch(`${base}/api/stroke`, {
+        method: "POST", headers: { Origin: "https://evil.example", "Content-Type": "application/json" }, body: JSON.stringify(makeStroke("evil-1"))
+      });
+      expect(evilStroke.status).toBe(403);
+      expect((await fetch(`${base}/api/stroke`, { method: "OPTIONS", headers: { Origin: "https://evil.example", "Access-Control-Request-Method": "POST" } })).status).toBe(403);
+      // Nothing was stored
+      const tile = (await (await fetch(`${base}/api/tile-strokes?z=0&tx=0&ty=0`)).json()) as any;
+      expect(tile.strokes.map((x: any) => x.id)).not.toContain("evil-1");
+
+      const preflight = await fetch(`${base}/api/stroke`, {
+        method: "OPTIONS", headers: { Origin: "https://friend.example", "Access-Control-Request-Method": "POST", "Access-Control-Request-Headers": "content-type" }
+      });
+      expect(preflight.status).toBe(204);
+      expect(preflight.headers.get("access-control-allow-origin")).toBe("https://friend.example");
+      expect(preflight.headers.get("access-control-allow-methods")).toContain("POST");
+      expect(preflight.headers.get("access-control-allow-headers")).toContain("Content-Type");
+      const friend = await fetch(`${base}/api/tile-strokes?z=0&tx=0&ty=0`, { headers: { Origin: "https://friend.example" } });
+      expect(friend.status).toBe(200);
+      expect(friend.headers.get("access-control-allow-origin")).toBe("https://friend.example");
+      expect(friend.headers.get("vary")).toContain("Origin");
+      // Same-origin and origin-less calls need no CORS headers
+      expect((await fetch(`${base}/api/ping`)).headers.get("access-control-allow-origin")).toBeNull();
+
+      const metrics = await (await fetch(`${base}/metrics`)).text();
+      expect(metrics).toMatch(/canvas_origin_rejected_total\{kind="ws"\} [1-9]/);
+      expect(metrics).toMatch(/canvas_origin_rejected_total\{kind="api"\} [1-9]/);
+    } finally {
+      if (server) await server.stop();
+    }
+  });
+
+  test("static files get security headers and html a CSP allowing its inline blocks", async () => {
+    const crypto = await import("crypto");
+    const servers = [mod.startServer({ port: 0 }), mod.startServer({ port: 0, contentSecurityPolicy: "" })];
+    try {
+      const page = await fetch(`http://localhost:${servers[0].port}/`);
+      expect(page.headers.get("x-content-type-options")).toBe("nosniff");
+      expect(page.headers.get("referrer-policy")).toBe("same-origin");
+      const csp = page.headers.get("content-security-policy")!;
+      expect(csp).toContain("default-src 'self'");
+      expect(csp).toContain("frame-ancestors 'none'");
+      expect(csp).toContain(`ws://localhost:${servers[0].port}`);
+      const html = await page.text();
+      const inline = html.match(/<script>([\s\S]*?)<\/script>/)![1];
+      expect(csp).toContain(`'sha256-${crypto.createHash("sha256").update(inline).digest("base64")}'`);
+      const script = await fetch(`http://localhost:${servers[0].port}/main.js`);
+      expect(script.headers.get("x-content-type-options")).toBe("nosniff");
+      expect(script.headers.get("content-security-policy")).toBeNull();
+      // '' turns the CSP off
+      expect((await fetch(`http://localhost:${servers[1].port}/`)).headers.get("content-security-policy")).toBeNull();
+    } finally {
+      for (const srv of servers) await srv.stop();
+    }
+  });
+});
+
+describe("session tokens", () => {
+  test("tokens verify only for the id they were issued for", () => {
+    const token = mod.issueSessionToken("alice");
+    expect(mod.verifySessionToken(token)).toBe("alice");
+    expect(mod.verifySessionToken(token.replace("alice", "mallory"))).toBeNull();
+    expect(mod.verifySessionToken("alice")).toBeNull();
+    expect(mod.verifySessionToken(undefined)).toBeNull();
+  });
+
+  test("ids can only be resumed with their token", async () => {
+    let server: any;
+    const socks: WebSocket[] = [];
+    try {
+      server = mod.startServer({ port: 0 });
+      const a = await connectPeer(server.port, { room: "tokens" });
+      socks.push(a.ws);
+      expect(mod.verifySessionToken(a.welcome.token)).toBe(a.welcome.id);
+      const closed = new Promise((r) => a.ws.addEventListener("close", r));
+
+      // A bare id or forged token gets a fresh identity and leaves the owner alone
+      const spoof = await connectPeer(server.port, { room: "tokens", id: a.welcome.id, token: `${a.welcome.id}.forged` });
+      socks.push(spoof.ws);
+      expect(spoof.welcome.id).not.toBe(a.welcome.id);
+      spoof.ws.send(JSON.stringify({ type: "stroke", payload: makeStroke("spoofed", { userId: a.welcome.id }) }));
+      expect((await a.next("stroke")).userId).toBe(spoof.welcome.id);
+
+      // The real token resumes the id and replaces the older socket
+      const resumed = await connectPeer(server.port, { room: "tokens", token: a.welcome.token });
+      socks.push(resumed.ws);
+      expect(resumed.welcome.id).toBe(a.welcome.id);
+      await closed;
+    } finally {
+      for (const ws of socks) ws.close();
+      if (server) server.stop();
+    }
+  });
+
+  test("http strokes take their author from the token", async () => {
+    let server: any;
+    try {
+      server = mod.startServer({ port: 0 });
+      const post = (body: any) => fetch(`http://localhost:${server.port}/api/stroke`, {
+        method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ room: "tokens-http", ...body })
+      });
+      await post({ ...makeStroke("http-signed"), token: mod.issueSessionToken("bob") });
+      await post({ ...makeStroke("http-claimed"), userId: "bob" });
+      const list = await mod.readTileStrokes(0, 0, 0, undefined, "tokens-http");
+      expect(list.find((x: any) => x.id === "http-signed").userId).toBe("bob");
+      expect(list.find((x: any) => x.id === "http-claimed").userId).toBe("");
+    } finally {
+      if (server) server.stop();
+    }
+  });
+});
+
+describe("protected regions", () => {
+  test("only the owner and allow list may draw or erase inside a region", async () => {
+    let server: any;
+    const socks: WebSocket[] = [];
+    try {
+      server = mod.startServer({ port: 0, adminToken: "secret" });
+      const base = `http://localhost:${server.port}/api/regions`;
+      const owner = await connectPeer(server.port, { room: "regions" });
+      const friend = await connectPeer(server.port, { room: "regions" });
+      const other = await connectPeer(server.port, { room: "regions" });
+      socks.push(owner.ws, friend.ws, other.ws);
+
+      const body = JSON.stringify({ room: "regions", id: "logo", minX: 0, minY: 0, maxX: 200, maxY: 200, owner: owner.welcome.id, allow: [friend.welcome.id] });
+      const denied = await fetch(base, { method: "POST", body });
+      expect(denied.status).toBe(403);
+      const created = await fetch(base, { method: "POST", body, headers: { Authorization: "Bearer secret" } });
+      expect(created.status).toBe(200);
+      await other.next("regionsChanged");
+
+      const listed: any = await (await fetch(`${base}?room=regions`, { headers: { Authorization: `Bearer ${other.welcome.token}` } })).json();
+      expect(listed.regions).toEqual([{ id: "logo", minX: 0, minY: 0, maxX: 200, maxY: 200, owner: owner.welcome.id, allowed: false }]);
+      const mine: any = await (await fetch(`${base}?room=regions`, { headers: { Authorization: `Bearer ${friend.welcome.token}` } })).json();
+      // Tokens in the URL are not read
+      const queried: any = await (await fetch(`${base}?room=regions&token=${encodeURIComponent(friend.welcome.token)}`)).json();
+      expect(queried.regions[0].allowed).toBeFalse();
+      expect(mine.regions[0].allowed).toBeTrue();
+
+      other.ws.send(JSON.stringify({ type: "stroke", payload: makeStroke("region-intruder") }));
+      expect(await other.next("strokeRejected")).toMatchObject({ id: "region-intruder", code: "protected_region", regionId: "logo" });
+      // Brush radius counts: a stroke just outside still paints into the region
+      other.ws.send(JSON.stringify({ type: "stroke", payload: makeStroke("region-edge", { size: 20, points: [{ x: 205, y: 50 }] }) }));
+      expect((await other.next("strokeRejected")).code).toBe("protected_region");
+      other.ws.send(JSON.stringify({ type: "stroke", payload: makeStroke("region-outside", { points: [{ x: 500, y: 500 }] }) }));
+      expect((await owner.next("stroke")).id).toBe("region-outside");
+      // Only the path counts: these bboxes overlap the region's corner, the lines stay clear of it
+      other.ws.send(JSON.stringify({ type: "stroke", payload: makeStroke("region-ell", { size: 20, points: [{ x: 300, y: 100 }, { x: 300, y: 300 }, { x: 100, y: 300 }] }) }));
+      expect((await owner.next("stroke")).id).toBe("region-ell");
+      other.ws.send(JSON.stringify({ type: "stroke", payload: makeStroke("region-diagonal", { size: 20, points: [{ x: 150, y: 400 }, { x: 400, y: 150 }] }) }));
+      expect((await owner.next("stroke")).id).toBe("region-diagonal");
+      other.ws.send(JSON.stringify({ type: "stroke", payload: makeStroke("region-cross", { size: 2, points: [{ x: -50, y: 100 }, { x: 100, y: -50 }] }) }));
+      expect((await other.next("strokeRejected")).id).toBe("region-cross");
+
+      friend.ws.send(JSON.stringify({ type: "stroke", payload: makeStroke("region-friend") }));
+      expect((await owner.next("stroke")).id).toBe("region-friend");
+
+      other.ws.send(JSON.stringify({ type: "deleteStrokes", payload: { ids: ["region-friend"] } }));
+      const refused = await other.next("deleteRejected");
+      expect(refused.ids).toEqual(["region-friend"]);
+      expect(refused.tiles.length).toBeGreaterThan(0);
+      other.ws.send(JSON.stringify({ type: "deleteStrokes", payload: { ids: ["region-ell"] } }));
+      expect((await owner.next("strokesDeleted")).ids).toEqual(["region-ell"]);
+
+      const http = await fetch(`http://localhost:${server.port}/api/stroke`, {
+        method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ room: "regions", ...makeStroke("region-http") })
+      });
+      expect(http.status).toBe(403);
+
+      const ids = (await mod.readTileStrokes(0, 0, 0, undefined, "regions")).map((x: any) => x.id);
+      expect(ids.sort()).toEqual(["region-diagonal", "region-friend", "region-outside"]);
+
+      const removed = await fetch(`${base}?room=regions&id=logo`, { method: "DELETE", headers: { Authorization: "Bearer secret" } });
+      expect(removed.status).toBe(200);
+      expect(mod.listRegions("regions")).toEqual([]);
+    } finally {
+      for (const ws of socks) ws.close();
+      if (server) server.stop();
+    }
+  });
+});
+
+describe("stroke validation", () => {
+  const ok = () => makeStroke("valid");
+  const limits = { maxPoints: 3, maxBytes: 1000, worldBound: 1000 };
+  const code = (payload: any, opts: any = {}) => {
+    const res = validateStroke(payload, { limits, ...opts });
+    return res.ok ? "ok" : res.error.code;
+  };
+
+  test("accepts well-formed strokes and fills defaults", () => {
+    const res: any = validateStroke({ points: [{ x: 1, y: 2 }] }, { limits });
+    expect(res.ok).toBeTrue();
+    expect(res.stroke).toMatchObject({ color: "#000000", size: 12, opacity: 1, erase: false, points: [{ x: 1, y: 2, p: 0 }] });
+    expect(typeof res.stroke.id).toBe("string");
+    for (const color of ["#abc", "#abcd", "#A0B1C2", "#a0b1c2ff", "rgb(1, 2, 3)", "rgba(1 2 3 / 50%)", "hsl(120deg, 50%, 40%)", "hsla(1, 2%, 3%, 0.5)"]) {
+      expect(code({ ...ok(), color })).toBe("ok");
+    }
+  });
+
+  test("rejects each malformed field with a structured error", () => {
+    expect(code(ok(), { bytes: 1001 })).toBe("payload_too_large");
+    expect(code(null)).toBe("invalid_payload");
+    expect(code([ok()])).toBe("invalid_payload");
+    expect(code({ ...ok(), id: 42 })).toBe("invalid_id");
+    expect(code({ ...ok(), id: "x".repeat(200) })).toBe("invalid_id");
+    for (const color of ["red", "#abcde", "url(x)", "rgb(1,2)", "rgb(a,b,c)", "#" + "a".repeat(80), 7]) {
+      expect(code({ ...ok(), color })).toBe("invalid_color");
+    }
+    expect(code({ ...ok(), size: 0 })).toBe("invalid_size");
+    expect(code({ ...ok(), size: "12" })).toBe("invalid_size");
+    expect(code({ ...ok(), opacity: 1.5 })).toBe("invalid_opacity");
+    expect(code({ ...ok(), opacity: 0 })).toBe("invalid_opacity");
+    expect(code({ ...ok(), opacity: 0.001 })).toBe("invalid_opacity");
+    expect(code({ ...ok(), points: [] })).toBe("invalid_points");
+    expect(code({ ...ok(), points: "0,0" })).toBe("invalid_points");
+    expect(code({ ...ok(), points: Array(4).fill({ x: 0, y: 0 }) })).toBe("too_many_points");
+    expect(code({ ...ok(), points: [{ x: 0 }] })).toBe("invalid_point");
+    expect(code({ ...ok(), points: [{ x: NaN, y: 0 }] })).toBe("invalid_point");
+    expect(code({ ...ok(), points: [{ x: "1", y: 0 }] })).toBe("invalid_point");
+    expect(code({ ...ok(), points: [{ x: 0, y: 1001 }] })).toBe("out_of_bounds");
+    expect(code({ ...ok(), points: [{ x: 0, y: 0, p: 2 }] })).toBe("invalid_pressure");
+
+    const res: any = validateStroke({ ...ok(), points: [{ x: 0, y: 0 }, { x: 0, y: 0, p: -1 }] }, { limits });
+    expect(res.error).toMatchObject({ code: "invalid_pressure", field: "points[1].p" });
+    expect(typeof res.error.message).toBe("string");
+  });
+
+  test("invalid strokes are answered, not persisted or broadcast", async () => {
+    let server: any;
+    const socks: WebSocket[] = [];
+    try {
+      server = mod.startServer({ port: 0 });
+      const a = await connectPeer(server.port, { room: "validation" });
+      const b = await connectPeer(server.port, { room: "validation" });
+      socks.push(a.ws, b.ws);
+      a.ws.send(JSON.stringify({ type: "stroke", payload: { ...makeStroke("bad-ws"), points: [{ x: 1 }] } }));
+      expect(await a.next("strokeRejected")).toMatchObject({ id: "bad-ws", code: "invalid_point", field: "points[0]" });
+      await expect(b.next("stroke", 200)).rejects.toThrow();
+
+      const res = await fetch(`http://localhost:${server.port}/api/stroke`, {
+        method: "POST", headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ room: "validation", ...makeStroke("bad-http", { color: "javascript:alert(1)" }) })
+      });
+      expect(res.status).toBe(400);
+      expect(await res.json()).toMatchObject({ error: "invalid stroke", code: "invalid_color", field: "color" });
+
+      const list = await mod.readTileStrokes(0, 0, 0, undefined, "validation");
+      expect(list).toEqual([]);
+    } finally {
+      for (const ws of socks) ws.close();
+      if (server) server.stop();
+    }
+  });
+});
+
+describe("rate limiting", () => {
+  test("over-limit messages get rateLimited and floods are disconnected", async () => {
+    let server: any;
+    const socks: WebSocket[] = [];
+    try {
+      server = mod.startServer({
+        port: 0,
+        maxRateStrikes: 3,
+        rateLimits: { strokes: { rate: 0.01, burst: 2 }, points: { rate: 1, burst: 5 } }
+      });
+      const a = await connectPeer(server.port, { room: "limits" });
+      const b = await connectPeer(server.port, { room: "limits" });
+      socks.push(a.ws, b.ws);
+
+      a.ws.send(JSON.stringify({ type: "stroke", payload: makeStroke("rl-1") }));
+      a.ws.send(JSON.stringify({ type: "stroke", payload: makeStroke("rl-2") }));
+      a.ws.send(JSON.stringify({ type: "stroke", payload: makeStroke("rl-3") }));
+      expect((await b.next("stroke")).id).toBe("rl-1");
+      expect((await b.next("stroke")).id).toBe("rl-2");
+      const limited = await a.next("rateLimited");
+      expect(limited).toMatchObject({ kind: "strokes", id: "rl-3" });
+      expect(limited.retryMs).toBeGreaterThan(0);
+      await expect(b.next("stroke", 200)).rejects.toThrow();
+
+      const closed = new Promise<any>((r) => a.ws.addEventListener("close", r));
+      for (let i = 0; i < 5; i++) a.ws.send(JSON.stringify({ type: "stroke", payload: makeStroke(`rl-flood-${i}`) }));
+      expect((await closed).code).toBe(1008);
+    } finally {
+      for (const ws of socks) ws.close();
+      if (server) server.stop();
+    }
+  });
+
+  test("points are limited too and HTTP strokes share the IP budget", async () => {
+    let server: any;
+    try {
+      server = mod.startServer({ port: 0, rateLimits: { points: { rate: 0.01, burst: 4, ipRate: 0.01, ipBurst: 4 } } });
+      const post = (id: string) => fetch(`http://localhost:${server.port}/api/stroke`, {
+        method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ room: "limits-http", ...makeStroke(id) })
+      });
+      expect((await post("rl-http-1")).status).toBe(200);
+      expect((await post("rl-http-2")).status).toBe(200);
+      const res = await post("rl-http-3");
+      expect(res.status).toBe(429);
+      expect(await res.json()).toMatchObject({ error: "rate limited", kind: "points" });
+    } finally {
+      if (server) server.stop();
+    }
+  });
+
+  test("object-eraser deletes, undos and redos share a limited bucket", async () => {
+    let server: any;
+    const socks: WebSocket[] = [];
+    try {
+      server = mod.startServer({ port: 0, maxRateStrikes: 3, rateLimits: { deletes: { rate: 0.01, burst: 3 } } });
+      const a = await connectPeer(server.port, { room: "limits-delete" });
+      const b = await connectPeer(server.port, { room: "limits-delete" });
+      socks.push(a.ws, b.ws);
+      for (const id of ["rl-del-1", "rl-del-2", "rl-del-3"]) {
+        b.ws.send(JSON.stringify({ type: "stroke", payload: makeStroke(id) }));
+        await a.next("stroke");
+      }
+      a.ws.send(JSON.stringify({ type: "deleteStrokes", payload: { ids: ["rl-del-1", "rl-del-2"] } }));
+      expect((await b.next("strokesDeleted")).ids).toEqual(["rl-del-1", "rl-del-2"]);
+      b.ws.send(JSON.stringify({ type: "undo", payload: { id: "rl-del-3" } }));
+      await b.next("undo");
+      // a's bucket has one token left: a batch of two is refused whole
+      a.ws.send(JSON.stringify({ type: "deleteStrokes", payload: { ids: ["rl-del-3", "x"] } }));
+      expect(await a.next("rateLimited")).toMatchObject({ kind: "deletes", ids: ["rl-del-3", "x"] });
+      const kept = await a.next("deleteRejected");
+      expect(kept).toMatchObject({ ids: ["rl-del-3", "x"], code: "rate_limited" });
+      expect(kept.tiles.length).toBeGreaterThan(0);
+      b.ws.send(JSON.stringify({ type: "redo", payload: { id: "rl-del-3" } }));
+      await b.next("redo");
+      b.ws.send(JSON.stringify({ type: "redo", payload: { id: "rl-del-3" } }));
+      b.ws.send(JSON.stringify({ type: "undo", payload: { id: "rl-del-3" } }));
+      expect(await b.next("rateLimited")).toMatchObject({ kind: "deletes", undo: "rl-del-3" });
+      await a.next("undo");
+      await a.next("redo"); // the second redo was a no-op but still spent a token
+      await expect(a.next("undo", 200)).rejects.toThrow();
+
+      const closed = new Promise<any>((r) => a.ws.addEventListener("close", r));
+      for (let i = 0; i < 5; i++) a.ws.send(JSON.stringify({ type: "deleteStrokes", payload: { ids: ["a", "b"] } }));
+      expect((await closed).code).toBe(1008);
+    } finally {
+      for (const ws of socks) ws.close();
+      if (server) server.stop();
+    }
+  });
+});
+
+describe("heartbeats", () => {
+  test("silent sockets are reaped with a leave and idle peers turn away until active", async () => {
+    let server: any;
+    const socks: WebSocket[] = [];
+    try {
+      server = mod.startServer({ port: 0, heartbeatMs: 100, idleMs: 250 });
+      const answer = (ws: WebSocket) => ws.addEventListener("message", (ev) => {
+        if (typeof ev.data === "string" && JSON.parse(ev.data).type === "ping") ws.send(JSON.stringify({ type: "pong" }));
+      });
+      const a = await connectPeer(server.port, { room: "heartbeat" });
+      const b = await connectPeer(server.port, { room: "heartbeat" });
+      answer(a.ws);
+      answer(b.ws);
+      expect(a.welcome.heartbeatMs).toBe(100);
+      const silent = await connectPeer(server.port, { room: "heartbeat" });
+      const tiles = new WebSocket(`ws://localhost:${server.port}/ws`);
+      socks.push(a.ws, b.ws, silent.ws, tiles);
+      await new Promise((r) => tiles.addEventListener("open", r));
+      tiles.send(JSON.stringify({ type: "identify", payload: { role: "tiles", room: "heartbeat" } }));
+      const tilesClosed = new Promise((r) => tiles.addEventListener("close", r));
+
+      expect((await a.next("leave")).id).toBe(silent.welcome.id);
+      await tilesClosed;
+      const presenceOfA = async () => {
+        for (;;) {
+          const found = (await b.next("presenceFrame")).peers.find((p: any) => p.id === a.welcome.id);
+          if (found) return found;
+        }
+      };
+      expect((await presenceOfA()).away).toBeTrue();
+
+      // Any peer message brings it back
+      a.ws.send(JSON.stringify({ type: "viewport", payload: { z: 0, tx0: 0, ty0: 0, tx1: 0, ty1: 0 } }));
+      expect((await presenceOfA()).away).toBeFalse();
+
+      const text = await (await fetch(`http://localhost:${server.port}/metrics`)).text();
+      expect(text).toContain('canvas_ws_reaped_total{role="peer"}');
+      expect(text).toContain('canvas_ws_reaped_total{role="tiles"}');
+    } finally {
+      for (const ws of socks) ws.close();
+      if (server) await server.stop();
+    }
+  });
+});
+
+describe("binary protocol", () => {
+  test("frames round-trip strokes and tile data", () => {
+    const stroke = { ...makeStroke("bin-1", { color: "#12abEF", erase: true }), points: [ { x: 10.5, y: -3.25, p: 0.5 }, { x: 123456.0625, y: 7, p: 1 } ] };
+    const { type, payload } = wire.decodeFrame(wire.encodeFrame("stroke", stroke)!);
+    expect(type).toBe("stroke");
+    expect(payload).toMatchObject({ id: "bin-1", userId: "u1", color: "#12abef", size: 6, opacity: 1, t: stroke.t, erase: true });
+    expect(payload.points).toEqual([ { x: 10.5, y: -3.25, p: 128 / 255 }, { x: 123456.0625, y: 7, p: 1 } ]);
+
+    // Non-hex colors and missing pressure survive too
+    const plain = wire.decodeFrame(wire.encodeFrame("stroke", makeStroke("bin-2", { color: "hsl(10, 80%, 60%)" }))!).payload;
+    expect(plain.color).toBe("hsl(10, 80%, 60%)");
+    expect(plain.points).toEqual([ { x: 10, y: 10, p: 0 }, { x: 100, y: 10, p: 0 } ]);
+
+    const tile = { reqId: "r1", z: 2, tx: -3, ty: 4, rev: 99, full: true, strokes: [stroke] };
+    const decoded = wire.decodeFrame(wire.encodeFrame("tileData", tile)!).payload;
+    expect(decoded).toMatchObject({ reqId: "r1", z: 2, tx: -3, ty: 4, rev: 99, full: true });
+    expect(decoded.strokes[0].id).toBe("bin-1");
+
+    expect(wire.encodeFrame("presence", { x: 1, y: 2 })).toBeNull();
+    expect(() => wire.decodeFrame(wire.encodeFrame("stroke", stroke)!.slice(0, 10))).toThrow();
+  });
+
+  test("binary is negotiated per socket with JSON as the fallback", async () => {
+    let server: any;
+    const socks: WebSocket[] = [];
+    try {
+      server = mod.startServer({ port: 0 });
+      const a = await connectPeer(server.port, { room: "wire", binary: wire.WIRE_VERSION });
+      const b = await connectPeer(server.port, { room: "wire", binary: wire.WIRE_VERSION });
+      const c = await connectPeer(server.port, { room: "wire" });
+      socks.push(a.ws, b.ws, c.ws);
+      expect(a.welcome.binary).toBeTrue();
+      expect(c.welcome.binary).toBeFalse();
+
+      a.ws.send(wire.encodeFrame("stroke", makeStroke("wire-1"))!);
+      expect((await b.next("stroke")).id).toBe("wire-1");
+      expect((await c.next("stroke")).id).toBe("wire-1");
+      expect(b.binaryTypes).toEqual(["stroke"]);
+      expect(c.binaryTypes).toEqual([]);
+
+      // Tile channel: tileData comes back as frames
+      const tws = new WebSocket(`ws://localhost:${server.port}/ws`);
+      socks.push(tws);
+      tws.binaryType = "arraybuffer";
+      await new Promise((r) => tws.addEventListener("open", r));
+      const got: any[] = [];
+      const done = new Promise<void>((resolve) => tws.addEventListener("message", (ev) => {
+        if (typeof ev.data === "string") { if (JSON.parse(ev.data).type === "tileBatchDone") resolve(); }
+        else got.push(wire.decodeFrame(new Uint8Array(ev.data as ArrayBuffer)));
+      }));
+      tws.send(JSON.stringify({ type: "identify", payload: { role: "tiles", room: "wire", binary: wire.WIRE_VERSION } }));
+      tws.send(JSON.stringify({ type: "tilesRequest", payload: { reqId: "q", z: 0, tiles: [{ tx: 0, ty: 0 }] } }));
+      await done;
+      expect(got.length).toBe(1);
+      expect(got[0].payload.reqId).toBe("q");
+      expect(got[0].payload.strokes.map((x: any) => x.id)).toEqual(["wire-1"]);
+    } finally {
+      for (const ws of socks) ws.close();
+      if (server) server.stop();
+    }
+  });
+
+  test("the service worker tile proxy runs as a classic script, with frames when sw.js provides the codec", async () => {
+    let server: any;
+    try {
+      server = mod.startServer({ port: 0 });
+      const host = `localhost:${server.port}`;
+      const res = await fetch(`http://${host}/sw-tiles.js`);
+      expect(res.status).toBe(200);
+      const source = await res.text();
+      // Evaluated the way a classic worker would: an import or export would not parse
+      const load = (tileWire?: any) => {
+        const handlers: Record<string, Function> = {};
+        const self = { tileWire, location: { protocol: "http:", host }, registration: { scope: `http://${host}/` }, skipWaiting() {}, clients: { claim() {} }, addEventListener(type: string, fn: Function) { handlers[type] = fn; } };
+        new Function("self", source)(self);
+        return handlers;
+      };
+      const proxied = async (handlers: Record<string, Function>) => {
+        let response: Promise<Response> | undefined;
+        handlers.fetch({
+          request: new Request(`http://${host}/api/tile-strokes-batch`, { method: "POST", body: JSON.stringify({ z: 0, room: "sw", tiles: [{ tx: 0, ty: 0 }] }) }),
+          respondWith(p: Promise<Response>) { response = p; },
+        });
+        return (await (await response!).text()).trimEnd().split("\n").map(line => JSON.parse(line));
+      };
+      mod.appendStrokeToTiles(makeStroke("sw-1"), "sw");
+
+      const classic = await proxied(load());
+      expect(classic.map((t: any) => t.strokes.map((x: any) => x.id))).toEqual([["sw-1"]]);
+      const binary = await proxied(load({ version: wire.WIRE_VERSION, decodeFrame: wire.decodeFrame }));
+      expect(binary.map((t: any) => t.strokes.map((x: any) => x.id))).toEqual([["sw-1"]]);
+      // Only decoded frames carry the quantized pressure the JSON stroke left out
+      expect(classic[0].strokes[0].points[0].p).toBeUndefined();
+      expect(binary[0].strokes[0].points[0].p).toBe(0);
+    } finally {
+      if (server) server.stop();
+    }
+  });
+});
+
+describe("compression", () => {
+  test("accept-encoding negotiation prefers br, honours q values", async () => {
+    const { negotiateEncoding } = await import("../server/compress.js");
+    expect(negotiateEncoding("gzip, deflate, br")).toBe("br");
+    expect(negotiateEncoding("gzip;q=1, br;q=0.5")).toBe("gzip");
+    expect(negotiateEncoding("br;q=0, *")).toBe("gzip");
+    expect(negotiateEncoding("deflate")).toBeNull();
+    expect(negotiateEncoding("")).toBeNull();
+    expect(negotiateEncoding("br", ["gzip"])).toBeNull();
+  });
+
+  test("tile endpoints negotiate br/gzip and ndjson", async () => {
+    const { createMemoryStorage } = await import("../server/storage.js");
+    let server: any;
+    try {
+      server = mod.startServer({ port: 0, storage: createMemoryStorage() });
+      const points = Array.from({ length: 60 }, (_, i) => ({ x: 10 + i * 7, y: 20 + (i % 5) }));
+      for (let i = 0; i < 4; i++) {
+        await fetch(`http://localhost:${server.port}/api/stroke`, {
+          method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ room: "gz", ...makeStroke(`gz-${i}`, { points }) })
+        });
+      }
+      const batch = (headers: Record<string, string>) => fetch(`http://localhost:${server.port}/api/tile-strokes-batch`, {
+        method: "POST", headers: { "Content-Type": "application/json", ...headers }, body: JSON.stringify({ room: "gz", z: 0, tiles: [{ tx: 0, ty: 0 }, { tx: 5, ty: 5 }] })
+      });
+      const plain = await batch({ "Accept-Encoding": "identity" });
+      expect(plain.headers.get("content-encoding")).toBeNull();
+      const expected = await plain.json() as any;
+      expect(expected.tiles[0].strokes.map((x: any) => x.id)).toEqual(["gz-0", "gz-1", "gz-2", "gz-3"]);
+
+      for (const encoding of ["br", "gzip"]) {
+        const res = await batch({ "Accept-Encoding": encoding });
+        expect(res.headers.get("content-encoding")).toBe(encoding);
+        expect(res.headers.get("vary")).toBe("Accept-Encoding");
+        expect(await res.json()).toEqual(expected);
+      }
+      const ndjson = await batch({ "Accept-Encoding": "br", Accept: "application/x-ndjson" });
+      expect(ndjson.headers.get("content-type")).toStartWith("application/x-ndjson");
+      expect((await ndjson.text()).trimEnd().split("\n").map(line => JSON.parse(line))).toEqual(expected.tiles);
+    } finally {
+      if (server) await server.stop();
+    }
+  });
+
+  test("websockets negotiate permessage-deflate unless disabled", async () => {
+    const servers = [mod.startServer({ port: 0 }), mod.startServer({ port: 0, perMessageDeflate: false })];
+    const socks: WebSocket[] = [];
+    try {
+      const [on, off] = await Promise.all(servers.map(srv => connectPeer(srv.port, { room: "deflate" })));
+      socks.push(on.ws, off.ws);
+      expect(on.ws.extensions).toContain("permessage-deflate");
+      expect(off.ws.extensions).toBe("");
+      // Large broadcasts are deflated and still arrive intact
+      const other = await connectPeer(servers[0].port, { room: "deflate" });
+      socks.push(other.ws);
+      const points = Array.from({ length: 400 }, (_, i) => ({ x: i, y: i % 7 }));
+      on.ws.send(JSON.stringify({ type: "stroke", payload: makeStroke("deflated", { points }) }));
+      expect((await other.next("stroke")).points.length).toBe(400);
+    } finally {
+      for (const ws of socks) ws.close();
+      for (const srv of servers) await srv.stop();
+    }
+  });
+});
+
+describe("metrics", () => {
+  test("registry methods take labels first", async () => {
+    const { createRegistry } = await import("../server/metrics.js");
+    const reg = createRegistry();
+    const c = reg.counter("t_total", "Test counter", ["kind"]);
+    const g = reg.gauge("t_open", "Test gauge", ["kind"]);
+    const h = reg.histogram("t_seconds", "Test histogram", [0.1, 1], ["kind"]);
+    c.inc({ kind: "a" }, 2);
+    g.set({ kind: "a" }, 5);
+    h.observe({ kind: "a" }, 0.5);
+    h.observe({ kind: "a" }, 2);
+    const text = reg.render();
+    expect(text).toContain('t_total{kind="a"} 2\n');
+    expect(text).toContain('t_open{kind="a"} 5\n');
+    expect(text).toContain('t_seconds_bucket{kind="a",le="1"} 1\n');
+    expect(text).toContain('t_seconds_bucket{kind="a",le="+Inf"} 2\n');
+    expect(text).toContain('t_seconds_sum{kind="a"} 2.5\n');
+  });
+
+  test("exposes stroke, tile read, message and connection metrics in prometheus format", async () => {
+    let server: any;
+    const socks: WebSocket[] = [];
+    const value = (text: string, series: string) => {
+      const line = text.split("\n").find(l => l.startsWith(series + " "));
+      return line ? Number(line.slice(series.length + 1)) : NaN;
+    };
+    try {
+      server = mod.startServer({ port: 0, metricsToken: "scrape" });
+      const url = `http://localhost:${server.port}/metrics`;
+      expect((await fetch(url)).status).toBe(401);
+      const scrape = async () => {
+        const res = await fetch(url, { headers: { Authorization: "Bearer scrape" } });
+        expect(res.headers.get("content-type")).toContain("text/plain");
+        return res.text();
+      };
+      const before = await scrape();
+
+      const a = await connectPeer(server.port, { room: "metrics" });
+      const b = await connectPeer(server.port, { room: "metrics" });
+      socks.push(a.ws, b.ws);
+      a.ws.send(JSON.stringify({ type: "stroke", payload: makeStroke("metrics-1", { points: [{ x: 1, y: 1 }, { x: 2, y: 2 }, { x: 3, y: 3 }] }) }));
+      await b.next("stroke");
+      a.ws.send(JSON.stringify({ type: "stroke", payload: makeStroke("metrics-bad", { size: 500 }) }));
+      await a.next("strokeRejected");
+      await fetch(`http://localhost:${server.port}/api/tile-strokes?z=0&tx=0&ty=0&room=metrics`);
+
+      const after = await scrape();
+      expect(after).toContain("# TYPE canvas_strokes_received_total counter");
+      expect(after).toContain("# TYPE canvas_stroke_points histogram");
+      const diff = (series: string) => value(after, series) - (value(before, series) || 0);
+      expect(value(after, 'canvas_ws_connections{role="peer"}')).toBeGreaterThanOrEqual(2);
+      expect(diff('canvas_strokes_received_total{transport="ws"}')).toBe(2);
+      expect(diff('canvas_strokes_rejected_total{code="invalid_size"}')).toBe(1);
+      expect(diff("canvas_strokes_persisted_total")).toBe(1);
+      expect(diff("canvas_strokes_broadcast_total")).toBe(1);
+      expect(diff('canvas_stroke_points_bucket{le="2"}')).toBe(0);
+      expect(diff('canvas_stroke_points_bucket{le="5"}')).toBe(1);
+      expect(diff('canvas_ws_messages_received_total{type="stroke"}')).toBe(2);
+      expect(diff('canvas_ws_messages_sent_total{type="stroke"}')).toBe(1);
+      expect(diff('canvas_tile_read_seconds_count{mode="full"}')).toBeGreaterThanOrEqual(1);
+      expect(diff("canvas_tile_rows_decoded_total")).toBeGreaterThanOrEqual(1);
+      expect(value(after, 'canvas_gzip_seconds_total{op="gzip"}')).toBeGreaterThan(0);
+      expect(value(after, 'canvas_db_bytes{kind="file"}')).toBeGreaterThan(0);
+      expect(value(after, "canvas_db_stroke_rows")).toBeGreaterThan(0);
+    } finally {
+      for (const s of socks) s.close();
+      if (server) server.stop();
+    }
+  });
+});
+
 describe("websocket broadcast + persistence", () => {
   test("ws stroke is broadcast and persisted", async () => {
     let server: any;
@@ -100,6 +1474,14 @@ describe("websocket broadcast + persistence", () => {
       ws2.addEventListener('open', onOpen);
     });
 
+    // Strokes are only accepted from sockets that identified as peers
+    await Promise.all([ws1, ws2].map((ws) => new Promise<void>((resolve) => {
+      ws.addEventListener('message', (ev) => {
+        try { if (JSON.parse(ev.data as string).type === 'welcome') resolve(); } catch {}
+      });
+      ws.send(JSON.stringify({ type: 'identify', payload: { role: 'peer' } }));
+    })));
+
     const received = new Promise<any>((resolve) => {
       ws2.addEventListener('message', (ev) => {
         try {
@@ -135,6 +1517,403 @@ describe("websocket broadcast + persistence", () => {
     ws1.close(); ws2.close();
     server.stop();
   });
+
+  test("strokes the storage fails to write are rejected, not broadcast", async () => {
+    const { createMemoryStorage } = await import("../server/storage.js");
+    const storage = { ...createMemoryStorage(), appendStroke() { throw new Error("disk full"); } };
+    const warn = console.warn;
+    console.warn = () => {};
+    let server: any;
+    const socks: WebSocket[] = [];
+    try {
+      server = mod.startServer({ port: 0, storage });
+      const a = await connectPeer(server.port);
+      const b = await connectPeer(server.port);
+      socks.push(a.ws, b.ws);
+      a.ws.send(JSON.stringify({ type: "stroke", payload: makeStroke("lost-ws") }));
+      expect(await a.next("strokeRejected")).toMatchObject({ id: "lost-ws", code: "persist_failed" });
+      await expect(b.next("stroke", 300)).rejects.toThrow();
+
+      const res = await fetch(`http://localhost:${server.port}/api/stroke`, {
+        method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(makeStroke("lost-http"))
+      });
+      expect(res.status).toBe(503);
+      expect(((await res.json()) as any).code).toBe("persist_failed");
+    } finally {
+      console.warn = warn;
+      for (const ws of socks) ws.close();
+      if (server) server.stop();
+    }
+  });
+});
+
+describe("broadcast bus", () => {
+  const until = async (check: () => boolean, ms = 5000) => {
+    for (const end = Date.now() + ms; !check(); await Bun.sleep(20)) {
+      if (Date.now() > end) throw new Error("timed out");
+    }
+  };
+
+  test("unix socket bus relays events and hands over when the hub exits", async () => {
+    const { createUnixSocketBus } = await import("../server/bus.js");
+    const sock = path.join(TMP, "bus-direct.sock");
+    const got: any[][] = [[], [], []];
+    const buses = [0, 1, 2].map(() => createUnixSocketBus({ path: sock, retryMs: 50 }));
+    try {
+      buses.forEach((b, i) => b.subscribe((m: any) => got[i].push(m)));
+      // Every member announces itself, which the others see as 'hello'
+      await until(() => got[0].filter(m => m.kind === "hello").length === 2);
+      buses[1].publish({ room: "r", type: "stroke", payload: { id: "x" }, cells: null, excludeId: null });
+      await until(() => got[0].some(m => m.type === "stroke") && got[2].some(m => m.type === "stroke"));
+      expect(got[1].some(m => m.type === "stroke")).toBeFalse();
+
+      // The first bus bound the socket; closing it makes the others report it gone and regroup
+      buses[0].close();
+      await until(() => got[1].some(m => m.kind === "gone" && m.origin === buses[0].origin));
+      got[2].length = 0;
+      await until(() => {
+        buses[1].publish({ room: "r", type: "leave", payload: { id: "y" }, cells: null, excludeId: null });
+        return got[2].some(m => m.type === "leave");
+      });
+    } finally {
+      for (const b of buses) b.close();
+    }
+  });
+
+  test("two processes finding a stale socket file agree on one hub", async () => {
+    const { createUnixSocketBus } = await import("../server/bus.js");
+    const sock = path.join(TMP, "bus-stale.sock");
+    // A process that dies without closing its listener leaves the file behind
+    const holder = Bun.spawn(["bun", "-e", `require("net").createServer().listen(${JSON.stringify(sock)}); setInterval(() => {}, 1000)`]);
+    await until(() => fs.existsSync(sock));
+    holder.kill(9);
+    await holder.exited;
+    expect(fs.existsSync(sock)).toBeTrue();
+
+    const got: any[][] = [[], []];
+    const buses = [0, 1].map(() => createUnixSocketBus({ path: sock, retryMs: 50 }));
+    try {
+      buses.forEach((b, i) => b.subscribe((m: any) => got[i].push(m)));
+      await until(() => got[0].some(m => m.kind === "hello") || got[1].some(m => m.kind === "hello"));
+      buses[0].publish({ room: "r", type: "stroke", payload: { id: "s" }, cells: null, excludeId: null });
+      await until(() => got[1].some(m => m.type === "stroke"));
+      buses[1].publish({ room: "r", type: "leave", payload: { id: "l" }, cells: null, excludeId: null });
+      await until(() => got[0].some(m => m.type === "leave"));
+      expect(fs.existsSync(sock + ".lock")).toBeFalse();
+    } finally {
+      for (const b of buses) b.close();
+    }
+  });
+
+  test("strokes, presence and leaves reach peers on another server process", async () => {
+    const { createUnixSocketBus } = await import("../server/bus.js");
+    const sock = path.join(TMP, "bus.sock");
+    const bus = createUnixSocketBus({ path: sock });
+    let server: any, child: any;
+    const socks: WebSocket[] = [];
+    try {
+      server = mod.startServer({ port: 0, bus });
+      const port = 20000 + Math.floor(Math.random() * 30000);
+      child = Bun.spawn(["bun", "server/index.js"], {
+        cwd: process.cwd(), env: { ...process.env, DATA_DIR: TMP, PORT: String(port), BUS_SOCKET: sock }, stdout: "ignore", stderr: "ignore"
+      });
+      let up = false;
+      await until(() => {
+        fetch(`http://localhost:${port}/api/ping`).then(r => { up = r.ok; }, () => {});
+        return up;
+      }, 15000);
+
+      const a = await connectPeer(server.port, { room: "bus", name: "Ann" });
+      const b = await connectPeer(port, { room: "bus" });
+      socks.push(a.ws, b.ws);
+      a.ws.send(JSON.stringify({ type: "presence", payload: { x: 5, y: 6 } }));
+      expect((await b.next("presenceFrame")).peers).toEqual([{ id: a.welcome.id, x: 5, y: 6, color: expect.any(String), name: "Ann", away: false }]);
+
+      // The other process now lists Ann in its presence snapshot
+      const c = await connectPeer(port, { room: "bus" });
+      socks.push(c.ws);
+      expect(c.welcome.others.map((o: any) => o.id).sort()).toEqual([a.welcome.id, b.welcome.id].sort());
+
+      a.ws.send(JSON.stringify({ type: "stroke", payload: makeStroke("bus-stroke") }));
+      expect((await b.next("stroke")).id).toBe("bus-stroke");
+      b.ws.send(JSON.stringify({ type: "stroke", payload: makeStroke("bus-back") }));
+      expect((await a.next("stroke")).id).toBe("bus-back");
+      // Both processes write the shared database and read each other's strokes
+      for (const p of [server.port, port]) {
+        const json: any = await (await fetch(`http://localhost:${p}/api/tile-strokes?z=0&tx=0&ty=0&room=bus`)).json();
+        expect(json.strokes.map((x: any) => x.id).sort()).toEqual(["bus-back", "bus-stroke"]);
+      }
+
+      a.ws.close();
+      expect((await c.next("leave")).id).toBe(a.welcome.id);
+    } finally {
+      for (const ws of socks) ws.close();
+      if (child) { child.kill(); await child.exited; }
+      if (server) server.stop();
+      bus.close();
+    }
+  });
+});
+
+describe("server lifecycle", () => {
+  const closed = (ws: WebSocket) => new Promise<CloseEvent>((resolve) => ws.addEventListener("close", resolve));
+
+  test("servers with their own data directories are isolated and stop cleanly", async () => {
+    const dirs = [0, 1].map(() => fs.mkdtempSync(path.join(os.tmpdir(), "inf-canvas-instance-")));
+    const [one, two] = dirs.map(dataDir => mod.startServer({ port: 0, dataDir }));
+    try {
+      const a = await connectPeer(one.port);
+      const b = await connectPeer(two.port);
+      a.ws.send(JSON.stringify({ type: "stroke", payload: makeStroke("only-one") }));
+      const tile = async (srv: any) => ((await (await fetch(`http://localhost:${srv.port}/api/tile-strokes?z=0&tx=0&ty=0`)).json()) as any).strokes.map((s: any) => s.id);
+      for (let i = 0; i < 50 && !(await tile(one)).length; i++) await Bun.sleep(20);
+      expect(await tile(one)).toEqual(["only-one"]);
+      expect(await tile(two)).toEqual([]);
+      await expect(b.next("stroke", 200)).rejects.toThrow();
+
+      const bye = closed(a.ws);
+      await one.stop();
+      const ev = await bye;
+      expect(ev.code).toBe(1001);
+      expect(ev.reason).toBe("Server shutting down");
+      await expect(fetch(`http://localhost:${one.port}/api/ping`)).rejects.toThrow();
+      // The other server keeps going, and the stopped one's data is on disk
+      expect((await fetch(`http://localhost:${two.port}/api/ping`)).ok).toBeTrue();
+      const reopened = mod.startServer({ port: 0, dataDir: dirs[0] });
+      expect(await tile(reopened)).toEqual(["only-one"]);
+      await reopened.stop();
+      b.ws.close();
+    } finally {
+      await one.stop();
+      await two.stop();
+      for (const dir of dirs) fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test("SIGTERM drains sockets and exits after closing the database", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "inf-canvas-sigterm-"));
+    const port = 20000 + Math.floor(Math.random() * 30000);
+    const child = Bun.spawn(["bun", "server/index.js"], {
+      cwd: process.cwd(), env: { ...process.env, DATA_DIR: dir, PORT: String(port) }, stdout: "ignore", stderr: "ignore"
+    });
+    try {
+      let up = false;
+      for (let i = 0; i < 300 && !up; i++) {
+        up = await fetch(`http://localhost:${port}/api/ping`).then(r => r.ok, () => false);
+        if (!up) await Bun.sleep(50);
+      }
+      const peer = await connectPeer(port);
+      const res = await fetch(`http://localhost:${port}/api/stroke`, {
+        method: "POST", headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ ...makeStroke("before-term"), token: peer.welcome.token })
+      });
+      expect(res.ok).toBeTrue();
+      const bye = closed(peer.ws);
+      child.kill("SIGTERM");
+      expect((await bye).code).toBe(1001);
+      expect(await child.exited).toBe(0);
+      const { Database } = await import("bun:sqlite");
+      const db = new Database(path.join(dir, "tiles.sqlite3"));
+      expect(db.prepare("SELECT COUNT(DISTINCT id) AS n FROM tile_strokes WHERE id='before-term'").get()).toEqual({ n: 1 });
+      db.close();
+    } finally {
+      child.kill();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe("backup cli", () => {
+  const cli = (args: string[], env: Record<string, string>, stdin?: Uint8Array) => Bun.spawnSync(["bun", "server/cli.js", ...args], {
+    cwd: process.cwd(), env: { ...process.env, ...env }, stdin, timeout: 30000
+  });
+
+  test("backs up each stroke once and restores it with undo state into another database", async () => {
+    mod.appendStrokeToTiles(makeStroke("bk-a", { userId: "bk", points: [{ x: 1000, y: 10 }, { x: 3000, y: 10 }] }), "backup");
+    mod.appendStrokeToTiles(makeStroke("bk-b", { userId: "bk" }), "backup");
+    mod.undoStroke("bk-b", "bk", "backup");
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "inf-canvas-backup-"));
+    try {
+      // The CLI opens the same database file as the test module
+      const out = cli(["backup"], { DATA_DIR: TMP });
+      expect(out.exitCode).toBe(0);
+      const lines = out.stdout.toString().trim().split("\n").map(l => JSON.parse(l)).filter(e => e.room === "backup");
+      expect(lines.map(e => [e.id, !!e.undone])).toEqual([["bk-a", false], ["bk-b", true]]);
+
+      const file = path.join(dir, "dump.ndjson.gz");
+      expect(cli(["backup", file], { DATA_DIR: TMP }).exitCode).toBe(0);
+      const target = path.join(dir, "data");
+      const restored = cli(["restore", file], { DATA_DIR: target });
+      expect(restored.exitCode).toBe(0);
+      expect(restored.stderr.toString()).toContain("0 invalid");
+      const again = cli(["restore", file], { DATA_DIR: target });
+      expect(again.stderr.toString()).toContain(" 0 restored");
+
+      const round = cli(["backup"], { DATA_DIR: target }).stdout.toString().trim().split("\n").map(l => JSON.parse(l)).filter(e => e.room === "backup");
+      expect(round).toEqual(lines);
+      expect(cli(["verify"], { DATA_DIR: target }).exitCode).toBe(0);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test("undo state of one stroke id is backed up and restored per room", async () => {
+    const { createMemoryStorage } = await import("../server/storage.js");
+    const prev = mod.useStorage(createMemoryStorage());
+    try {
+      mod.appendStrokeToTiles(makeStroke("bk-dup", { userId: "u1" }), "bk-one");
+      mod.appendStrokeToTiles(makeStroke("bk-dup", { userId: "u2" }), "bk-two");
+      mod.undoStroke("bk-dup", "u2", "bk-two");
+      const entries = [...mod.backupStrokes()];
+      expect(entries.map((e: any) => [e.room, !!e.undone])).toEqual([["bk-one", false], ["bk-two", true]]);
+
+      mod.useStorage(createMemoryStorage());
+      expect(entries.map((e: any) => mod.restoreStroke(e))).toEqual(["restored", "restored"]);
+      expect((await mod.readTileStrokes(0, 0, 0, undefined, "bk-one")).map((x: any) => x.id)).toEqual(["bk-dup"]);
+      expect(await mod.readTileStrokes(0, 0, 0, undefined, "bk-two")).toEqual([]);
+      expect([...mod.backupStrokes()]).toEqual(entries);
+    } finally {
+      mod.useStorage(prev);
+    }
+  });
+
+  test("verify reports rows whose gzip or json is broken", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "inf-canvas-verify-"));
+    try {
+      expect(cli(["verify"], { DATA_DIR: dir }).exitCode).toBe(0);
+      const { Database } = await import("bun:sqlite");
+      const db = new Database(path.join(dir, "tiles.sqlite3"));
+      const insert = db.prepare("INSERT INTO tile_strokes (z, tx, ty, t, id, json) VALUES (0, 0, 0, 1, ?, ?)");
+      insert.run("good", Bun.gzipSync(JSON.stringify(makeStroke("good"))));
+      insert.run("bad-gzip", new Uint8Array([1, 2, 3, 4]));
+      insert.run("bad-json", Bun.gzipSync("{nope"));
+      db.close();
+      const res = cli(["verify"], { DATA_DIR: dir });
+      expect(res.exitCode).toBe(1);
+      const text = res.stdout.toString();
+      expect(text).toContain("id bad-gzip): gzip:");
+      expect(text).toContain("id bad-json): json:");
+      expect(text).not.toContain("id good)");
+      expect(text).toContain("3 rows, 2 corrupt");
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe("storage backends", () => {
+  const row = (z: number, tx: number, ty: number, id: string) => ({ z, tx, ty, data: Bun.gzipSync(JSON.stringify(makeStroke(id))) });
+  const ids = (list: any[]) => list.map((d: any) => JSON.parse(new TextDecoder().decode(Bun.gunzipSync(d))).id);
+
+  for (const kind of ["sqlite", "memory", "file"]) {
+    test(`${kind} backend keeps rows, revisions, tombstones and regions`, async () => {
+      const storageMod = await import("../server/storage.js");
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), `inf-canvas-${kind}-`));
+      const open = () => kind === "sqlite" ? storageMod.createSqliteStorage({ path: path.join(dir, "tiles.sqlite3") })
+        : kind === "file" ? storageMod.createFileStorage({ path: path.join(dir, "strokes.log") })
+        : storageMod.createMemoryStorage();
+      let store = open();
+      try {
+        store.appendStroke("r", { id: "a", t: 2, rows: [row(0, 0, 0, "a"), row(0, 1, 0, "a"), row(1, 0, 0, "a")] });
+        store.appendStroke("r", { id: "b", t: 1, rows: [row(0, 0, 0, "b")] });
+        expect(ids(store.readTile("r", 0, 0, 0))).toEqual(["b", "a"]);
+        expect(ids(store.readTileSince("r", 0, 0, 0, 1))).toEqual(["a"]);
+        expect(store.readTile("other", 0, 0, 0)).toEqual([]);
+        const { rev } = store.tileRevision("r", 0, 0, 0);
+        expect(store.readTile("r", 0, 0, 0, rev)).toEqual([]);
+        expect(store.strokeTiles("r", "a").length).toBe(3);
+
+        expect(store.hideStroke("r", "a", "u1")).toBeTrue();
+        expect(store.hideStroke("r", "a", "u1")).toBeFalse();
+        store.markReset("r", store.strokeTiles("r", "a"));
+        expect(store.tileRevision("r", 0, 0, 0).reset).toBeGreaterThan(rev);
+        expect(ids(store.readTile("r", 0, 0, 0))).toEqual(["b"]);
+        expect(store.hiddenBy("r", "a")).toBe("u1");
+        expect(store.hiddenBy("other", "a")).toBeNull();
+        expect(store.unhideStroke("r", "a", "someone-else")).toBeFalse();
+        // The same id in another room has its own tombstone
+        store.appendStroke("other", { id: "a", t: 2, rows: [row(0, 0, 0, "a")] });
+        expect(ids(store.readTile("other", 0, 0, 0))).toEqual(["a"]);
+        expect(store.hideStroke("other", "a", "u2")).toBeTrue();
+        expect(store.hiddenBy("r", "a")).toBe("u1");
+        expect(store.unhideStroke("other", "a", "u2")).toBeTrue();
+        expect(store.deleteStroke("other", "a")).not.toBeNull();
+        expect(store.hiddenBy("r", "a")).toBe("u1");
+
+        store.putRegion({ id: "reg", room: "r", minX: 0, minY: 0, maxX: 10, maxY: 10, owner: "o", allow: ["p"], t: 1 });
+        expect(store.regionsInBox("r", { minX: 5, minY: 5, maxX: 20, maxY: 20 }).map((x: any) => x.allow)).toEqual([["p"]]);
+        expect(store.regionsInBox("r", { minX: 50, minY: 50, maxX: 60, maxY: 60 })).toEqual([]);
+
+        expect(store.prune({ olderThan: 2 }, 10)).toEqual([{ room: "r", id: "b" }]);
+        expect(store.prune({ maxTileRows: 1 }, 10)).toEqual([{ room: "r", id: "b" }]);
+        expect(store.prune({ order: "oldest", fraction: 0.5 }, 10)).toEqual([{ room: "r", id: "b" }]);
+        // Viewing b's cell makes a (never viewed) the least recently viewed
+        store.recordViews("r", ["0:0"], 5);
+        store.appendStroke("r", { id: "c", t: 3, rows: [row(0, 100, 0, "c")] });
+        expect(store.prune({ order: "lru", fraction: 0.34 }, 10)).toEqual([{ room: "r", id: "c" }]);
+
+        expect(store.deleteStroke("r", "b")).toEqual([{ z: 0, tx: 0, ty: 0 }]);
+        expect(store.deleteStroke("r", "b")).toBeNull();
+        expect([...store.baseRows()].map((x: any) => x.id)).toEqual(["a", "a", "c"]);
+        expect(store.stats().rows).toBe(4);
+
+        if (kind !== "memory") {
+          // Everything survives a reopen, including the revision sequence
+          const before = store.tileRevision("r", 0, 0, 0);
+          store.close();
+          store = open();
+          expect(store.tileRevision("r", 0, 0, 0)).toEqual(before);
+          expect(store.hiddenBy("r", "a")).toBe("u1");
+          expect(store.getStroke("r", "b")).toBeNull();
+          expect(store.listRegions("r").map((x: any) => x.id)).toEqual(["reg"]);
+          expect(store.stats().fileBytes).toBeGreaterThan(0);
+        }
+      } finally {
+        store.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  }
+
+  test("sqlite handles on one file share the revision sequence", async () => {
+    const { createSqliteStorage } = await import("../server/storage.js");
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "inf-canvas-shared-"));
+    const [one, two] = [0, 1].map(() => createSqliteStorage({ path: path.join(dir, "tiles.sqlite3") }));
+    try {
+      one.appendStroke("r", { id: "a", t: 1, rows: [row(0, 0, 0, "a")] });
+      two.appendStroke("r", { id: "b", t: 2, rows: [row(0, 0, 0, "b"), row(1, 0, 0, "b")] });
+      const { rev } = two.tileRevision("r", 0, 0, 0);
+      one.markReset("r", [{ z: 0, tx: 0, ty: 0 }]);
+      one.appendStroke("r", { id: "c", t: 3, rows: [row(0, 0, 0, "c")] });
+      expect(ids(two.readTile("r", 0, 0, 0))).toEqual(["a", "b", "c"]);
+      expect(ids(two.readTile("r", 0, 0, 0, rev))).toEqual(["c"]);
+      expect(two.tileRevision("r", 0, 0, 0)).toEqual(one.tileRevision("r", 0, 0, 0));
+    } finally {
+      one.close();
+      two.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test("startServer serves strokes from the storage it is given", async () => {
+    const { createMemoryStorage } = await import("../server/storage.js");
+    const prev = mod.useStorage(null);
+    let server: any;
+    try {
+      server = mod.startServer({ port: 0, storage: createMemoryStorage() });
+      const res = await fetch(`http://localhost:${server.port}/api/stroke`, {
+        method: "POST", headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ ...makeStroke("mem-1"), token: mod.issueSessionToken("u1") })
+      });
+      expect(res.ok).toBeTrue();
+      const json: any = await (await fetch(`http://localhost:${server.port}/api/tile-strokes?z=0&tx=0&ty=0`)).json();
+      expect(json.strokes.map((s: any) => s.id)).toEqual(["mem-1"]);
+    } finally {
+      if (server) server.stop();
+      mod.useStorage(prev);
+    }
+    expect((await mod.readTileStrokes(0, 0, 0)).some((s: any) => s.id === "mem-1")).toBeFalse();
+  });
 });
 
 describe("database size management", () => {
@@ -168,43 +1947,65 @@ describe("database size management", () => {
     }
   });
 
-  test("database size enforcement with small limit", async () => {
-    // This test uses a modified version of the module with a smaller size limit
-    // to avoid having to create 1GB of test data
-    
-    // Create a temporary test file with smaller limit
-    const originalContent = await (await import('fs')).promises.readFile(path.join(process.cwd(), "server/index.js"), 'utf-8');
-    const testContent = originalContent.replace(
-      'const MAX_DB_SIZE_BYTES = 1 * 1024 * 1024 * 1024; // 1GB',
-      'const MAX_DB_SIZE_BYTES = 50 * 1024; // 50KB for testing'
-    );
-    
-    const testFilePath = path.join(TMP, 'test-server-small-limit.js');
-    await (await import('fs')).promises.writeFile(testFilePath, testContent);
-    
-    // Import the modified module
-    const testMod = await import(testFilePath + `?t=${Date.now()}`);
-    
-    // Add many large strokes to trigger the size limit
-    let initialCount = 0;
-    for (let i = 0; i < 30; i++) {
-      const largeStroke = makeStroke(`large-${i}`, {
-        points: Array.from({length: 50}, (_, j) => ({
-          x: Math.random() * 1000, 
-          y: Math.random() * 1000
-        }))
-      });
-      testMod.appendStrokeToTiles(largeStroke);
-      initialCount++;
+  test("retention policies run on demand, not on insert, and archive what they evict", async () => {
+    // Separate in-memory store so evictions don't touch other tests' strokes
+    const { createMemoryStorage } = await import("../server/storage.js");
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "inf-canvas-retention-"));
+    const prev = mod.useStorage(createMemoryStorage());
+    let server: any;
+    const day = 24 * 60 * 60 * 1000;
+    const at = (id: string, x: number, t: number) => mod.appendStrokeToTiles({ ...makeStroke(id, { points: [{ x, y: 10 }, { x: x + 20, y: 10 }] }), t });
+    const ids = async (tx: number) => (await mod.readTileStrokes(0, tx, 0)).map((s: any) => s.id);
+    try {
+      const now = Date.now();
+      at("old-1", 100, now - 3 * day);
+      at("old-2", 200, now - 2 * day);
+      for (let i = 0; i < 6; i++) at(`cap-${i}`, 300 + i * 10, now - 1000 + i);
+      // Inserting never evicts; policies only run in the background pass
+      expect((await ids(0)).length).toBe(8);
+
+      const archive = path.join(dir, "archive.ndjson.gz");
+      const aged = await mod.runRetention({ maxBytes: 0, maxAgeDays: 1, archive });
+      expect(aged.age).toBe(2);
+      expect(await ids(0)).not.toContain("old-1");
+      const archived = zlib.gunzipSync(fs.readFileSync(archive)).toString().trim().split("\n").map(l => JSON.parse(l));
+      expect(archived.map((e: any) => e.id).sort()).toEqual(["old-1", "old-2"]);
+
+      const capped = await mod.runRetention({ maxBytes: 0, maxTileRows: 4 });
+      expect(capped.tileRows).toBe(2);
+      expect(await ids(0)).toEqual(["cap-2", "cap-3", "cap-4", "cap-5"]);
+
+      // Size: least recently viewed cells go first, even if their strokes are newer
+      at("far-new", 9000, now);
+      server = mod.startServer({ port: 0 });
+      await fetch(`http://localhost:${server.port}/api/tile-strokes?z=0&tx=0&ty=0`);
+      const status: any = await (await fetch(`http://localhost:${server.port}/api/db-status`)).json();
+      expect(status.usedBytes).toBeGreaterThan(0);
+      const sized = await mod.runRetention({ maxBytes: status.usedBytes, order: "lru", batch: 0.01 });
+      expect(sized.size).toBeGreaterThanOrEqual(1);
+      expect(await ids(8)).toEqual([]);
+      expect(await ids(0)).toContain("cap-2");
+    } finally {
+      if (server) server.stop();
+      mod.useStorage(prev);
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test("retention settings that are not usable numbers fall back to safe values", async () => {
+    const { resolveRetention, DEFAULT_RETENTION } = await import("../server/retention.js");
+    const prev = process.env.RETENTION;
+    process.env.RETENTION = JSON.stringify({ intervalMs: 0, maxAgeDays: "7" });
+    try {
+      const env = resolveRetention();
+      expect(env.intervalMs).toBe(1000);
+      expect(env.maxAgeDays).toBe(7);
+      const cfg = resolveRetention({ maxBytes: -1, maxTileRows: 2.5, batch: 5, intervalMs: "soon", archive: 42 });
+      expect(cfg).toMatchObject({ maxBytes: DEFAULT_RETENTION.maxBytes, maxTileRows: 2, batch: DEFAULT_RETENTION.batch, intervalMs: DEFAULT_RETENTION.intervalMs, archive: "" });
+      expect(resolveRetention({ maxBytes: Infinity }).maxBytes).toBe(DEFAULT_RETENTION.maxBytes);
+    } finally {
+      if (prev === undefined) delete process.env.RETENTION; else process.env.RETENTION = prev;
     }
-    
-    // Check that some strokes exist
-    const strokes = await testMod.readTileStrokes(0, 0, 0);
-    expect(strokes.length).toBeGreaterThan(0);
-    
-    // The cleanup should have been triggered, so we shouldn't have all strokes
-    // This is a bit indirect, but we're testing that the system can handle size limits
-    expect(strokes.length).toBeLessThanOrEqual(initialCount);
   });
 
   test("strokes are persisted correctly with timestamps", async () => {